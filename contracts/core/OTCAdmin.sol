@@ -1,31 +1,82 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "../libraries/OTCStructs.sol";
 import "../libraries/OTCErrors.sol";
+import "../libraries/OTCConstants.sol";
+import "../libraries/OTCRoles.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ * Roles are split so that no single operational key can both change who may trade
+ * and move escrowed funds. Role grants and ownership changes only take effect after
+ * a delay; revocations are immediate.
+ * Deployed behind a transparent proxy: state is set up in `initialize`.
+ */
+contract OTCAdmin is Initializable {
+    bytes32 public constant COMPLIANCE_ROLE = OTCRoles.COMPLIANCE;
+    bytes32 public constant ARBITER_ROLE = OTCRoles.ARBITER;
+    bytes32 public constant DISPUTE_MANAGER_ROLE = OTCRoles.DISPUTE_MANAGER;
+    bytes32 public constant CONFIG_MANAGER_ROLE = OTCRoles.CONFIG_MANAGER;
+    bytes32 public constant PAUSER_ROLE = OTCRoles.PAUSER;
+
+    uint256 public constant ROLE_GRANT_DELAY = 2 days;
+    uint256 public constant OWNERSHIP_TRANSFER_DELAY = 2 days;
 
-contract OTCAdmin {
     address public owner;
+    address public pendingOwner;
+    uint256 public ownershipTransferEta; // pendingOwner may accept from this time on
+
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    mapping(bytes32 => mapping(address => uint256)) public pendingRoleGrants; // role => account => eta, 0 = none
 
-    mapping(address => bool) public isAdmin;
     mapping(address => bool) public banned;
     mapping(address => bool) public frozen;
 
-    // KYC tier-2 flag (manual admin approval)
-    mapping(address => bool) public tier2Approved;
+    // KYC tier (manual compliance approval); trade limits per tier live in OTCConfig
+    mapping(address => OTCStructs.TierApproval) public tierApprovals;
 
+    event OwnershipTransferStarted(
+        address indexed owner,
+        address indexed pendingOwner,
+        uint256 eta
+    );
+    event OwnershipTransferCancelled(address indexed pendingOwner);
     event OwnershipTransferred(
         address indexed oldOwner,
         address indexed newOwner
     );
-    event AdminSet(address indexed admin, bool enabled);
+    event RoleGrantScheduled(
+        bytes32 indexed role,
+        address indexed account,
+        uint256 eta
+    );
+    event RoleGrantCancelled(bytes32 indexed role, address indexed account);
+    event RoleGranted(bytes32 indexed role, address indexed account);
+    event RoleRevoked(bytes32 indexed role, address indexed account);
     event UserBanned(address indexed user, bool banned);
     event UserFrozen(address indexed user, bool frozen);
-    event Tier2Set(address indexed user, bool approved);
+    event TierSet(address indexed user, uint8 tier, uint256 expiresAt);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
-    constructor(address _owner) {
+    // The owner holds no role of its own. `_roles[i]` goes to `_accounts[i]` without the
+    // timelock: nothing can act on this contract before it is initialized.
+    function initialize(
+        address _owner,
+        bytes32[] calldata _roles,
+        address[] calldata _accounts
+    ) external initializer {
+        require(_roles.length == _accounts.length, "length mismatch");
         owner = _owner;
-        isAdmin[_owner] = true;
-        emit AdminSet(_owner, true);
+        for (uint256 i = 0; i < _roles.length; i++) {
+            _checkRole(_roles[i]);
+            require(_accounts[i] != address(0), "zero");
+            _grantRole(_roles[i], _accounts[i]);
+        }
     }
 
     modifier onlyOwner() {
@@ -33,41 +84,178 @@ contract OTCAdmin {
         _;
     }
 
-    modifier onlyAdmin() {
-        if (!isAdmin[msg.sender]) revert OTCErrors.NotAdmin();
+    modifier onlyRole(bytes32 role) {
+        if (!roles[role][msg.sender]) revert OTCErrors.MissingRole();
         _;
     }
 
+    // ------------------------------------------------------------
+    // Ownership (two-step, timelocked)
+    // ------------------------------------------------------------
+
     function transferOwnership(address newOwner) external onlyOwner {
         require(newOwner != address(0), "zero");
+        pendingOwner = newOwner;
+        ownershipTransferEta = block.timestamp + OWNERSHIP_TRANSFER_DELAY;
+        emit OwnershipTransferStarted(owner, newOwner, ownershipTransferEta);
+    }
+
+    function cancelOwnershipTransfer() external onlyOwner {
+        address pending = pendingOwner;
+        if (pending == address(0)) revert OTCErrors.NoPendingChange();
+        pendingOwner = address(0);
+        ownershipTransferEta = 0;
+        emit OwnershipTransferCancelled(pending);
+    }
+
+    // Roles are not carried over: the new owner grants its own through the timelock
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner || pendingOwner == address(0))
+            revert OTCErrors.NotOwner();
+        if (block.timestamp < ownershipTransferEta)
+            revert OTCErrors.TimelockNotReady();
+
         address old = owner;
-        owner = newOwner;
-        isAdmin[newOwner] = true;
-        emit OwnershipTransferred(old, newOwner);
-        emit AdminSet(newOwner, true);
+        owner = msg.sender;
+        pendingOwner = address(0);
+        ownershipTransferEta = 0;
+        emit OwnershipTransferred(old, msg.sender);
+    }
+
+    // ------------------------------------------------------------
+    // Roles
+    // ------------------------------------------------------------
+
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return roles[role][account];
     }
 
-    function setAdmin(address admin, bool enabled) external onlyOwner {
-        isAdmin[admin] = enabled;
-        emit AdminSet(admin, enabled);
+    function isArbiter(address account) external view returns (bool) {
+        return roles[ARBITER_ROLE][account];
     }
 
-    function setBanned(address user, bool _banned) external onlyAdmin {
+    function scheduleRoleGrant(
+        bytes32 role,
+        address account
+    ) external onlyOwner {
+        _checkRole(role);
+        require(account != address(0), "zero");
+        if (roles[role][account]) revert OTCErrors.InvalidState();
+
+        uint256 eta = block.timestamp + ROLE_GRANT_DELAY;
+        pendingRoleGrants[role][account] = eta;
+        emit RoleGrantScheduled(role, account, eta);
+    }
+
+    function executeRoleGrant(
+        bytes32 role,
+        address account
+    ) external onlyOwner {
+        uint256 eta = pendingRoleGrants[role][account];
+        if (eta == 0) revert OTCErrors.NoPendingChange();
+        if (block.timestamp < eta) revert OTCErrors.TimelockNotReady();
+
+        delete pendingRoleGrants[role][account];
+        _grantRole(role, account);
+    }
+
+    function cancelRoleGrant(bytes32 role, address account) external onlyOwner {
+        if (pendingRoleGrants[role][account] == 0)
+            revert OTCErrors.NoPendingChange();
+        delete pendingRoleGrants[role][account];
+        emit RoleGrantCancelled(role, account);
+    }
+
+    // Immediate, so a compromised role key can be cut off without waiting
+    function revokeRole(bytes32 role, address account) external onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+
+    // ------------------------------------------------------------
+    // Compliance
+    // ------------------------------------------------------------
+
+    function setBanned(
+        address user,
+        bool _banned
+    ) external onlyRole(COMPLIANCE_ROLE) {
         banned[user] = _banned;
         emit UserBanned(user, _banned);
     }
 
-    function setFrozen(address user, bool _frozen) external onlyAdmin {
+    function setFrozen(
+        address user,
+        bool _frozen
+    ) external onlyRole(COMPLIANCE_ROLE) {
         frozen[user] = _frozen;
         emit UserFrozen(user, _frozen);
     }
 
-    function setTier2(address user, bool approved) external onlyAdmin {
-        tier2Approved[user] = approved;
-        emit Tier2Set(user, approved);
+    // expiresAt = 0: the approval never lapses
+    function setTier(
+        address user,
+        uint8 tier,
+        uint256 expiresAt
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        if (tier > OTCConstants.MAX_KYC_TIER) revert OTCErrors.InvalidTier();
+        if (expiresAt != 0 && expiresAt <= block.timestamp)
+            revert OTCErrors.InvalidExpiry();
+        _setTier(user, tier, expiresAt);
+    }
+
+    function setTier2(
+        address user,
+        bool approved
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        _setTier(user, approved ? 2 : 0, 0);
+    }
+
+    // Effective tier: an expired approval drops the user back to tier 0
+    function tierOf(address user) public view returns (uint8) {
+        OTCStructs.TierApproval memory a = tierApprovals[user];
+        if (a.expiresAt != 0 && block.timestamp >= a.expiresAt) return 0;
+        return a.tier;
+    }
+
+    function tier2Approved(address user) external view returns (bool) {
+        return tierOf(user) >= 2;
+    }
+
+    function isActiveUser(address user) public view returns (bool) {
+        return !banned[user] && !frozen[user];
     }
 
     function assertActiveUser(address user) external view {
-        if (banned[user] || frozen[user]) revert OTCErrors.UserFrozenOrBanned();
+        if (!isActiveUser(user)) revert OTCErrors.UserFrozenOrBanned();
+    }
+
+    function _checkRole(bytes32 role) internal pure {
+        if (
+            role != COMPLIANCE_ROLE &&
+            role != ARBITER_ROLE &&
+            role != DISPUTE_MANAGER_ROLE &&
+            role != CONFIG_MANAGER_ROLE &&
+            role != PAUSER_ROLE
+        ) revert OTCErrors.InvalidRole();
+    }
+
+    function _setTier(address user, uint8 tier, uint256 expiresAt) internal {
+        tierApprovals[user] = OTCStructs.TierApproval(tier, expiresAt);
+        emit TierSet(user, tier, expiresAt);
+    }
+
+    function _grantRole(bytes32 role, address account) internal {
+        roles[role][account] = true;
+        emit RoleGranted(role, account);
+    }
+
+    function _revokeRole(bytes32 role, address account) internal {
+        if (!roles[role][account]) return;
+        roles[role][account] = false;
+        emit RoleRevoked(role, account);
     }
 }
@@ -4,31 +4,135 @@ pragma solidity ^0.8.20;
 import "../interfaces/IChainlinkAggregatorV3.sol";
 import "../libraries/OTCStructs.sol";
 import "../libraries/OTCErrors.sol";
+import "../libraries/OTCConstants.sol";
+import "../libraries/OTCOracle.sol";
+import "../libraries/OTCRoles.sol";
+import "../libraries/OTCMath.sol";
+import "../interfaces/IOTCRegistry.sol";
+import "../interfaces/IOTCAdmin.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+// Deployed behind a transparent proxy: state is set up in `initialize`
+contract OTCConfig is Initializable {
+    using OTCMath for uint256;
 
-contract OTCConfig {
     address public owner;
     address public treasury;
+    IOTCRegistry public registry; // resolves OTCAdmin: CONFIG_MANAGER_ROLE holders may tune parameters
 
-    // fee in bps (e.g., 30 = 0.30%)
+    // default fee in bps (e.g., 30 = 0.30%), charged to the buyer on pairs without a PairFee
     uint256 public feeBps;
 
     // spread in bps added on top of oracle price for quote calculation
     uint256 public spreadBps;
 
+    // bounds for per-order spreads chosen by sellers (negative = discount)
+    int256 public minOrderSpreadBps;
+    int256 public maxOrderSpreadBps;
+
+    // seller must submit delivery within this window after the trade opens, else buyer can reclaim
+    uint256 public deliveryWindow;
+
+    // buyer must confirm/reject within this window after delivery, else seller can claim
+    uint256 public confirmWindow;
+
+    // seller's time to answer a dispute with evidence, counted from rejectReceipt/openDispute
+    uint256 public disputeResponseWindow;
+
+    // default lifetime of an OPEN order (0 = orders never expire by default)
+    uint256 public orderTtl;
+
+    // seller bond locked per trade, in bps of the trade value (0 = no bond required)
+    uint256 public sellerBondBps;
+
+    // share of a slashed bond paid to the buyer; the rest goes to treasury
+    uint256 public bondSlashBuyerBps;
+
+    // default staleness bound applied by setAsset until setOracleGuards overrides it
+    uint256 public constant DEFAULT_MAX_HEARTBEAT = 1 days;
+
     mapping(address => OTCStructs.AssetConfig) public assets; // "WBTC","WETH", "USDT", "USDC" only in phase 1
     mapping(address => bool) public allowedQuoteTokens; // "WBTC", "WETH", "USDT", "USDC" only in phase 1
+    mapping(address => address) public deliveryVerifiers; // sell asset => IDeliveryVerifier, address(0) = txid unchecked
+    mapping(uint8 => OTCStructs.TierLimits) public tierLimits; // KYC tier => USD caps, all 0 = unlimited
+
+    // Fee schedule: per-pair overrides, trailing-volume discounts and the referrer's share
+    mapping(address => mapping(address => OTCStructs.PairFee)) public pairFees; // sell asset => quote token
+    OTCStructs.FeeDiscountTier[] public feeDiscountTiers; // ascending minVolumeUsd
+    uint256 public referralShareBps;
+    uint256 public constant MAX_FEE_DISCOUNT_TIERS = 10;
+
+    // Emergency stops: block new orders and takes, never in-flight trades in the escrow
+    bool public paused;
+    mapping(address => bool) public marketPaused; // sell asset or quote token
+    mapping(address => uint256) public referencePrices; // circuit breaker: last price read by checkMarket
+    mapping(address => uint256) public referencePriceTimes; // when referencePrices was read
 
     event TreasurySet(address indexed treasury);
     event FeeSet(uint256 feeBps);
     event SpreadSet(uint256 spreadBps);
     event AssetSet(address indexed token, address feed, bool enabled);
     event QuoteTokenSet(address indexed token, bool allowed);
+    event OrderSpreadBoundsSet(int256 minSpreadBps, int256 maxSpreadBps);
+    event DeliveryWindowSet(uint256 window);
+    event ConfirmWindowSet(uint256 window);
+    event OrderTtlSet(uint256 ttl);
+    event DisputeResponseWindowSet(uint256 window);
+    event DeliveryVerifierSet(address indexed token, address verifier);
+    event SellerBondSet(uint256 bondBps, uint256 slashBuyerBps);
+    event PairFeeSet(
+        address indexed sellToken,
+        address indexed quoteToken,
+        uint256 buyerBps,
+        uint256 sellerBps
+    );
+    event PairFeeRemoved(address indexed sellToken, address indexed quoteToken);
+    event FeeDiscountTiersSet(uint256[] minVolumesUsd, uint256[] discountsBps);
+    event ReferralShareSet(uint256 shareBps);
+    event TierLimitsSet(
+        uint8 indexed tier,
+        uint256 perTradeUsd,
+        uint256 dailyUsd,
+        uint256 monthlyUsd
+    );
+    event PausedSet(bool paused);
+    event MarketPausedSet(address indexed token, bool paused);
+    event PriceBreakerSet(address indexed token, uint256 maxPriceMoveBps);
+    event CircuitBreakerTripped(
+        address indexed token,
+        uint256 referencePrice,
+        uint256 price
+    );
+    event OracleGuardsSet(
+        address indexed token,
+        uint256 maxHeartbeat,
+        address secondaryFeed,
+        uint256 maxDeviationBps
+    );
 
-    constructor(address _owner, address _treasury) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _owner,
+        address _treasury,
+        address _registry
+    ) external initializer {
         owner = _owner;
         treasury = _treasury;
+        registry = IOTCRegistry(_registry);
         feeBps = 0;
         spreadBps = 0;
+        minOrderSpreadBps = -500;
+        maxOrderSpreadBps = 2_000;
+        deliveryWindow = 2 days;
+        confirmWindow = 3 days;
+        disputeResponseWindow = 3 days;
+        orderTtl = 1 days;
+        sellerBondBps = 0;
+        bondSlashBuyerBps = 5_000;
     }
 
     modifier onlyOwner() {
@@ -36,25 +140,219 @@ contract OTCConfig {
         _;
     }
 
+    // Owner or a config manager; treasury and verifiers stay owner-only
+    modifier onlyConfigManager() {
+        if (msg.sender != owner && !_hasRole(OTCRoles.CONFIG_MANAGER))
+            revert OTCErrors.MissingRole();
+        _;
+    }
+
+    modifier onlyPauser() {
+        if (msg.sender != owner && !_hasRole(OTCRoles.PAUSER))
+            revert OTCErrors.MissingRole();
+        _;
+    }
+
+    function _hasRole(bytes32 role) internal view returns (bool) {
+        address admin = registry.admin();
+        return
+            admin != address(0) && IOTCAdmin(admin).hasRole(role, msg.sender);
+    }
+
     function setTreasury(address _treasury) external onlyOwner {
         require(_treasury != address(0), "zero");
         treasury = _treasury;
         emit TreasurySet(_treasury);
     }
 
-    function setFeeBps(uint256 _feeBps) external onlyOwner {
+    function setFeeBps(uint256 _feeBps) external onlyConfigManager {
         require(_feeBps <= 500, "fee too high"); // guardrail
         feeBps = _feeBps;
         emit FeeSet(_feeBps);
     }
 
-    function setSpreadBps(uint256 _spreadBps) external onlyOwner {
+    function setPairFee(
+        address sellToken,
+        address quoteToken,
+        uint256 buyerBps,
+        uint256 sellerBps
+    ) external onlyConfigManager {
+        require(buyerBps + sellerBps <= 500, "fee too high"); // guardrail
+        pairFees[sellToken][quoteToken] = OTCStructs.PairFee(
+            true,
+            buyerBps,
+            sellerBps
+        );
+        emit PairFeeSet(sellToken, quoteToken, buyerBps, sellerBps);
+    }
+
+    // Back to feeBps, buyer-paid
+    function removePairFee(
+        address sellToken,
+        address quoteToken
+    ) external onlyConfigManager {
+        delete pairFees[sellToken][quoteToken];
+        emit PairFeeRemoved(sellToken, quoteToken);
+    }
+
+    // Replaces the whole schedule; empty arrays turn volume discounts off
+    function setFeeDiscountTiers(
+        uint256[] calldata minVolumesUsd,
+        uint256[] calldata discountsBps
+    ) external onlyConfigManager {
+        require(minVolumesUsd.length == discountsBps.length, "length mismatch");
+        require(
+            minVolumesUsd.length <= MAX_FEE_DISCOUNT_TIERS,
+            "too many tiers"
+        );
+        delete feeDiscountTiers;
+        for (uint256 i = 0; i < minVolumesUsd.length; i++) {
+            require(
+                i == 0 || minVolumesUsd[i] > minVolumesUsd[i - 1],
+                "tiers not ascending"
+            );
+            require(discountsBps[i] <= 10_000, "discount too high");
+            feeDiscountTiers.push(
+                OTCStructs.FeeDiscountTier(minVolumesUsd[i], discountsBps[i])
+            );
+        }
+        emit FeeDiscountTiersSet(minVolumesUsd, discountsBps);
+    }
+
+    function setReferralShare(uint256 shareBps) external onlyConfigManager {
+        require(shareBps <= 5_000, "share too high"); // guardrail
+        referralShareBps = shareBps;
+        emit ReferralShareSet(shareBps);
+    }
+
+    function feeDiscountTierCount() external view returns (uint256) {
+        return feeDiscountTiers.length;
+    }
+
+    function getPairFeeBps(
+        address sellToken,
+        address quoteToken
+    ) public view returns (uint256 buyerBps, uint256 sellerBps) {
+        OTCStructs.PairFee memory pf = pairFees[sellToken][quoteToken];
+        if (!pf.enabled) return (feeBps, 0);
+        return (pf.buyerBps, pf.sellerBps);
+    }
+
+    // Discount of the highest tier `volumeUsd` reaches, 0 below the first one
+    function feeDiscountBps(uint256 volumeUsd) public view returns (uint256) {
+        uint256 discount;
+        for (uint256 i = 0; i < feeDiscountTiers.length; i++) {
+            if (volumeUsd < feeDiscountTiers[i].minVolumeUsd) break;
+            discount = feeDiscountTiers[i].discountBps;
+        }
+        return discount;
+    }
+
+    // Buyer and seller fees for `quoteAmount` on a pair, each discounted by its payer's volume
+    function computeFees(
+        address sellToken,
+        address quoteToken,
+        uint256 quoteAmount,
+        uint256 buyerVolumeUsd,
+        uint256 sellerVolumeUsd
+    ) external view returns (uint256 buyerFee, uint256 sellerFee) {
+        (uint256 buyerBps, uint256 sellerBps) = getPairFeeBps(
+            sellToken,
+            quoteToken
+        );
+        buyerFee = quoteAmount.bpsMul(buyerBps);
+        buyerFee -= buyerFee.bpsMul(feeDiscountBps(buyerVolumeUsd));
+        sellerFee = quoteAmount.bpsMul(sellerBps);
+        sellerFee -= sellerFee.bpsMul(feeDiscountBps(sellerVolumeUsd));
+    }
+
+    function setSpreadBps(uint256 _spreadBps) external onlyConfigManager {
         require(_spreadBps <= 2_000, "spread too high"); // guardrail
         spreadBps = _spreadBps;
         emit SpreadSet(_spreadBps);
     }
 
-    function setQuoteToken(address token, bool allowed) external onlyOwner {
+    function setOrderSpreadBounds(
+        int256 _minSpreadBps,
+        int256 _maxSpreadBps
+    ) external onlyConfigManager {
+        require(
+            _minSpreadBps >= -2_000 &&
+                _maxSpreadBps <= 2_000 &&
+                _minSpreadBps <= _maxSpreadBps,
+            "bad spread bounds"
+        ); // guardrail
+        minOrderSpreadBps = _minSpreadBps;
+        maxOrderSpreadBps = _maxSpreadBps;
+        emit OrderSpreadBoundsSet(_minSpreadBps, _maxSpreadBps);
+    }
+
+    function setDeliveryWindow(uint256 window) external onlyConfigManager {
+        require(window >= 1 hours && window <= 30 days, "bad window"); // guardrail
+        deliveryWindow = window;
+        emit DeliveryWindowSet(window);
+    }
+
+    function setConfirmWindow(uint256 window) external onlyConfigManager {
+        require(window >= 1 hours && window <= 30 days, "bad window"); // guardrail
+        confirmWindow = window;
+        emit ConfirmWindowSet(window);
+    }
+
+    function setDisputeResponseWindow(
+        uint256 window
+    ) external onlyConfigManager {
+        require(window >= 1 hours && window <= 30 days, "bad window"); // guardrail
+        disputeResponseWindow = window;
+        emit DisputeResponseWindowSet(window);
+    }
+
+    function setOrderTtl(uint256 ttl) external onlyConfigManager {
+        require(ttl <= 90 days, "ttl too long"); // guardrail
+        orderTtl = ttl;
+        emit OrderTtlSet(ttl);
+    }
+
+    function setSellerBond(
+        uint256 bondBps,
+        uint256 slashBuyerBps
+    ) external onlyConfigManager {
+        require(bondBps <= 5_000, "bond too high"); // guardrail
+        require(slashBuyerBps <= 10_000, "bad slash split");
+        sellerBondBps = bondBps;
+        bondSlashBuyerBps = slashBuyerBps;
+        emit SellerBondSet(bondBps, slashBuyerBps);
+    }
+
+    // USD amounts in 1e18 (= $1); 0 leaves that limit uncapped
+    function setTierLimits(
+        uint8 tier,
+        uint256 perTradeUsd,
+        uint256 dailyUsd,
+        uint256 monthlyUsd
+    ) external onlyConfigManager {
+        if (tier > OTCConstants.MAX_KYC_TIER) revert OTCErrors.InvalidTier();
+        tierLimits[tier] = OTCStructs.TierLimits(
+            perTradeUsd,
+            dailyUsd,
+            monthlyUsd
+        );
+        emit TierLimitsSet(tier, perTradeUsd, dailyUsd, monthlyUsd);
+    }
+
+    // address(0) removes the verifier: deliveries of `token` go back to unchecked txids
+    function setDeliveryVerifier(
+        address token,
+        address verifier
+    ) external onlyOwner {
+        deliveryVerifiers[token] = verifier;
+        emit DeliveryVerifierSet(token, verifier);
+    }
+
+    function setQuoteToken(
+        address token,
+        bool allowed
+    ) external onlyConfigManager {
         allowedQuoteTokens[token] = allowed;
         emit QuoteTokenSet(token, allowed);
     }
@@ -63,29 +361,190 @@ contract OTCConfig {
         address token,
         address feed,
         bool enabled
-    ) external onlyOwner {
+    ) external onlyConfigManager {
+        _setAsset(token, feed, enabled);
+    }
+
+    // Native coin (ETH/BNB) is priced like any other asset, keyed by address(0)
+    function setNativeAsset(
+        address feed,
+        bool enabled
+    ) external onlyConfigManager {
+        _setAsset(OTCConstants.NATIVE, feed, enabled);
+    }
+
+    function _setAsset(address token, address feed, bool enabled) internal {
         require(feed != address(0), "zero feed");
-        uint8 dec = IChainlinkAggregatorV3(feed).decimals();
-        assets[token] = OTCStructs.AssetConfig({
-            enabled: enabled,
-            chainlinkFeed: feed,
-            feedDecimals: dec
-        });
+        OTCStructs.AssetConfig storage cfg = assets[token];
+        cfg.enabled = enabled;
+        cfg.chainlinkFeed = feed;
+        cfg.feedDecimals = IChainlinkAggregatorV3(feed).decimals();
+        // keep guards across feed rotations, default the heartbeat on first registration
+        if (cfg.maxHeartbeat == 0) cfg.maxHeartbeat = DEFAULT_MAX_HEARTBEAT;
         emit AssetSet(token, feed, enabled);
     }
 
+    function setOracleGuards(
+        address token,
+        uint256 maxHeartbeat,
+        address secondaryFeed,
+        uint256 maxDeviationBps
+    ) external onlyConfigManager {
+        OTCStructs.AssetConfig storage cfg = assets[token];
+        if (cfg.chainlinkFeed == address(0))
+            revert OTCErrors.UnsupportedAsset();
+        require(maxHeartbeat > 0, "zero heartbeat");
+        require(maxDeviationBps <= 10_000, "deviation too high");
+        if (secondaryFeed != address(0)) {
+            require(maxDeviationBps > 0, "zero deviation");
+            cfg.secondaryDecimals = IChainlinkAggregatorV3(secondaryFeed)
+                .decimals();
+        } else {
+            cfg.secondaryDecimals = 0;
+        }
+        cfg.maxHeartbeat = maxHeartbeat;
+        cfg.secondaryFeed = secondaryFeed;
+        cfg.maxDeviationBps = maxDeviationBps;
+        emit OracleGuardsSet(
+            token,
+            maxHeartbeat,
+            secondaryFeed,
+            maxDeviationBps
+        );
+    }
+
+    // ------------------------------------------------------------
+    // Pause & circuit breakers
+    // ------------------------------------------------------------
+
+    function setPaused(bool _paused) external onlyPauser {
+        paused = _paused;
+        emit PausedSet(_paused);
+    }
+
+    // Unpausing re-bases the circuit breaker on the next read
+    function setMarketPaused(address token, bool _paused) external onlyPauser {
+        marketPaused[token] = _paused;
+        if (!_paused) delete referencePrices[token];
+        emit MarketPausedSet(token, _paused);
+    }
+
+    function setPriceBreaker(
+        address token,
+        uint256 maxPriceMoveBps
+    ) external onlyConfigManager {
+        OTCStructs.AssetConfig storage cfg = assets[token];
+        if (cfg.chainlinkFeed == address(0))
+            revert OTCErrors.UnsupportedAsset();
+        require(maxPriceMoveBps <= 10_000, "move too high"); // guardrail
+        cfg.maxPriceMoveBps = maxPriceMoveBps;
+        delete referencePrices[token];
+        emit PriceBreakerSet(token, maxPriceMoveBps);
+    }
+
+    /**
+     * Called by OTCOrders before every create/take; only the registry's OTCOrders may
+     * call it, as it moves the breaker's reference price. Reverts while trading or
+     * either token's market is paused. For tokens with a price breaker, the current
+     * price must be within maxPriceMoveBps of the previous read and becomes the new
+     * reference. A reference older than the asset's maxHeartbeat is ignored, so the
+     * breaker catches moves between reads close together, not a quiet market's drift.
+     *
+     * The breaker does not latch by itself: the revert undoes any state it would write.
+     * After a jump the reference stays at the last accepted price, so trades keep
+     * reverting until the price is back within bounds of it, the reference ages out, or
+     * a pauser re-bases with `setMarketPaused(token, false)`. To hold the market until a
+     * pauser reviews it, anyone calls `tripCircuitBreaker`, which pauses it.
+     */
+    function checkMarket(address sellToken, address quoteToken) external {
+        require(msg.sender == registry.orders(), "only orders");
+        if (paused) revert OTCErrors.TradingPaused();
+        if (marketPaused[sellToken] || marketPaused[quoteToken])
+            revert OTCErrors.MarketPaused();
+        _checkPriceMove(sellToken);
+        _checkPriceMove(quoteToken);
+    }
+
+    // Permissionless latch: pauses `token`'s market if its price broke the breaker's bound
+    function tripCircuitBreaker(address token) external {
+        (uint256 referencePrice, uint256 price, bool tripped) = _priceMove(
+            token
+        );
+        if (!tripped) revert OTCErrors.InvalidState();
+        marketPaused[token] = true;
+        emit MarketPausedSet(token, true);
+        emit CircuitBreakerTripped(token, referencePrice, price);
+    }
+
+    function _checkPriceMove(address token) internal {
+        if (assets[token].maxPriceMoveBps == 0) return;
+        (, uint256 price, bool tripped) = _priceMove(token);
+        if (tripped) revert OTCErrors.PriceMoveTooLarge();
+        referencePrices[token] = price;
+        referencePriceTimes[token] = block.timestamp;
+    }
+
+    function _priceMove(
+        address token
+    )
+        internal
+        view
+        returns (uint256 referencePrice, uint256 price, bool tripped)
+    {
+        OTCStructs.AssetConfig storage cfg = assets[token];
+        (price, ) = getOraclePrice(token);
+        referencePrice = referencePrices[token];
+        tripped =
+            cfg.maxPriceMoveBps != 0 &&
+            referencePrice != 0 &&
+            block.timestamp <= referencePriceTimes[token] + cfg.maxHeartbeat &&
+            OTCOracle.deviationBps(referencePrice, price) > cfg.maxPriceMoveBps;
+    }
+
+    /**
+     * Returns the primary feed price in primary feed decimals.
+     *
+     * - Primary and secondary healthy: they must agree within maxDeviationBps.
+     * - Primary unhealthy (reverting, non-positive, incomplete round, stale):
+     *   the secondary is used instead, rescaled to primary decimals.
+     * - No healthy feed: reverts with the primary feed's typed error.
+     */
     function getOraclePrice(
         address token
-    ) external view returns (uint256 price, uint8 decimals_) {
+    ) public view returns (uint256 price, uint8 decimals_) {
         OTCStructs.AssetConfig memory cfg = assets[token];
         if (!cfg.enabled) revert OTCErrors.UnsupportedAsset();
 
-        (, int256 answer, , uint256 updatedAt, ) = IChainlinkAggregatorV3(
-            cfg.chainlinkFeed
-        ).latestRoundData();
-        require(updatedAt > 0, "stale");
-        require(answer > 0, "bad");
+        (OTCOracle.PriceStatus status, uint256 primary) = OTCOracle.tryRead(
+            cfg.chainlinkFeed,
+            cfg.maxHeartbeat
+        );
+
+        if (cfg.secondaryFeed == address(0)) {
+            OTCOracle.revertFor(status);
+            return (primary, cfg.feedDecimals);
+        }
+
+        (OTCOracle.PriceStatus secondaryStatus, uint256 secondary) = OTCOracle
+            .tryRead(cfg.secondaryFeed, cfg.maxHeartbeat);
+
+        if (secondaryStatus != OTCOracle.PriceStatus.OK) {
+            OTCOracle.revertFor(status);
+            return (primary, cfg.feedDecimals);
+        }
+
+        secondary = OTCOracle.scale(
+            secondary,
+            cfg.secondaryDecimals,
+            cfg.feedDecimals
+        );
+        if (status != OTCOracle.PriceStatus.OK) {
+            return (secondary, cfg.feedDecimals);
+        }
+
+        if (OTCOracle.deviationBps(primary, secondary) > cfg.maxDeviationBps)
+            revert OTCErrors.OracleDeviationTooHigh();
 
-        return (uint256(answer), cfg.feedDecimals);
+        return (primary, cfg.feedDecimals);
     }
 }
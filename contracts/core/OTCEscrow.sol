@@ -2,30 +2,70 @@
 pragma solidity ^0.8.20;
 
 import "../interfaces/IOTCEscrow.sol";
+import "../interfaces/IDeliveryVerifier.sol";
+import "../interfaces/IOTCRegistry.sol";
+import "../interfaces/IOTCAdmin.sol";
+import "../interfaces/IOTCConfig.sol";
 import "../libraries/OTCStructs.sol";
 import "../libraries/OTCEnums.sol";
 import "../libraries/OTCErrors.sol";
+import "../libraries/OTCConstants.sol";
+import "../libraries/OTCRoles.sol";
+import "../libraries/OTCSafeERC20.sol";
+import "../libraries/OTCIndex.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 
-interface IERC20 {
-    function transfer(address to, uint256 amount) external returns (bool);
-    function transferFrom(
-        address from,
-        address to,
-        uint256 amount
-    ) external returns (bool);
-    function balanceOf(address a) external view returns (uint256);
-}
-
-contract OTCEscrow is IOTCEscrow {
-    address public immutable ordersContract;
-    address public adminContract;
-    address public configContract;
+// Deployed behind a transparent proxy: state is set up in `initialize`
+contract OTCEscrow is Initializable, IOTCEscrow {
+    IOTCRegistry public registry; // resolves Orders, Admin and Config
 
-    uint256 public nextTradeId = 1;
+    uint256 public nextTradeId; // starts at 1
     mapping(uint256 => OTCStructs.Trade) private trades;
+    mapping(uint256 => OTCStructs.Dispute) private disputes; // by tradeId
+
+    // Query indexes: every trade per party, current trades per status
+    mapping(address => uint256[]) private sellerTradeIds;
+    mapping(address => uint256[]) private buyerTradeIds;
+    mapping(OTCEnums.TradeStatus => OTCIndex.Set) private statusTradeIds;
+
+    // Bid orders: quote funds still locked for the unfilled part of each bid
+    struct BidFunds {
+        address buyer;
+        address quoteToken;
+        uint256 amount;
+    }
+    mapping(uint256 => BidFunds) public bidFunds;
+
+    // Escrowed-delivery asks: sell asset still locked for the unfilled part of each order
+    struct SellFunds {
+        address seller;
+        address sellToken;
+        uint256 amount;
+        OTCEnums.DeliveryMode mode;
+    }
+    mapping(uint256 => SellFunds) public sellFunds;
+
+    // Bids and escrowed asks with funds still locked; the registry won't swap escrow while > 0
+    uint256 public lockedOrderCount;
+
+    // Seller bonds not locked in any trade: seller => token => amount
+    mapping(address => mapping(address => uint256)) public bondBalances;
+
+    // Compliance hold: payouts owed to banned/frozen users, user => token => amount
+    mapping(address => mapping(address => uint256)) public heldFunds;
+
+    // Payouts whose push transfer failed (e.g. blacklisted or reverting recipient), user => token => amount
+    mapping(address => mapping(address => uint256)) public pendingPayouts;
+
+    // Treasury revenue (fees, slashed bonds) waiting for withdrawFees, per token
+    mapping(address => uint256) public accruedFees;
+
+    // Everything escrow owes, per token: open trades, locked bids/asks, bonds, held and
+    // pending payouts and accrued fees. Backed 1:1 by the escrow's balance.
+    mapping(address => uint256) public liabilities;
 
     // minimal reentrancy guard
-    uint256 private locked = 1;
+    uint256 private locked; // 1 = unlocked, set in initialize
     modifier nonReentrant() {
         require(locked == 1, "reentrancy");
         locked = 2;
@@ -34,14 +74,19 @@ contract OTCEscrow is IOTCEscrow {
     }
 
     modifier onlyOrders() {
-        require(msg.sender == ordersContract, "only orders");
+        require(msg.sender == registry.orders(), "only orders");
         _;
     }
 
-    constructor(address _ordersContract, address _admin, address _config) {
-        ordersContract = _ordersContract;
-        adminContract = _admin;
-        configContract = _config;
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _registry) external initializer {
+        nextTradeId = 1;
+        locked = 1;
+        registry = IOTCRegistry(_registry);
     }
 
     function openTradeFromOrder(
@@ -52,44 +97,228 @@ contract OTCEscrow is IOTCEscrow {
         uint256 sellAmount,
         address quoteToken,
         uint256 quoteAmount,
-        uint256 feeAmount
-    ) external onlyOrders nonReentrant returns (uint256 tradeId) {
-        if (quoteToken == address(0)) revert OTCErrors.InvalidToken();
-        if (quoteAmount == 0) revert OTCErrors.InvalidAmount();
+        OTCStructs.TradeFees calldata fees,
+        address bondToken
+    ) external payable onlyOrders nonReentrant returns (uint256 tradeId) {
+        // Native quote funds arrive with this call; ERC20 funds were pulled by Orders beforehand
+        _checkMsgValue(quoteToken, quoteAmount + fees.buyerFee);
+        liabilities[quoteToken] += quoteAmount + fees.buyerFee;
+
+        // OFF_CHAIN unless the seller escrowed the sell asset when listing
+        SellFunds storage s = sellFunds[orderId];
+        OTCEnums.DeliveryMode mode = s.mode;
+        if (mode != OTCEnums.DeliveryMode.OFF_CHAIN) {
+            if (s.amount < sellAmount) revert OTCErrors.InvalidAmount();
+            s.amount -= sellAmount;
+            if (s.amount == 0) lockedOrderCount--;
+        }
+
+        tradeId = _openTrade(
+            orderId,
+            buyer,
+            seller,
+            sellToken,
+            sellAmount,
+            quoteToken,
+            quoteAmount,
+            fees,
+            bondToken,
+            mode
+        );
 
-        tradeId = nextTradeId++;
+        // atomic swap: both legs settle in the taker's transaction
+        if (mode == OTCEnums.DeliveryMode.ESCROWED) {
+            OTCStructs.Trade storage t = trades[tradeId];
+            _setStatus(t, OTCEnums.TradeStatus.RELEASED);
+            _payRelease(t);
+            _deliverSellAsset(t);
+            emit TradeSettled(tradeId);
+        }
+    }
 
-        trades[tradeId] = OTCStructs.Trade({
-            id: tradeId,
-            orderId: orderId,
-            buyer: buyer,
+    // -------------------------
+    // Escrowed delivery
+    // -------------------------
+
+    function lockSellAsset(
+        uint256 orderId,
+        address seller,
+        address sellToken,
+        uint256 amount,
+        OTCEnums.DeliveryMode mode
+    ) external payable onlyOrders nonReentrant {
+        if (amount == 0) revert OTCErrors.InvalidAmount();
+        if (mode == OTCEnums.DeliveryMode.OFF_CHAIN)
+            revert OTCErrors.UnsupportedDeliveryMode();
+        if (sellFunds[orderId].seller != address(0))
+            revert OTCErrors.InvalidState();
+        _checkMsgValue(sellToken, amount);
+        liabilities[sellToken] += amount;
+
+        sellFunds[orderId] = SellFunds({
             seller: seller,
             sellToken: sellToken,
-            sellAmount: sellAmount,
+            amount: amount,
+            mode: mode
+        });
+        lockedOrderCount++;
+        emit SellAssetLocked(orderId, seller, amount);
+    }
+
+    // Ask cancelled: the unfilled part of the escrowed sell asset goes back to the seller
+    function refundSellAsset(
+        uint256 orderId
+    ) external onlyOrders nonReentrant returns (uint256 refunded) {
+        SellFunds storage s = sellFunds[orderId];
+        refunded = s.amount;
+        if (refunded == 0) return 0;
+
+        s.amount = 0;
+        lockedOrderCount--;
+        _payout(s.sellToken, s.seller, refunded);
+        emit SellAssetRefunded(orderId, s.seller, refunded);
+    }
+
+    // -------------------------
+    // Bid orders
+    // -------------------------
+
+    function lockBidFunds(
+        uint256 orderId,
+        address buyer,
+        address quoteToken,
+        uint256 amount
+    ) external payable onlyOrders nonReentrant {
+        if (amount == 0) revert OTCErrors.InvalidAmount();
+        if (bidFunds[orderId].buyer != address(0))
+            revert OTCErrors.InvalidState();
+        _checkMsgValue(quoteToken, amount);
+        liabilities[quoteToken] += amount;
+
+        bidFunds[orderId] = BidFunds({
+            buyer: buyer,
             quoteToken: quoteToken,
-            quoteAmount: quoteAmount,
-            feeAmount: feeAmount,
-            deliveryTxId: "",
-            createdAt: block.timestamp,
-            deliveredAt: 0,
-            status: OTCEnums.TradeStatus.AWAITING_DELIVERY
+            amount: amount
         });
+        lockedOrderCount++;
+        emit BidFundsLocked(orderId, buyer, amount);
+    }
 
-        emit TradeOpened(tradeId, orderId, buyer);
+    // Seller fills (part of) a bid: the trade is funded from the bid's locked quote
+    function openTradeFromBid(
+        uint256 orderId,
+        address buyer,
+        address seller,
+        address sellToken,
+        uint256 sellAmount,
+        address quoteToken,
+        uint256 quoteAmount,
+        OTCStructs.TradeFees calldata fees,
+        address bondToken
+    ) external onlyOrders nonReentrant returns (uint256 tradeId) {
+        BidFunds storage b = bidFunds[orderId];
+        if (b.buyer != buyer || b.quoteToken != quoteToken)
+            revert OTCErrors.InvalidState();
+        if (b.amount < quoteAmount + fees.buyerFee)
+            revert OTCErrors.InvalidAmount();
+        b.amount -= quoteAmount + fees.buyerFee;
+        if (b.amount == 0) lockedOrderCount--;
+
+        tradeId = _openTrade(
+            orderId,
+            buyer,
+            seller,
+            sellToken,
+            sellAmount,
+            quoteToken,
+            quoteAmount,
+            fees,
+            bondToken,
+            OTCEnums.DeliveryMode.OFF_CHAIN
+        );
+    }
+
+    // Bid cancelled: whatever is still locked goes back to the buyer
+    function refundBidFunds(
+        uint256 orderId
+    ) external onlyOrders nonReentrant returns (uint256 refunded) {
+        BidFunds storage b = bidFunds[orderId];
+        refunded = b.amount;
+        if (refunded == 0) return 0;
+
+        b.amount = 0;
+        lockedOrderCount--;
+        _payout(b.quoteToken, b.buyer, refunded);
+        emit BidFundsRefunded(orderId, b.buyer, refunded);
+    }
+
+    // -------------------------
+    // Seller bonds
+    // -------------------------
+
+    function depositBond(
+        address token,
+        uint256 amount
+    ) external payable nonReentrant {
+        _assertActive(msg.sender);
+        if (amount == 0) revert OTCErrors.InvalidAmount();
+        _checkMsgValue(token, amount);
+        // fee-on-transfer tokens: only what arrived backs the bond
+        if (token != OTCConstants.NATIVE)
+            amount = OTCSafeERC20.safeTransferFrom(
+                token,
+                msg.sender,
+                address(this),
+                amount
+            );
+
+        liabilities[token] += amount;
+        bondBalances[msg.sender][token] += amount;
+        emit BondDeposited(msg.sender, token, amount);
+    }
+
+    // Only the unlocked balance; bonds backing open trades stay until the trade resolves
+    function withdrawBond(address token, uint256 amount) external nonReentrant {
+        _assertActive(msg.sender);
+        if (amount == 0 || amount > bondBalances[msg.sender][token])
+            revert OTCErrors.InvalidAmount();
+
+        bondBalances[msg.sender][token] -= amount;
+        _safeTransfer(token, msg.sender, amount);
+        emit BondWithdrawn(msg.sender, token, amount);
     }
 
     function submitDeliveryTx(uint256 tradeId, string calldata txid) external {
+        _submitDelivery(tradeId, txid, "");
+    }
+
+    // For sell assets with a delivery verifier: `proof` is whatever that verifier expects
+    function submitDeliveryProof(
+        uint256 tradeId,
+        string calldata txid,
+        bytes calldata proof
+    ) external {
+        _submitDelivery(tradeId, txid, proof);
+    }
+
+    function _submitDelivery(
+        uint256 tradeId,
+        string calldata txid,
+        bytes memory proof
+    ) internal {
         OTCStructs.Trade storage t = trades[tradeId];
         if (t.status != OTCEnums.TradeStatus.AWAITING_DELIVERY)
             revert OTCErrors.InvalidState();
         if (msg.sender != t.seller) revert OTCErrors.NotSeller();
+        _assertActive(msg.sender);
 
-        // Placeholder for future: checkLogisticsStatus() == true always
-        require(_checkLogisticsStatus(txid), "logistics fail");
+        if (!_checkLogisticsStatus(t, txid, proof))
+            revert OTCErrors.DeliveryNotVerified();
 
         t.deliveryTxId = txid;
         t.deliveredAt = block.timestamp;
-        t.status = OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM;
+        t.confirmDeadline = block.timestamp + _config().confirmWindow();
+        _setStatus(t, OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM);
 
         emit DeliverySubmitted(tradeId, txid);
     }
@@ -99,51 +328,145 @@ contract OTCEscrow is IOTCEscrow {
         if (t.status != OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM)
             revert OTCErrors.InvalidState();
         if (msg.sender != t.buyer) revert OTCErrors.NotBuyer();
+        _assertActive(msg.sender);
 
-        // Payout: quoteAmount to seller, feeAmount to treasury (pulled from config via call)
-        address treasury = _treasury();
-        _safeTransfer(t.quoteToken, t.seller, t.quoteAmount);
-        if (t.feeAmount > 0) _safeTransfer(t.quoteToken, treasury, t.feeAmount);
+        _payRelease(t);
+        _releaseBond(t);
+        _deliverSellAsset(t);
 
-        t.status = OTCEnums.TradeStatus.RELEASED;
+        _setStatus(t, OTCEnums.TradeStatus.RELEASED);
         emit ReceiptConfirmed(tradeId);
     }
 
     function rejectReceipt(uint256 tradeId) external {
-        OTCStructs.Trade storage t = trades[tradeId];
-        if (t.status != OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM)
+        _openDispute(tradeId, OTCEnums.DisputeReason.UNSPECIFIED, "", 0);
+    }
+
+    // -------------------------
+    // Disputes
+    // -------------------------
+
+    // rejectReceipt with a reason code and the buyer's first evidence
+    function openDispute(
+        uint256 tradeId,
+        OTCEnums.DisputeReason reason,
+        string calldata evidenceURI,
+        bytes32 evidenceHash
+    ) external {
+        _openDispute(tradeId, reason, evidenceURI, evidenceHash);
+    }
+
+    // Either party, until the response deadline; a later submission replaces that party's previous one.
+    // Left open to frozen users so their side of the dispute still gets on record.
+    function submitEvidence(
+        uint256 tradeId,
+        string calldata evidenceURI,
+        bytes32 evidenceHash
+    ) external {
+        OTCStructs.Dispute storage d = disputes[tradeId];
+        if (d.status != OTCEnums.DisputeStatus.OPEN)
             revert OTCErrors.InvalidState();
-        if (msg.sender != t.buyer) revert OTCErrors.NotBuyer();
+        if (block.timestamp > d.responseDeadline)
+            revert OTCErrors.EvidenceWindowClosed();
+        _storeEvidence(tradeId, d, evidenceURI, evidenceHash);
+    }
 
-        t.status = OTCEnums.TradeStatus.DISPUTE_PENDING;
-        emit ReceiptRejected(tradeId);
+    // Dispute managers assign; once assigned, only the same manager may reassign. Once the
+    // arbiter or that manager has lost its role, any dispute manager or the admin owner may,
+    // so a revoked or renounced role can't leave the dispute without anyone to resolve it.
+    function assignArbiter(uint256 tradeId, address arbiter) external {
+        if (!_isArbiter(arbiter)) revert OTCErrors.NotArbiter();
+        OTCStructs.Dispute storage d = disputes[tradeId];
+        if (d.status != OTCEnums.DisputeStatus.OPEN)
+            revert OTCErrors.InvalidState();
+
+        bool manager = _hasRole(OTCRoles.DISPUTE_MANAGER, msg.sender);
+        if (
+            d.arbiter != address(0) &&
+            !(_isArbiter(d.arbiter) &&
+                _hasRole(OTCRoles.DISPUTE_MANAGER, d.assignedBy))
+        ) {
+            if (!manager && msg.sender != IOTCAdmin(registry.admin()).owner())
+                revert OTCErrors.MissingRole();
+        } else if (
+            !manager || (d.arbiter != address(0) && msg.sender != d.assignedBy)
+        ) revert OTCErrors.MissingRole();
+
+        d.arbiter = arbiter;
+        d.assignedBy = msg.sender;
+        emit ArbiterAssigned(tradeId, arbiter, msg.sender);
     }
 
-    // Reserved: manager/admin "API" to force change trade state
-    function adminForceRelease(uint256 tradeId) external nonReentrant {
-        require(_isAdmin(msg.sender), "not admin");
+    /**
+     * Splits the escrowed quote and fee: `buyerQuoteAmount` / `buyerFeeAmount` go back to the
+     * buyer, the rest of the quote to the seller and the rest of the fee to treasury. The
+     * seller's bond is slashed in proportion to the quote returned to the buyer.
+     * Only the assigned arbiter may resolve; without one, any arbiter may. Not before the
+     * response deadline unless both parties have submitted evidence.
+     */
+    function resolveDispute(
+        uint256 tradeId,
+        uint256 buyerQuoteAmount,
+        uint256 buyerFeeAmount
+    ) external nonReentrant {
+        _resolveDispute(tradeId, buyerQuoteAmount, buyerFeeAmount);
+    }
+
+    function getDispute(
+        uint256 tradeId
+    ) external view returns (OTCStructs.Dispute memory) {
+        return disputes[tradeId];
+    }
+
+    // -------------------------
+    // Timeouts (permissionless)
+    // -------------------------
+
+    // Seller never delivered: buyer gets quote + fee back once the delivery window the trade
+    // opened with has passed, and the seller's bond is slashed as on a lost dispute
+    function claimRefundAfterTimeout(uint256 tradeId) external nonReentrant {
         OTCStructs.Trade storage t = trades[tradeId];
-        if (t.status != OTCEnums.TradeStatus.DISPUTE_PENDING)
+        if (t.status != OTCEnums.TradeStatus.AWAITING_DELIVERY)
             revert OTCErrors.InvalidState();
+        uint256 deadline = t.deliveryDeadline;
+        if (deadline == 0) deadline = t.createdAt + _config().deliveryWindow();
+        if (block.timestamp <= deadline) revert OTCErrors.TimeoutNotReached();
 
-        address treasury = _treasury();
-        _safeTransfer(t.quoteToken, t.seller, t.quoteAmount);
-        if (t.feeAmount > 0) _safeTransfer(t.quoteToken, treasury, t.feeAmount);
+        _setStatus(t, OTCEnums.TradeStatus.REFUNDED);
+        _payout(t.quoteToken, t.buyer, t.quoteAmount + t.feeAmount);
+        _slashBond(tradeId, t, t.bondAmount);
 
-        t.status = OTCEnums.TradeStatus.RELEASED;
-        emit AdminResolved(tradeId, t.status);
+        emit TradeTimedOut(tradeId, t.status);
     }
 
-    function adminForceRefund(uint256 tradeId) external nonReentrant {
-        require(_isAdmin(msg.sender), "not admin");
+    // Buyer never confirmed nor disputed: seller gets paid once the confirm window fixed at
+    // delivery has passed
+    function claimReleaseAfterTimeout(uint256 tradeId) external nonReentrant {
         OTCStructs.Trade storage t = trades[tradeId];
-        if (t.status != OTCEnums.TradeStatus.DISPUTE_PENDING)
+        if (t.status != OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM)
             revert OTCErrors.InvalidState();
+        uint256 deadline = t.confirmDeadline;
+        if (deadline == 0) deadline = t.deliveredAt + _config().confirmWindow();
+        if (block.timestamp <= deadline) revert OTCErrors.TimeoutNotReached();
+
+        _setStatus(t, OTCEnums.TradeStatus.RELEASED);
+        _payRelease(t);
+        _releaseBond(t);
+        _deliverSellAsset(t);
 
-        // Refund: quoteAmount + feeAmount to buyer
-        _safeTransfer(t.quoteToken, t.buyer, t.quoteAmount + t.feeAmount);
+        emit TradeTimedOut(tradeId, t.status);
+    }
 
-        t.status = OTCEnums.TradeStatus.REFUNDED;
+    // Arbiter shortcuts for all-or-nothing resolutions, under the same rules as resolveDispute
+    function adminForceRelease(uint256 tradeId) external nonReentrant {
+        _resolveDispute(tradeId, 0, 0);
+        emit AdminResolved(tradeId, trades[tradeId].status);
+    }
+
+    function adminForceRefund(uint256 tradeId) external nonReentrant {
+        OTCStructs.Trade storage t = trades[tradeId];
+        // Refund: quoteAmount + feeAmount to buyer; dispute lost, so the seller's bond is slashed
+        _resolveDispute(tradeId, t.quoteAmount, t.feeAmount);
         emit AdminResolved(tradeId, t.status);
     }
 
@@ -153,35 +476,434 @@ contract OTCEscrow is IOTCEscrow {
         return trades[tradeId];
     }
 
+    function getTrades(
+        uint256[] calldata tradeIds
+    ) external view returns (OTCStructs.Trade[] memory out) {
+        out = new OTCStructs.Trade[](tradeIds.length);
+        for (uint256 i = 0; i < tradeIds.length; i++)
+            out[i] = trades[tradeIds[i]];
+    }
+
+    // Paginated id lists, `total` being the full count; fetch the trades with getTrades
+
+    function getTradeIdsBySeller(
+        address seller,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return OTCIndex.page(sellerTradeIds[seller], offset, limit);
+    }
+
+    function getTradeIdsByBuyer(
+        address buyer,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return OTCIndex.page(buyerTradeIds[buyer], offset, limit);
+    }
+
+    // Unordered: a trade changing status moves the last id of its old list into its slot
+    function getTradeIdsByStatus(
+        OTCEnums.TradeStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return OTCIndex.page(statusTradeIds[status].ids, offset, limit);
+    }
+
+    // Trades still holding funds: awaiting delivery, awaiting confirmation or disputed
+    function openTradeCount() external view returns (uint256) {
+        return
+            statusTradeIds[OTCEnums.TradeStatus.AWAITING_DELIVERY].ids.length +
+            statusTradeIds[OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM]
+                .ids
+                .length +
+            statusTradeIds[OTCEnums.TradeStatus.DISPUTE_PENDING].ids.length;
+    }
+
+    // -------------------------
+    // Compliance hold
+    // -------------------------
+
+    function claimHeldFunds(address token) external nonReentrant {
+        _assertActive(msg.sender);
+        uint256 amount = heldFunds[msg.sender][token];
+        if (amount == 0) revert OTCErrors.InvalidAmount();
+
+        heldFunds[msg.sender][token] = 0;
+        _safeTransfer(token, msg.sender, amount);
+        emit HeldFundsClaimed(msg.sender, token, amount);
+    }
+
+    // Fallback for payouts whose push transfer failed; `to` lets a blacklisted wallet redirect
+    function claimPayout(address token, address to) external nonReentrant {
+        _assertActive(msg.sender);
+        uint256 amount = pendingPayouts[msg.sender][token];
+        if (amount == 0) revert OTCErrors.InvalidAmount();
+
+        pendingPayouts[msg.sender][token] = 0;
+        _safeTransfer(token, to, amount);
+        emit PayoutClaimed(msg.sender, to, token, amount);
+    }
+
+    // -------------------------
+    // Treasury fees & reconciliation
+    // -------------------------
+
+    // Pull-based: fees stay in escrow until the current treasury withdraws them
+    function withdrawFees(
+        address token,
+        address to,
+        uint256 amount
+    ) external nonReentrant {
+        if (msg.sender != _config().treasury()) revert OTCErrors.NotTreasury();
+        if (amount == 0 || amount > accruedFees[token])
+            revert OTCErrors.InvalidAmount();
+
+        accruedFees[token] -= amount;
+        _safeTransfer(token, to, amount);
+        emit FeesWithdrawn(token, to, amount);
+    }
+
+    // What escrow holds of `token` against what it owes; balance >= owed unless funds went missing
+    function reconcile(
+        address token
+    ) external view returns (uint256 balance, uint256 owed) {
+        balance = token == OTCConstants.NATIVE
+            ? address(this).balance
+            : IERC20(token).balanceOf(address(this));
+        owed = liabilities[token];
+    }
+
     // -------------------------
     // Placeholders / Internals
     // -------------------------
 
+    function _openTrade(
+        uint256 orderId,
+        address buyer,
+        address seller,
+        address sellToken,
+        uint256 sellAmount,
+        address quoteToken,
+        uint256 quoteAmount,
+        OTCStructs.TradeFees calldata fees,
+        address bondToken,
+        OTCEnums.DeliveryMode mode
+    ) internal returns (uint256 tradeId) {
+        if (quoteAmount == 0) revert OTCErrors.InvalidAmount();
+
+        tradeId = nextTradeId++;
+        bool escrowed = mode != OTCEnums.DeliveryMode.OFF_CHAIN;
+
+        // bond is a share of the trade value, in whichever of the two tokens it is posted in;
+        // escrowed deliveries can't be faked, so they need none
+        uint256 bondAmount;
+        if (!escrowed) {
+            bondAmount =
+                ((bondToken == sellToken ? sellAmount : quoteAmount) *
+                    _config().sellerBondBps()) /
+                10_000;
+        }
+        if (bondAmount > 0) {
+            if (bondBalances[seller][bondToken] < bondAmount)
+                revert OTCErrors.InsufficientBond();
+            bondBalances[seller][bondToken] -= bondAmount;
+        }
+
+        trades[tradeId] = OTCStructs.Trade({
+            id: tradeId,
+            orderId: orderId,
+            buyer: buyer,
+            seller: seller,
+            sellToken: sellToken,
+            sellAmount: sellAmount,
+            quoteToken: quoteToken,
+            quoteAmount: quoteAmount,
+            feeAmount: fees.buyerFee,
+            deliveryTxId: "",
+            createdAt: block.timestamp,
+            // escrowed sell asset counts as delivered: only the buyer's confirmation is left
+            deliveredAt: escrowed ? block.timestamp : 0,
+            status: escrowed
+                ? OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM
+                : OTCEnums.TradeStatus.AWAITING_DELIVERY,
+            bondToken: bondToken,
+            bondAmount: bondAmount,
+            deliveryMode: mode,
+            sellerFeeAmount: fees.sellerFee,
+            referrer: fees.referrer,
+            referralFeeAmount: fees.referralFee,
+            deliveryDeadline: block.timestamp + _config().deliveryWindow(),
+            confirmDeadline: escrowed
+                ? block.timestamp + _config().confirmWindow()
+                : 0
+        });
+
+        sellerTradeIds[seller].push(tradeId);
+        buyerTradeIds[buyer].push(tradeId);
+        OTCIndex.add(statusTradeIds[trades[tradeId].status], tradeId);
+
+        emit TradeOpened(tradeId, orderId, buyer);
+        if (bondAmount > 0)
+            emit BondLocked(tradeId, seller, bondToken, bondAmount);
+    }
+
+    // Full release: the seller gets the quote net of their fee, the referrer its share
+    // of the fees and treasury the rest
+    function _payRelease(OTCStructs.Trade storage t) internal {
+        _payout(t.quoteToken, t.seller, t.quoteAmount - t.sellerFeeAmount);
+        uint256 fees = t.feeAmount + t.sellerFeeAmount;
+        if (t.referralFeeAmount > 0) {
+            fees -= t.referralFeeAmount;
+            _payout(t.quoteToken, t.referrer, t.referralFeeAmount);
+        }
+        _accrueFees(t.quoteToken, fees);
+    }
+
+    function _setStatus(
+        OTCStructs.Trade storage t,
+        OTCEnums.TradeStatus status
+    ) internal {
+        OTCIndex.remove(statusTradeIds[t.status], t.id);
+        OTCIndex.add(statusTradeIds[status], t.id);
+        t.status = status;
+    }
+
+    function _deliverSellAsset(OTCStructs.Trade storage t) internal {
+        if (t.deliveryMode == OTCEnums.DeliveryMode.OFF_CHAIN) return;
+        _payout(t.sellToken, t.buyer, t.sellAmount);
+    }
+
+    // Bond goes back to the seller's balance, free to back the next trade or be withdrawn
+    function _releaseBond(OTCStructs.Trade storage t) internal {
+        uint256 amount = t.bondAmount;
+        if (amount == 0) return;
+        t.bondAmount = 0;
+        bondBalances[t.seller][t.bondToken] += amount;
+        emit BondReleased(t.id, amount);
+    }
+
+    function _openDispute(
+        uint256 tradeId,
+        OTCEnums.DisputeReason reason,
+        string memory evidenceURI,
+        bytes32 evidenceHash
+    ) internal {
+        OTCStructs.Trade storage t = trades[tradeId];
+        if (t.status != OTCEnums.TradeStatus.DELIVERED_PENDING_CONFIRM)
+            revert OTCErrors.InvalidState();
+        if (msg.sender != t.buyer) revert OTCErrors.NotBuyer();
+        _assertActive(msg.sender);
+        // the sell asset is already in escrow: nothing for an admin to adjudicate
+        if (t.deliveryMode != OTCEnums.DeliveryMode.OFF_CHAIN)
+            revert OTCErrors.DisputeNotAllowed();
+
+        _setStatus(t, OTCEnums.TradeStatus.DISPUTE_PENDING);
+
+        OTCStructs.Dispute storage d = disputes[tradeId];
+        d.status = OTCEnums.DisputeStatus.OPEN;
+        d.reason = reason;
+        d.openedAt = block.timestamp;
+        d.responseDeadline =
+            block.timestamp +
+            _config().disputeResponseWindow();
+
+        emit ReceiptRejected(tradeId);
+        emit DisputeOpened(tradeId, reason, d.responseDeadline);
+        if (bytes(evidenceURI).length != 0 || evidenceHash != bytes32(0))
+            _storeEvidence(tradeId, d, evidenceURI, evidenceHash);
+    }
+
+    function _storeEvidence(
+        uint256 tradeId,
+        OTCStructs.Dispute storage d,
+        string memory evidenceURI,
+        bytes32 evidenceHash
+    ) internal {
+        OTCStructs.Trade storage t = trades[tradeId];
+        if (msg.sender == t.buyer) {
+            d.buyerEvidenceURI = evidenceURI;
+            d.buyerEvidenceHash = evidenceHash;
+        } else if (msg.sender == t.seller) {
+            d.sellerEvidenceURI = evidenceURI;
+            d.sellerEvidenceHash = evidenceHash;
+        } else {
+            revert OTCErrors.NotTradeParty();
+        }
+        emit EvidenceSubmitted(tradeId, msg.sender, evidenceURI, evidenceHash);
+    }
+
+    function _resolveDispute(
+        uint256 tradeId,
+        uint256 buyerQuoteAmount,
+        uint256 buyerFeeAmount
+    ) internal {
+        OTCStructs.Dispute storage d = disputes[tradeId];
+        if (
+            !_isArbiter(msg.sender) ||
+            (d.arbiter != address(0) && msg.sender != d.arbiter)
+        ) revert OTCErrors.NotArbiter();
+        OTCStructs.Trade storage t = trades[tradeId];
+        if (t.status != OTCEnums.TradeStatus.DISPUTE_PENDING)
+            revert OTCErrors.InvalidState();
+        // the seller gets the full response window unless both sides are already on record
+        if (
+            block.timestamp <= d.responseDeadline &&
+            !(_hasEvidence(d.buyerEvidenceURI, d.buyerEvidenceHash) &&
+                _hasEvidence(d.sellerEvidenceURI, d.sellerEvidenceHash))
+        ) revert OTCErrors.EvidenceWindowOpen();
+        if (buyerQuoteAmount > t.quoteAmount || buyerFeeAmount > t.feeAmount)
+            revert OTCErrors.InvalidSplit();
+
+        uint256 sellerQuoteAmount = t.quoteAmount - buyerQuoteAmount;
+        uint256 treasuryFeeAmount = t.feeAmount - buyerFeeAmount;
+        uint256 referralFeeAmount;
+        if (buyerQuoteAmount == 0 && buyerFeeAmount == 0) {
+            _setStatus(t, OTCEnums.TradeStatus.RELEASED);
+            // referrers are only paid on trades released in full
+            referralFeeAmount = t.referralFeeAmount;
+        } else if (sellerQuoteAmount == 0 && treasuryFeeAmount == 0) {
+            _setStatus(t, OTCEnums.TradeStatus.REFUNDED);
+        } else {
+            _setStatus(t, OTCEnums.TradeStatus.SETTLED);
+        }
+        // the seller's fee applies to the part of the quote they keep
+        uint256 sellerFeeAmount = (t.sellerFeeAmount * sellerQuoteAmount) /
+            t.quoteAmount;
+        sellerQuoteAmount -= sellerFeeAmount;
+        treasuryFeeAmount =
+            treasuryFeeAmount +
+            sellerFeeAmount -
+            referralFeeAmount;
+
+        d.status = OTCEnums.DisputeStatus.RESOLVED;
+        d.buyerQuoteAmount = buyerQuoteAmount;
+        d.buyerFeeAmount = buyerFeeAmount;
+
+        if (buyerQuoteAmount + buyerFeeAmount > 0)
+            _payout(t.quoteToken, t.buyer, buyerQuoteAmount + buyerFeeAmount);
+        if (sellerQuoteAmount > 0)
+            _payout(t.quoteToken, t.seller, sellerQuoteAmount);
+        if (referralFeeAmount > 0)
+            _payout(t.quoteToken, t.referrer, referralFeeAmount);
+        _accrueFees(t.quoteToken, treasuryFeeAmount);
+        _slashBond(
+            tradeId,
+            t,
+            (t.bondAmount * buyerQuoteAmount) / t.quoteAmount
+        );
+
+        emit DisputeResolved(
+            tradeId,
+            msg.sender,
+            buyerQuoteAmount,
+            sellerQuoteAmount,
+            buyerFeeAmount,
+            treasuryFeeAmount
+        );
+    }
+
+    function _hasEvidence(
+        string storage uri,
+        bytes32 hash
+    ) internal view returns (bool) {
+        return hash != bytes32(0) || bytes(uri).length != 0;
+    }
+
+    // Slashes `amount` of the trade's bond to buyer/treasury; the rest goes back to the seller
+    function _slashBond(
+        uint256 tradeId,
+        OTCStructs.Trade storage t,
+        uint256 amount
+    ) internal {
+        if (amount == 0) return _releaseBond(t);
+        t.bondAmount -= amount;
+        _releaseBond(t);
+
+        uint256 toBuyer = (amount * _config().bondSlashBuyerBps()) / 10_000;
+        uint256 toTreasury = amount - toBuyer;
+        if (toBuyer > 0) _payout(t.bondToken, t.buyer, toBuyer);
+        _accrueFees(t.bondToken, toTreasury);
+        emit BondSlashed(tradeId, toBuyer, toTreasury);
+    }
+
+    function _checkMsgValue(address quoteToken, uint256 amount) internal view {
+        if (quoteToken == OTCConstants.NATIVE) {
+            if (msg.value != amount) revert OTCErrors.InvalidMsgValue();
+        } else if (msg.value != 0) {
+            revert OTCErrors.InvalidMsgValue();
+        }
+    }
+
+    // Sell assets without a registered verifier keep the phase 1 behaviour: any txid is accepted
     function _checkLogisticsStatus(
-        string calldata /*txid*/
-    ) internal pure returns (bool) {
-        return true; // Phase 1: always true
+        OTCStructs.Trade storage t,
+        string calldata txid,
+        bytes memory proof
+    ) internal returns (bool) {
+        address verifier = _config().deliveryVerifiers(t.sellToken);
+        if (verifier == address(0)) return true;
+        if (!IDeliveryVerifier(verifier).verifyDelivery(t, txid, proof))
+            return false;
+        emit DeliveryVerified(t.id, verifier);
+        return true;
+    }
+
+    // Payouts to trade parties: a banned/frozen recipient's share stays in escrow, on hold.
+    // A failed push never blocks settlement: the recipient claims it later with claimPayout.
+    function _payout(address token, address to, uint256 amount) internal {
+        if (!_isActiveUser(to)) {
+            heldFunds[to][token] += amount;
+            emit PayoutHeld(to, token, amount);
+        } else if (!_trySend(token, to, amount)) {
+            pendingPayouts[to][token] += amount;
+            emit PayoutDeferred(to, token, amount);
+        }
+    }
+
+    function _accrueFees(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        accruedFees[token] += amount;
+        emit FeesAccrued(token, amount);
     }
 
     function _safeTransfer(address token, address to, uint256 amount) internal {
-        bool ok = IERC20(token).transfer(to, amount);
-        if (!ok) revert OTCErrors.TransferFailed();
+        if (!_trySend(token, to, amount)) revert OTCErrors.TransferFailed();
     }
 
-    function _treasury() internal view returns (address treasury) {
-        // read treasury from config with low-level staticcall to avoid interface plumbing
-        (bool ok, bytes memory data) = configContract.staticcall(
-            abi.encodeWithSignature("treasury()")
-        );
-        require(ok && data.length >= 32, "treasury read fail");
-        treasury = abi.decode(data, (address));
+    // Every transfer out of escrow goes through here, settling the matching liability
+    function _trySend(
+        address token,
+        address to,
+        uint256 amount
+    ) internal returns (bool sent) {
+        liabilities[token] -= amount;
+        if (token == OTCConstants.NATIVE) {
+            (sent, ) = payable(to).call{value: amount}("");
+        } else {
+            sent = OTCSafeERC20.tryTransfer(token, to, amount);
+        }
+        if (!sent) liabilities[token] += amount;
     }
 
-    function _isAdmin(address who) internal view returns (bool) {
-        (bool ok, bytes memory data) = adminContract.staticcall(
-            abi.encodeWithSignature("isAdmin(address)", who)
-        );
-        if (!ok || data.length < 32) return false;
-        return abi.decode(data, (bool));
+    function _config() internal view returns (IOTCConfig) {
+        return IOTCConfig(registry.config());
+    }
+
+    function _isActiveUser(address who) internal view returns (bool) {
+        return IOTCAdmin(registry.admin()).isActiveUser(who);
+    }
+
+    function _assertActive(address who) internal view {
+        if (!_isActiveUser(who)) revert OTCErrors.UserFrozenOrBanned();
+    }
+
+    function _isArbiter(address who) internal view returns (bool) {
+        return _hasRole(OTCRoles.ARBITER, who);
+    }
+
+    function _hasRole(bytes32 role, address who) internal view returns (bool) {
+        return IOTCAdmin(registry.admin()).hasRole(role, who);
     }
 }
@@ -5,43 +5,55 @@ import "../libraries/OTCStructs.sol";
 import "../libraries/OTCEnums.sol";
 import "../libraries/OTCErrors.sol";
 import "../libraries/OTCMath.sol";
+import "../libraries/OTCConstants.sol";
+import "../libraries/OTCRoles.sol";
+import "../libraries/OTCSafeERC20.sol";
+import "../libraries/OTCIndex.sol";
 import "../interfaces/IOTCEscrow.sol";
-
-interface IERC20Like {
-    function transferFrom(
-        address from,
-        address to,
-        uint256 amount
-    ) external returns (bool);
-}
+import "../interfaces/IOTCRegistry.sol";
+import "../interfaces/IOTCAdmin.sol";
+import "../interfaces/IOTCConfig.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 interface IERC20Decimals {
     function decimals() external view returns (uint8);
 }
 
-interface IAdminLike {
-    function assertActiveUser(address user) external view;
-}
-
-interface IConfigLike {
-    function allowedQuoteTokens(address token) external view returns (bool);
-    function feeBps() external view returns (uint256);
-    function spreadBps() external view returns (uint256);
-    function getOraclePrice(
-        address token
-    ) external view returns (uint256 price, uint8 decimals_);
-}
-
-contract OTCOrders {
+// Deployed behind a transparent proxy: state is set up in `initialize`
+contract OTCOrders is Initializable {
     using OTCMath for uint256;
 
-    address public owner;
-    address public admin;
-    address public config;
-    address public escrow;
+    IOTCRegistry public registry; // resolves Admin, Config and Escrow
 
-    uint256 public nextOrderId = 1;
+    uint256 public nextOrderId; // starts at 1, or where the Orders this one replaced was
     mapping(uint256 => OTCStructs.Order) public orders;
+    mapping(uint256 => uint256[]) private orderTradeIds; // every fill of an order
+
+    // EIP712("OTCOrders", "1"); rebuilt per call, so it follows the proxy address and chain id
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 public constant SIGNED_ORDER_TYPEHASH =
+        keccak256(
+            "SignedOrder(address seller,address sellToken,uint256 sellAmount,address quoteToken,uint8 pricingMode,uint256 quoteAmount,int256 spreadBps,uint256 expiresAt,uint256 nonce)"
+        );
+
+    mapping(address => uint256) public minNonce; // seller's signed orders below this nonce are void
+    mapping(bytes32 => uint256) public signedOrderIds; // order hash => orderId it was taken as
+    mapping(bytes32 => bool) public signedOrderCancelled;
+
+    // USD volume (1e18) traded per user and fixed 1-day / 30-day bucket, for the KYC tier limits
+    mapping(address => mapping(uint256 => uint256)) public dailyVolumeUsd;
+    mapping(address => mapping(uint256 => uint256)) public monthlyVolumeUsd;
+
+    // Query indexes: fillable orders per market and side, every order per maker
+    mapping(bytes32 => OTCIndex.Set) private openOrderIds;
+    mapping(address => uint256[]) private sellerOrderIds; // asks, incl. taken signed orders
+    mapping(address => uint256[]) private buyerOrderIds; // bids
 
     event OrderCreated(
         uint256 indexed orderId,
@@ -49,29 +61,90 @@ contract OTCOrders {
         address sellToken,
         uint256 sellAmount,
         address quoteToken,
-        uint256 quoteAmount
+        uint256 quoteAmount,
+        uint256 expiresAt,
+        OTCEnums.PricingMode pricingMode,
+        int256 spreadBps,
+        address allowedTaker,
+        bytes32 takerRoot
+    );
+    event BidCreated(
+        uint256 indexed orderId,
+        address indexed buyer,
+        address sellToken,
+        uint256 sellAmount,
+        address quoteToken,
+        uint256 quoteAmount,
+        uint256 feeAmount,
+        uint256 expiresAt,
+        OTCEnums.PricingMode pricingMode,
+        int256 spreadBps,
+        address allowedTaker,
+        bytes32 takerRoot
     );
     event OrderCancelled(uint256 indexed orderId);
+    event OrderCancelledByCompliance(
+        uint256 indexed orderId,
+        address indexed maker,
+        address indexed officer
+    );
     event OrderTaken(
         uint256 indexed orderId,
         uint256 indexed tradeId,
-        address indexed buyer
+        address indexed buyer,
+        uint256 fillAmount,
+        uint256 remainingAmount
+    );
+    event BidFilled(
+        uint256 indexed orderId,
+        uint256 indexed tradeId,
+        address indexed seller,
+        uint256 fillAmount,
+        uint256 remainingAmount
+    );
+    event SignedOrderTaken(
+        bytes32 indexed orderHash,
+        uint256 indexed orderId,
+        uint256 indexed tradeId,
+        address seller,
+        address buyer,
+        uint256 quoteAmount
+    );
+    event SignedOrderCancelled(
+        bytes32 indexed orderHash,
+        address indexed seller
     );
+    event MinNonceUpdated(address indexed seller, uint256 minNonce);
 
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert OTCErrors.NotOwner();
-        _;
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
     }
 
-    constructor(address _owner, address _admin, address _config) {
-        owner = _owner;
-        admin = _admin;
-        config = _config;
+    function initialize(address _registry) external initializer {
+        nextOrderId = 1;
+        registry = IOTCRegistry(_registry);
     }
 
-    function setEscrow(address _escrow) external onlyOwner {
-        require(_escrow != address(0), "zero");
-        escrow = _escrow;
+    // Called by the registry as it swaps this Orders in. Escrow keeps the funds of escrowed
+    // asks and bids by order id, so ids carry on from the outgoing Orders'. Until then this
+    // Orders can't hand out ids: checkMarket only accepts the registry's Orders.
+    function continueOrderIds(uint256 fromId) external {
+        require(msg.sender == address(registry), "only registry");
+        if (fromId > nextOrderId) nextOrderId = fromId;
+    }
+
+    function _admin() internal view returns (IOTCAdmin) {
+        return IOTCAdmin(registry.admin());
+    }
+
+    function _config() internal view returns (IOTCConfig) {
+        return IOTCConfig(registry.config());
+    }
+
+    function _escrow() internal view returns (address escrow) {
+        escrow = registry.escrow();
+        if (escrow == address(0)) revert("escrow not set");
     }
 
     // ------------------------------------------------------------
@@ -81,94 +154,995 @@ contract OTCOrders {
     function createOrder(
         address sellToken, // "WBTC" or "WETH" or "USDT" or "USDC"
         uint256 sellAmount, // 1e18 units
-        address quoteToken // USDT / USDC (6 decimals)
+        address quoteToken // USDT / USDC (6 decimals), or address(0) for native coin
     ) external returns (uint256 orderId) {
-        IAdminLike(admin).assertActiveUser(msg.sender);
-
-        if (sellAmount == 0) revert OTCErrors.InvalidAmount();
-        if (!IConfigLike(config).allowedQuoteTokens(quoteToken))
-            revert OTCErrors.InvalidToken();
-
-        if (!IConfigLike(config).allowedQuoteTokens(sellToken))
-            revert OTCErrors.InvalidToken();
+        return
+            _createOrder(
+                _defaultParams(sellToken, sellAmount, quoteToken),
+                OTCEnums.OrderSide.ASK
+            );
+    }
 
-        require(sellToken != quoteToken, "buy=sell");
+    // "1 WBTC for exactly 61,500 USDT": quoteAmount is the price for the full sellAmount
+    function createFixedPriceOrder(
+        address sellToken,
+        uint256 sellAmount,
+        address quoteToken,
+        uint256 quoteAmount
+    ) external returns (uint256 orderId) {
+        OTCStructs.OrderParams memory p = _defaultParams(
+            sellToken,
+            sellAmount,
+            quoteToken
+        );
+        p.pricingMode = OTCEnums.PricingMode.FIXED;
+        p.fixedQuoteAmount = quoteAmount;
+        return _createOrder(p, OTCEnums.OrderSide.ASK);
+    }
 
-        uint256 quoteAmount = _calcQuoteAmount(
+    // Oracle-locked order with the seller's own premium (+) or discount (-) instead of config.spreadBps
+    function createOrderWithSpread(
+        address sellToken,
+        uint256 sellAmount,
+        address quoteToken,
+        int256 spreadBps
+    ) external returns (uint256 orderId) {
+        OTCStructs.OrderParams memory p = _defaultParams(
             sellToken,
             sellAmount,
             quoteToken
         );
+        p.customSpread = true;
+        p.spreadBps = spreadBps;
+        return _createOrder(p, OTCEnums.OrderSide.ASK);
+    }
+
+    // payable for ESCROWED* asks of the native coin: send sellAmount as msg.value
+    function createOrderWithParams(
+        OTCStructs.OrderParams calldata p
+    ) external payable returns (uint256 orderId) {
+        return _createOrder(p, OTCEnums.OrderSide.ASK);
+    }
+
+    // ------------------------------------------------------------
+    // Bids: buyer asks to buy `sellAmount` of `sellToken`, funds locked upfront
+    // ------------------------------------------------------------
+
+    function createBid(
+        address sellToken, // asset the buyer wants
+        uint256 sellAmount,
+        address quoteToken
+    ) external payable returns (uint256 orderId) {
+        return
+            _createOrder(
+                _defaultParams(sellToken, sellAmount, quoteToken),
+                OTCEnums.OrderSide.BID
+            );
+    }
+
+    // ORACLE_LOCKED or FIXED only: the escrowed amount can't follow a live price
+    function createBidWithParams(
+        OTCStructs.OrderParams calldata p
+    ) external payable returns (uint256 orderId) {
+        return _createOrder(p, OTCEnums.OrderSide.BID);
+    }
+
+    // Seller delivers `fillAmount` of the bid; the trade is funded from the bid's escrowed quote
+    function fillBid(
+        uint256 orderId,
+        uint256 fillAmount
+    ) external returns (uint256 tradeId) {
+        return _fillBid(orderId, fillAmount, new bytes32[](0));
+    }
+
+    // Whitelisted bids: `proof` shows msg.sender is in the bid's takerRoot
+    function fillBid(
+        uint256 orderId,
+        uint256 fillAmount,
+        bytes32[] calldata proof
+    ) external returns (uint256 tradeId) {
+        return _fillBid(orderId, fillAmount, proof);
+    }
+
+    function _fillBid(
+        uint256 orderId,
+        uint256 fillAmount,
+        bytes32[] memory proof
+    ) internal returns (uint256 tradeId) {
+        _admin().assertActiveUser(msg.sender);
+
+        OTCStructs.Order storage o = orders[orderId];
+        if (!_isFillable(o.status)) revert OTCErrors.OrderNotOpen();
+        if (o.side != OTCEnums.OrderSide.BID) revert OTCErrors.WrongOrderSide();
+        _admin().assertActiveUser(o.buyer);
+        _config().checkMarket(o.sellAsset, o.quoteToken);
+        if (msg.sender == o.buyer) revert OTCErrors.InvalidAmount();
+        _checkTaker(o, proof);
+        if (o.expiresAt != 0 && block.timestamp > o.expiresAt)
+            revert OTCErrors.OrderExpired();
+
+        _checkFill(o, fillAmount);
+        uint256 quoteAmount = _proRata(o, o.quoteAmount, fillAmount);
+        if (quoteAmount == 0) revert OTCErrors.FillTooSmall();
+        // the buyer's fee was locked with the bid; the seller's is priced now
+        OTCStructs.TradeFees memory fees = _fees(
+            o.sellAsset,
+            o.quoteToken,
+            quoteAmount,
+            o.buyer,
+            msg.sender,
+            address(0)
+        );
+        fees.buyerFee = _proRata(o, o.feeAmount, fillAmount);
+        _bookFill(o.buyer, msg.sender, o.sellAsset, fillAmount);
+        _applyFill(o, fillAmount);
+
+        tradeId = IOTCEscrow(_escrow()).openTradeFromBid(
+            o.id,
+            o.buyer,
+            msg.sender,
+            o.sellAsset,
+            fillAmount,
+            o.quoteToken,
+            quoteAmount,
+            fees,
+            _bondToken(o)
+        );
+
+        orderTradeIds[orderId].push(tradeId);
+
+        emit BidFilled(
+            orderId,
+            tradeId,
+            msg.sender,
+            fillAmount,
+            o.remainingAmount
+        );
+    }
+
+    function _createOrder(
+        OTCStructs.OrderParams memory p,
+        OTCEnums.OrderSide side
+    ) internal returns (uint256 orderId) {
+        _admin().assertActiveUser(msg.sender);
+
+        if (p.sellAmount == 0) revert OTCErrors.InvalidAmount();
+        if (p.minFillAmount > p.sellAmount) revert OTCErrors.InvalidAmount();
+        if (!_config().allowedQuoteTokens(p.quoteToken))
+            revert OTCErrors.InvalidToken();
+
+        if (!_config().allowedQuoteTokens(p.sellToken))
+            revert OTCErrors.InvalidToken();
+
+        require(p.sellToken != p.quoteToken, "buy=sell");
+        _config().checkMarket(p.sellToken, p.quoteToken);
+        if (p.allowedTaker != address(0) && p.takerRoot != bytes32(0))
+            revert OTCErrors.InvalidTakerRestriction();
+
+        uint256 expiresAt = p.expiresAt;
+        if (expiresAt == 0) {
+            uint256 ttl = _config().orderTtl();
+            if (ttl != 0) expiresAt = block.timestamp + ttl;
+        } else if (expiresAt <= block.timestamp) {
+            revert OTCErrors.InvalidExpiry();
+        }
+        // volume is only booked when the order is filled
+        _checkTierLimits(msg.sender, p.sellToken, p.sellAmount, 0, false);
+
+        int256 spreadBps;
+        uint256 quoteAmount;
+        if (p.pricingMode == OTCEnums.PricingMode.FIXED) {
+            if (p.fixedQuoteAmount == 0) revert OTCErrors.InvalidAmount();
+            quoteAmount = p.fixedQuoteAmount;
+        } else {
+            spreadBps = _resolveSpread(p);
+            quoteAmount = _calcQuoteAmount(
+                p.sellToken,
+                p.sellAmount,
+                p.quoteToken,
+                spreadBps
+            );
+        }
+        // locked/fixed quotes must clear the floor now; live quotes are checked at every take
+        if (
+            p.pricingMode != OTCEnums.PricingMode.ORACLE_LIVE &&
+            quoteAmount < p.floorQuoteAmount
+        ) revert OTCErrors.PriceBelowFloor();
+
+        bool isBid = side == OTCEnums.OrderSide.BID;
+        uint256 feeAmount;
+        if (isBid) {
+            if (p.pricingMode == OTCEnums.PricingMode.ORACLE_LIVE)
+                revert OTCErrors.UnsupportedPricingMode();
+            if (p.deliveryMode != OTCEnums.DeliveryMode.OFF_CHAIN)
+                revert OTCErrors.UnsupportedDeliveryMode();
+            feeAmount = _fees(
+                p.sellToken,
+                p.quoteToken,
+                quoteAmount,
+                msg.sender,
+                address(0),
+                address(0)
+            ).buyerFee;
+        }
 
         orderId = nextOrderId++;
 
         orders[orderId] = OTCStructs.Order({
             id: orderId,
-            seller: msg.sender,
-            sellAsset: sellToken,
-            sellAmount: sellAmount,
-            quoteToken: quoteToken,
-            quoteAmount: quoteAmount, // ✅ token decimals (6)
+            seller: isBid ? address(0) : msg.sender,
+            sellAsset: p.sellToken,
+            sellAmount: p.sellAmount,
+            quoteToken: p.quoteToken,
+            quoteAmount: quoteAmount, // ✅ token decimals (6); indicative only for ORACLE_LIVE
             createdAt: block.timestamp,
+            expiresAt: expiresAt,
             status: OTCEnums.OrderStatus.OPEN,
-            takenTradeId: 0
+            remainingAmount: p.sellAmount,
+            minFillAmount: p.minFillAmount,
+            pricingMode: p.pricingMode,
+            floorQuoteAmount: p.floorQuoteAmount,
+            spreadBps: spreadBps,
+            side: side,
+            buyer: isBid ? msg.sender : address(0),
+            feeAmount: feeAmount,
+            allowedTaker: p.allowedTaker,
+            takerRoot: p.takerRoot,
+            bondAsset: p.bondAsset,
+            deliveryMode: p.deliveryMode
         });
+        OTCIndex.add(
+            openOrderIds[_marketKey(p.sellToken, p.quoteToken, side)],
+            orderId
+        );
+        (isBid ? buyerOrderIds : sellerOrderIds)[msg.sender].push(orderId);
+
+        if (isBid) {
+            _lockBidFunds(orderId, p.quoteToken, quoteAmount + feeAmount);
+            emit BidCreated(
+                orderId,
+                msg.sender,
+                p.sellToken,
+                p.sellAmount,
+                p.quoteToken,
+                quoteAmount,
+                feeAmount,
+                expiresAt,
+                p.pricingMode,
+                spreadBps,
+                p.allowedTaker,
+                p.takerRoot
+            );
+            return orderId;
+        }
+
+        if (p.deliveryMode != OTCEnums.DeliveryMode.OFF_CHAIN) {
+            _lockSellAsset(orderId, p.sellToken, p.sellAmount, p.deliveryMode);
+        } else if (msg.value != 0) {
+            revert OTCErrors.InvalidMsgValue();
+        }
 
         emit OrderCreated(
+            orderId,
+            msg.sender,
+            p.sellToken,
+            p.sellAmount,
+            p.quoteToken,
+            quoteAmount,
+            expiresAt,
+            p.pricingMode,
+            spreadBps,
+            p.allowedTaker,
+            p.takerRoot
+        );
+    }
+
+    function _defaultParams(
+        address sellToken,
+        uint256 sellAmount,
+        address quoteToken
+    ) internal pure returns (OTCStructs.OrderParams memory p) {
+        p.sellToken = sellToken;
+        p.sellAmount = sellAmount;
+        p.quoteToken = quoteToken;
+        p.pricingMode = OTCEnums.PricingMode.ORACLE_LOCKED;
+    }
+
+    // Spread is snapshotted on the order, so live orders keep the terms they were listed with
+    function _resolveSpread(
+        OTCStructs.OrderParams memory p
+    ) internal view returns (int256) {
+        if (!p.customSpread) return int256(_config().spreadBps());
+        _checkSpreadBounds(p.spreadBps);
+        return p.spreadBps;
+    }
+
+    function _checkSpreadBounds(int256 spreadBps) internal view {
+        if (
+            spreadBps < _config().minOrderSpreadBps() ||
+            spreadBps > _config().maxOrderSpreadBps()
+        ) revert OTCErrors.SpreadOutOfBounds();
+    }
+
+    function _lockBidFunds(
+        uint256 orderId,
+        address quoteToken,
+        uint256 total
+    ) internal {
+        if (quoteToken != OTCConstants.NATIVE) _pullToEscrow(quoteToken, total);
+        // native: escrow checks msg.value == total
+        IOTCEscrow(_escrow()).lockBidFunds{value: msg.value}(
+            orderId,
+            msg.sender,
+            quoteToken,
+            total
+        );
+    }
+
+    function _lockSellAsset(
+        uint256 orderId,
+        address sellToken,
+        uint256 sellAmount,
+        OTCEnums.DeliveryMode mode
+    ) internal {
+        if (sellToken != OTCConstants.NATIVE)
+            _pullToEscrow(sellToken, sellAmount);
+        // native: escrow checks msg.value == sellAmount
+        IOTCEscrow(_escrow()).lockSellAsset{value: msg.value}(
             orderId,
             msg.sender,
             sellToken,
             sellAmount,
-            quoteToken,
-            quoteAmount
+            mode
         );
     }
 
+    // Cancels whatever is left; trades already opened from earlier fills are unaffected.
+    // For bids (and escrowed-delivery asks), the funds still locked for the unfilled part
+    // go back to the maker.
     function cancelOrder(uint256 orderId) external {
         OTCStructs.Order storage o = orders[orderId];
-        if (o.status != OTCEnums.OrderStatus.OPEN)
-            revert OTCErrors.OrderNotOpen();
-        if (msg.sender != o.seller) revert OTCErrors.NotSeller();
+        if (!_isFillable(o.status)) revert OTCErrors.OrderNotOpen();
 
+        if (o.side == OTCEnums.OrderSide.BID) {
+            if (msg.sender != o.buyer) revert OTCErrors.NotBuyer();
+        } else if (msg.sender != o.seller) {
+            revert OTCErrors.NotSeller();
+        }
+
+        _cancelOrder(o);
+    }
+
+    /**
+     * Compliance sweep of a banned/frozen maker's book: cancels those of `orderIds`
+     * that are still open orders of `maker` and skips the rest. Locked funds go back
+     * through the escrow, which holds them while the maker stays restricted.
+     */
+    function cancelUserOrders(
+        address maker,
+        uint256[] calldata orderIds
+    ) external {
+        if (!_admin().hasRole(OTCRoles.COMPLIANCE, msg.sender))
+            revert OTCErrors.MissingRole();
+        if (_admin().isActiveUser(maker)) revert OTCErrors.InvalidState();
+
+        for (uint256 i = 0; i < orderIds.length; i++) {
+            OTCStructs.Order storage o = orders[orderIds[i]];
+            if (!_isFillable(o.status)) continue;
+            if (
+                (o.side == OTCEnums.OrderSide.BID ? o.buyer : o.seller) != maker
+            ) continue;
+            _cancelOrder(o);
+            emit OrderCancelledByCompliance(o.id, maker, msg.sender);
+        }
+    }
+
+    function _cancelOrder(OTCStructs.Order storage o) internal {
         o.status = OTCEnums.OrderStatus.CANCELLED;
-        emit OrderCancelled(orderId);
+        _unlist(o);
+        if (o.side == OTCEnums.OrderSide.BID) {
+            IOTCEscrow(_escrow()).refundBidFunds(o.id);
+        } else if (o.deliveryMode != OTCEnums.DeliveryMode.OFF_CHAIN) {
+            IOTCEscrow(_escrow()).refundSellAsset(o.id);
+        }
+
+        emit OrderCancelled(o.id);
+    }
+
+    // Takes everything that is left on the order, at whatever the current quote is
+    function takeOrder(
+        uint256 orderId
+    ) external payable returns (uint256 tradeId) {
+        return
+            _takeOrder(
+                OTCStructs.TakeParams({
+                    orderId: orderId,
+                    fillAmount: orders[orderId].remainingAmount,
+                    maxQuoteAmount: type(uint256).max,
+                    deadline: block.timestamp,
+                    proof: new bytes32[](0),
+                    referrer: address(0)
+                })
+            );
+    }
+
+    function takeOrder(
+        uint256 orderId,
+        uint256 fillAmount
+    ) external payable returns (uint256 tradeId) {
+        return
+            _takeOrder(
+                OTCStructs.TakeParams({
+                    orderId: orderId,
+                    fillAmount: fillAmount,
+                    maxQuoteAmount: type(uint256).max,
+                    deadline: block.timestamp,
+                    proof: new bytes32[](0),
+                    referrer: address(0)
+                })
+            );
+    }
+
+    // `referrer` gets config.referralShareBps of the trade's fees once it is released
+    function takeOrder(
+        uint256 orderId,
+        uint256 fillAmount,
+        address referrer
+    ) external payable returns (uint256 tradeId) {
+        return
+            _takeOrder(
+                OTCStructs.TakeParams({
+                    orderId: orderId,
+                    fillAmount: fillAmount,
+                    maxQuoteAmount: type(uint256).max,
+                    deadline: block.timestamp,
+                    proof: new bytes32[](0),
+                    referrer: referrer
+                })
+            );
+    }
+
+    // Slippage-protected take: use this for ORACLE_LIVE orders
+    function takeOrderWithParams(
+        OTCStructs.TakeParams calldata p
+    ) external payable returns (uint256 tradeId) {
+        return _takeOrder(p);
+    }
+
+    function getOrderTradeIds(
+        uint256 orderId
+    ) external view returns (uint256[] memory) {
+        return orderTradeIds[orderId];
+    }
+
+    // ------------------------------------------------------------
+    // Queries: paginated id lists, `total` being the full count.
+    // Open orders are unordered (swap and pop) and stay listed past expiresAt until cancelled.
+    // ------------------------------------------------------------
+
+    function getOpenOrderIds(
+        address sellToken,
+        address quoteToken,
+        OTCEnums.OrderSide side,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return
+            OTCIndex.page(
+                openOrderIds[_marketKey(sellToken, quoteToken, side)].ids,
+                offset,
+                limit
+            );
     }
 
-    function takeOrder(uint256 orderId) external returns (uint256 tradeId) {
-        IAdminLike(admin).assertActiveUser(msg.sender);
+    function getOrderIdsBySeller(
+        address seller,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return OTCIndex.page(sellerOrderIds[seller], offset, limit);
+    }
+
+    function getOrderIdsByBuyer(
+        address buyer,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total) {
+        return OTCIndex.page(buyerOrderIds[buyer], offset, limit);
+    }
+
+    function _takeOrder(
+        OTCStructs.TakeParams memory p
+    ) internal returns (uint256 tradeId) {
+        _admin().assertActiveUser(msg.sender);
+
+        uint256 orderId = p.orderId;
+        uint256 fillAmount = p.fillAmount;
+        if (block.timestamp > p.deadline)
+            revert OTCErrors.TakeDeadlineExpired();
 
         OTCStructs.Order storage o = orders[orderId];
-        if (o.status != OTCEnums.OrderStatus.OPEN)
-            revert OTCErrors.OrderNotOpen();
+        if (!_isFillable(o.status)) revert OTCErrors.OrderNotOpen();
+        if (o.side != OTCEnums.OrderSide.ASK) revert OTCErrors.WrongOrderSide();
+        _admin().assertActiveUser(o.seller);
+        _config().checkMarket(o.sellAsset, o.quoteToken);
         if (msg.sender == o.seller) revert OTCErrors.InvalidAmount();
-        if (o.takenTradeId != 0) revert OTCErrors.OrderAlreadyTaken();
-        if (escrow == address(0)) revert("escrow not set");
-
-        uint256 feeAmount = o.quoteAmount.bpsMul(IConfigLike(config).feeBps());
-        uint256 total = o.quoteAmount + feeAmount;
+        _checkTaker(o, p.proof);
+        // the quote was locked at creation; don't fill it after the seller's deadline
+        if (o.expiresAt != 0 && block.timestamp > o.expiresAt)
+            revert OTCErrors.OrderExpired();
 
-        bool ok = IERC20Like(o.quoteToken).transferFrom(
+        _checkFill(o, fillAmount);
+        uint256 quoteAmount = _fillQuote(o, fillAmount);
+        if (quoteAmount == 0) revert OTCErrors.FillTooSmall();
+        if (quoteAmount > p.maxQuoteAmount) revert OTCErrors.SlippageExceeded();
+        OTCStructs.TradeFees memory fees = _fees(
+            o.sellAsset,
+            o.quoteToken,
+            quoteAmount,
             msg.sender,
-            escrow,
-            total
+            o.seller,
+            p.referrer
         );
-        if (!ok) revert OTCErrors.TransferFailed();
+        _bookFill(msg.sender, o.seller, o.sellAsset, fillAmount);
+
+        _applyFill(o, fillAmount);
+        _collectQuote(o.quoteToken, quoteAmount + fees.buyerFee);
 
-        tradeId = IOTCEscrow(escrow).openTradeFromOrder(
+        tradeId = IOTCEscrow(_escrow()).openTradeFromOrder{value: msg.value}(
             o.id,
             msg.sender,
             o.seller,
             o.sellAsset,
-            o.sellAmount,
+            fillAmount,
             o.quoteToken,
-            o.quoteAmount,
-            feeAmount
+            quoteAmount,
+            fees,
+            _bondToken(o)
         );
 
-        o.status = OTCEnums.OrderStatus.TAKEN;
-        o.takenTradeId = tradeId;
+        orderTradeIds[orderId].push(tradeId);
+
+        emit OrderTaken(
+            orderId,
+            tradeId,
+            msg.sender,
+            fillAmount,
+            o.remainingAmount
+        );
+    }
 
-        emit OrderTaken(orderId, tradeId, msg.sender);
+    // Buyer's quote + fee goes straight to escrow; native value is forwarded with openTradeFromOrder
+    function _collectQuote(address quoteToken, uint256 total) internal {
+        if (quoteToken == OTCConstants.NATIVE) {
+            if (msg.value != total) revert OTCErrors.InvalidMsgValue();
+        } else {
+            _pullToEscrow(quoteToken, total);
+        }
+    }
+
+    // Escrow books `amount` as owed, so fee-on-transfer tokens that deliver less are rejected
+    function _pullToEscrow(address token, uint256 amount) internal {
+        if (msg.value != 0) revert OTCErrors.InvalidMsgValue();
+        if (
+            OTCSafeERC20.safeTransferFrom(
+                token,
+                msg.sender,
+                _escrow(),
+                amount
+            ) < amount
+        ) revert OTCErrors.FeeOnTransferNotSupported();
+    }
+
+    // ------------------------------------------------------------
+    // Signed orders: sellers sign EIP-712 asks off chain, buyers bring them on chain
+    // ------------------------------------------------------------
+
+    function hashSignedOrder(
+        OTCStructs.SignedOrder calldata so
+    ) public view returns (bytes32) {
+        return
+            MessageHashUtils.toTypedDataHash(
+                keccak256(
+                    abi.encode(
+                        DOMAIN_TYPEHASH,
+                        keccak256("OTCOrders"),
+                        keccak256("1"),
+                        block.chainid,
+                        address(this)
+                    )
+                ),
+                keccak256(
+                    abi.encode(
+                        SIGNED_ORDER_TYPEHASH,
+                        so.seller,
+                        so.sellToken,
+                        so.sellAmount,
+                        so.quoteToken,
+                        so.pricingMode,
+                        so.quoteAmount,
+                        so.spreadBps,
+                        so.expiresAt,
+                        so.nonce
+                    )
+                )
+            );
+    }
+
+    // Takes the whole signed order at its current quote
+    function takeSignedOrder(
+        OTCStructs.SignedOrder calldata so,
+        bytes calldata signature
+    ) external payable returns (uint256 tradeId) {
+        return _takeSignedOrder(so, signature, type(uint256).max);
+    }
+
+    // Slippage-protected take: use this for ORACLE_LIVE signed orders
+    function takeSignedOrder(
+        OTCStructs.SignedOrder calldata so,
+        bytes calldata signature,
+        uint256 maxQuoteAmount
+    ) external payable returns (uint256 tradeId) {
+        return _takeSignedOrder(so, signature, maxQuoteAmount);
+    }
+
+    function cancelSignedOrder(OTCStructs.SignedOrder calldata so) external {
+        if (msg.sender != so.seller) revert OTCErrors.NotSeller();
+        bytes32 orderHash = hashSignedOrder(so);
+        if (signedOrderIds[orderHash] != 0)
+            revert OTCErrors.OrderAlreadyTaken();
+
+        signedOrderCancelled[orderHash] = true;
+        emit SignedOrderCancelled(orderHash, msg.sender);
+    }
+
+    // Bulk cancel: voids every signed order of msg.sender with a nonce below newMinNonce
+    function cancelSignedOrdersBelow(uint256 newMinNonce) external {
+        if (newMinNonce <= minNonce[msg.sender])
+            revert OTCErrors.InvalidNonce();
+        minNonce[msg.sender] = newMinNonce;
+        emit MinNonceUpdated(msg.sender, newMinNonce);
+    }
+
+    /**
+     * A taken signed order is recorded in `orders` (already TAKEN) so its trade
+     * links back to an orderId like any other; `signedOrderIds` maps the hash to it.
+     */
+    function _takeSignedOrder(
+        OTCStructs.SignedOrder calldata so,
+        bytes calldata signature,
+        uint256 maxQuoteAmount
+    ) internal returns (uint256 tradeId) {
+        _admin().assertActiveUser(msg.sender);
+        _admin().assertActiveUser(so.seller);
+
+        bytes32 orderHash = hashSignedOrder(so);
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+            orderHash,
+            signature
+        );
+        if (err != ECDSA.RecoverError.NoError || signer != so.seller)
+            revert OTCErrors.InvalidSignature();
+        if (
+            signedOrderIds[orderHash] != 0 ||
+            signedOrderCancelled[orderHash] ||
+            so.nonce < minNonce[so.seller]
+        ) revert OTCErrors.SignedOrderUnavailable();
+        if (so.expiresAt != 0 && block.timestamp > so.expiresAt)
+            revert OTCErrors.OrderExpired();
+
+        if (msg.sender == so.seller) revert OTCErrors.InvalidAmount();
+        if (so.sellAmount == 0) revert OTCErrors.InvalidAmount();
+        if (
+            !_config().allowedQuoteTokens(so.quoteToken) ||
+            !_config().allowedQuoteTokens(so.sellToken)
+        ) revert OTCErrors.InvalidToken();
+        require(so.sellToken != so.quoteToken, "buy=sell");
+        _config().checkMarket(so.sellToken, so.quoteToken);
+
+        uint256 quoteAmount;
+        int256 spreadBps;
+        if (so.pricingMode == OTCEnums.PricingMode.FIXED) {
+            if (so.quoteAmount == 0) revert OTCErrors.InvalidAmount();
+            quoteAmount = so.quoteAmount;
+        } else if (so.pricingMode == OTCEnums.PricingMode.ORACLE_LIVE) {
+            spreadBps = so.spreadBps;
+            _checkSpreadBounds(spreadBps);
+            quoteAmount = _calcQuoteAmount(
+                so.sellToken,
+                so.sellAmount,
+                so.quoteToken,
+                spreadBps
+            );
+            if (quoteAmount < so.quoteAmount)
+                revert OTCErrors.PriceBelowFloor();
+        } else {
+            // nothing to lock a price against before the order reaches the chain
+            revert OTCErrors.UnsupportedPricingMode();
+        }
+        if (quoteAmount > maxQuoteAmount) revert OTCErrors.SlippageExceeded();
+        OTCStructs.TradeFees memory fees = _fees(
+            so.sellToken,
+            so.quoteToken,
+            quoteAmount,
+            msg.sender,
+            so.seller,
+            address(0)
+        );
+        _bookFill(msg.sender, so.seller, so.sellToken, so.sellAmount);
+
+        uint256 orderId = nextOrderId++;
+        signedOrderIds[orderHash] = orderId;
+        orders[orderId] = OTCStructs.Order({
+            id: orderId,
+            seller: so.seller,
+            sellAsset: so.sellToken,
+            sellAmount: so.sellAmount,
+            quoteToken: so.quoteToken,
+            quoteAmount: quoteAmount,
+            createdAt: block.timestamp,
+            expiresAt: so.expiresAt,
+            status: OTCEnums.OrderStatus.TAKEN,
+            remainingAmount: 0,
+            minFillAmount: 0,
+            pricingMode: so.pricingMode,
+            floorQuoteAmount: so.pricingMode == OTCEnums.PricingMode.ORACLE_LIVE
+                ? so.quoteAmount
+                : 0,
+            spreadBps: spreadBps,
+            side: OTCEnums.OrderSide.ASK,
+            buyer: address(0),
+            feeAmount: 0,
+            allowedTaker: address(0),
+            takerRoot: bytes32(0),
+            bondAsset: OTCEnums.BondAsset.QUOTE,
+            deliveryMode: OTCEnums.DeliveryMode.OFF_CHAIN
+        });
+
+        sellerOrderIds[so.seller].push(orderId);
+
+        _collectQuote(so.quoteToken, quoteAmount + fees.buyerFee);
+
+        tradeId = IOTCEscrow(_escrow()).openTradeFromOrder{value: msg.value}(
+            orderId,
+            msg.sender,
+            so.seller,
+            so.sellToken,
+            so.sellAmount,
+            so.quoteToken,
+            quoteAmount,
+            fees,
+            so.quoteToken // signed orders bond in the quote token
+        );
+
+        orderTradeIds[orderId].push(tradeId);
+
+        emit SignedOrderTaken(
+            orderHash,
+            orderId,
+            tradeId,
+            so.seller,
+            msg.sender,
+            quoteAmount
+        );
+    }
+
+    // Pre-negotiated orders: a designated counterparty, or a Merkle whitelist of them
+    function _checkTaker(
+        OTCStructs.Order storage o,
+        bytes32[] memory proof
+    ) internal view {
+        if (o.allowedTaker != address(0)) {
+            if (msg.sender != o.allowedTaker)
+                revert OTCErrors.TakerNotAllowed();
+        } else if (o.takerRoot != bytes32(0)) {
+            // OpenZeppelin merkle-tree leaf encoding: keccak256(keccak256(abi.encode(address)))
+            bytes32 leaf = keccak256(
+                bytes.concat(keccak256(abi.encode(msg.sender)))
+            );
+            if (!MerkleProof.verify(proof, o.takerRoot, leaf))
+                revert OTCErrors.TakerNotAllowed();
+        }
+    }
+
+    function _checkFill(
+        OTCStructs.Order storage o,
+        uint256 fillAmount
+    ) internal view {
+        uint256 remaining = o.remainingAmount;
+        if (fillAmount == 0 || fillAmount > remaining)
+            revert OTCErrors.InvalidAmount();
+        // every fill respects the minimum, and no fill may leave an untakeable remainder behind
+        if (fillAmount != remaining) {
+            if (
+                fillAmount < o.minFillAmount ||
+                remaining - fillAmount < o.minFillAmount
+            ) revert OTCErrors.FillTooSmall();
+        }
+    }
+
+    function _bondToken(
+        OTCStructs.Order storage o
+    ) internal view returns (address) {
+        return
+            o.bondAsset == OTCEnums.BondAsset.SELL ? o.sellAsset : o.quoteToken;
+    }
+
+    function _applyFill(
+        OTCStructs.Order storage o,
+        uint256 fillAmount
+    ) internal {
+        o.remainingAmount -= fillAmount;
+        if (o.remainingAmount != 0) {
+            o.status = OTCEnums.OrderStatus.PARTIALLY_FILLED;
+        } else {
+            o.status = OTCEnums.OrderStatus.TAKEN;
+            _unlist(o);
+        }
+    }
+
+    function _unlist(OTCStructs.Order storage o) internal {
+        OTCIndex.remove(
+            openOrderIds[_marketKey(o.sellAsset, o.quoteToken, o.side)],
+            o.id
+        );
+    }
+
+    function _marketKey(
+        address sellToken,
+        address quoteToken,
+        OTCEnums.OrderSide side
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(sellToken, quoteToken, side));
+    }
+
+    function _isFillable(
+        OTCEnums.OrderStatus status
+    ) internal pure returns (bool) {
+        return
+            status == OTCEnums.OrderStatus.OPEN ||
+            status == OTCEnums.OrderStatus.PARTIALLY_FILLED;
+    }
+
+    function _fillQuote(
+        OTCStructs.Order storage o,
+        uint256 fillAmount
+    ) internal view returns (uint256 quoteAmount) {
+        if (o.pricingMode != OTCEnums.PricingMode.ORACLE_LIVE) {
+            return _proRata(o, o.quoteAmount, fillAmount);
+        }
+
+        quoteAmount = _calcQuoteAmount(
+            o.sellAsset,
+            fillAmount,
+            o.quoteToken,
+            o.spreadBps
+        );
+        // floor for this fill, rounded up in the seller's favour
+        uint256 floor = (o.floorQuoteAmount * fillAmount + o.sellAmount - 1) /
+            o.sellAmount;
+        if (quoteAmount < floor) revert OTCErrors.PriceBelowFloor();
+    }
+
+    /**
+     * Share of `amount` (the order's locked/fixed quoteAmount, or a bid's locked fee)
+     * for `fillAmount`, taken before remainingAmount is updated. Computed as the
+     * difference of cumulative pro-rata amounts so the fills always sum to exactly
+     * `amount`, with no rounding dust left over.
+     */
+    function _proRata(
+        OTCStructs.Order storage o,
+        uint256 amount,
+        uint256 fillAmount
+    ) internal view returns (uint256) {
+        uint256 filledBefore = o.sellAmount - o.remainingAmount;
+        uint256 before = (amount * filledBefore) / o.sellAmount;
+        uint256 after_ = (amount * (filledBefore + fillAmount)) / o.sellAmount;
+        return after_ - before;
+    }
+
+    // ------------------------------------------------------------
+    // Fees
+    // ------------------------------------------------------------
+
+    /**
+     * Fees for a fill from the pair's schedule, each party's discounted by its own
+     * trailing 30d volume (before this fill). A referrer gets config.referralShareBps
+     * of both fees and can't be one of the parties.
+     */
+    function _fees(
+        address sellToken,
+        address quoteToken,
+        uint256 quoteAmount,
+        address buyer,
+        address seller,
+        address referrer
+    ) internal view returns (OTCStructs.TradeFees memory fees) {
+        (, uint256 buyerVolume) = rollingVolumeUsd(buyer);
+        (, uint256 sellerVolume) = rollingVolumeUsd(seller);
+        (fees.buyerFee, fees.sellerFee) = _config().computeFees(
+            sellToken,
+            quoteToken,
+            quoteAmount,
+            buyerVolume,
+            sellerVolume
+        );
+        if (referrer == address(0)) return fees;
+        if (referrer == buyer || referrer == seller)
+            revert OTCErrors.InvalidReferrer();
+        fees.referrer = referrer;
+        fees.referralFee = (fees.buyerFee + fees.sellerFee).bpsMul(
+            _config().referralShareBps()
+        );
+    }
+
+    // ------------------------------------------------------------
+    // KYC tier limits
+    // ------------------------------------------------------------
+
+    // Rolling 24h / 30d USD volume of `user`, as counted against the tier limits
+    function rollingVolumeUsd(
+        address user
+    ) public view returns (uint256 daily, uint256 monthly) {
+        daily = _rollingVolume(dailyVolumeUsd[user], 1 days);
+        monthly = _rollingVolume(monthlyVolumeUsd[user], 30 days);
+    }
+
+    // Both parties' tier limits for a fill, booking it as their volume
+    function _bookFill(
+        address buyer,
+        address seller,
+        address sellToken,
+        uint256 sellAmount
+    ) internal {
+        uint256 usd = _checkTierLimits(buyer, sellToken, sellAmount, 0, true);
+        _checkTierLimits(seller, sellToken, sellAmount, usd, true);
+    }
+
+    /**
+     * Checks a trade of `sellAmount` against `user`'s tier limits and, with `record`,
+     * books it as volume. Volume also drives the fee discount tiers, so it is booked
+     * for every user once those exist; otherwise tiers without limits are skipped
+     * before any oracle read. The USD value is priced lazily: pass `usd` = 0 and reuse
+     * the returned value for the counterparty.
+     */
+    function _checkTierLimits(
+        address user,
+        address sellToken,
+        uint256 sellAmount,
+        uint256 usd,
+        bool record
+    ) internal returns (uint256) {
+        (uint256 perTrade, uint256 daily, uint256 monthly) = _config()
+            .tierLimits(_admin().tierOf(user));
+        bool limited = perTrade != 0 || daily != 0 || monthly != 0;
+        record = record && (limited || _config().feeDiscountTierCount() != 0);
+        if (!limited && !record) return usd;
+        if (usd == 0) usd = _usdValue(sellToken, sellAmount);
+
+        (uint256 dailyVolume, uint256 monthlyVolume) = rollingVolumeUsd(user);
+        if (perTrade != 0 && usd > perTrade)
+            revert OTCErrors.TradeLimitExceeded();
+        if (daily != 0 && dailyVolume + usd > daily)
+            revert OTCErrors.DailyLimitExceeded();
+        if (monthly != 0 && monthlyVolume + usd > monthly)
+            revert OTCErrors.MonthlyLimitExceeded();
+
+        if (record) {
+            dailyVolumeUsd[user][block.timestamp / 1 days] += usd;
+            monthlyVolumeUsd[user][block.timestamp / 30 days] += usd;
+        }
+        return usd;
+    }
+
+    // The current bucket plus the whole previous one, so the trailing window is always
+    // covered: a fill counts for at least `window` and at most twice that
+    function _rollingVolume(
+        mapping(uint256 => uint256) storage buckets,
+        uint256 window
+    ) internal view returns (uint256) {
+        uint256 bucket = block.timestamp / window;
+        return buckets[bucket] + buckets[bucket - 1];
     }
 
     // ------------------------------------------------------------
@@ -181,30 +1155,22 @@ contract OTCOrders {
      *
      * Steps:
      * 1) USD value in 1e18
-     * 2) Apply spread (bps)
+     * 2) Apply spread (bps, negative = discount)
      * 3) Convert 1e18 USD value -> quoteToken decimals (USDT=6)
      */
     function _calcQuoteAmount(
         address sellToken,
         uint256 sellAmount,
-        address quoteToken
+        address quoteToken,
+        int256 spreadBps
     ) internal view returns (uint256) {
-        (uint256 sellPrice, uint8 sellFeedDec) = IConfigLike(config)
-            .getOraclePrice(sellToken);
-        (uint256 quotePrice, uint8 quoteFeedDec) = IConfigLike(config)
-            .getOraclePrice(quoteToken);
-
-        uint8 sellDec = IERC20Decimals(sellToken).decimals();
-        uint8 quoteDec = IERC20Decimals(quoteToken).decimals();
-
-        uint256 sellAmount18 = _to18(sellAmount, sellDec);
-
-        uint256 usdValue18 = (sellAmount18 * sellPrice) /
-            (10 ** uint256(sellFeedDec));
-
-        uint256 usdWithSpread = usdValue18.bpsAdd(
-            IConfigLike(config).spreadBps()
+        uint256 usdValue18 = _usdValue(sellToken, sellAmount);
+        (uint256 quotePrice, uint8 quoteFeedDec) = _config().getOraclePrice(
+            quoteToken
         );
+        uint8 quoteDec = _tokenDecimals(quoteToken);
+
+        uint256 usdWithSpread = usdValue18.bpsAddSigned(spreadBps);
 
         uint256 quoteAmount18 = (usdWithSpread *
             (10 ** uint256(quoteFeedDec))) / quotePrice;
@@ -212,6 +1178,22 @@ contract OTCOrders {
         return _from18(quoteAmount18, quoteDec);
     }
 
+    // Oracle USD value of `amount` of `token`, in 1e18
+    function _usdValue(
+        address token,
+        uint256 amount
+    ) internal view returns (uint256) {
+        (uint256 price, uint8 feedDec) = _config().getOraclePrice(token);
+        return
+            (_to18(amount, _tokenDecimals(token)) * price) /
+            (10 ** uint256(feedDec));
+    }
+
+    function _tokenDecimals(address token) internal view returns (uint8) {
+        if (token == OTCConstants.NATIVE) return OTCConstants.NATIVE_DECIMALS;
+        return IERC20Decimals(token).decimals();
+    }
+
     function _to18(
         uint256 amount,
         uint8 decimals
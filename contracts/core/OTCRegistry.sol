@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IOTCRegistry.sol";
+import "../interfaces/IOTCEscrow.sol";
+import "../interfaces/IOTCOrders.sol";
+import "../libraries/OTCErrors.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ * Wiring between the core contracts. Orders, Escrow and Config look their peers up here
+ * on every call, so a swap takes effect everywhere at once.
+ *
+ * The first address for each contract is set directly; every later change is scheduled
+ * and only executes after REWIRE_DELAY. Orders and Escrow can only be swapped while the
+ * current escrow holds no open trades and no locked order funds, checked on execution.
+ * A new Orders picks up the order ids where the current one stopped at that point.
+ * Ownership moves in two steps behind the same delay.
+ * Deployed behind a transparent proxy: state is set up in `initialize`.
+ */
+contract OTCRegistry is Initializable, IOTCRegistry {
+    bytes32 public constant ADMIN = "OTCAdmin";
+    bytes32 public constant CONFIG = "OTCConfig";
+    bytes32 public constant ORDERS = "OTCOrders";
+    bytes32 public constant ESCROW = "OTCEscrow";
+
+    uint256 public constant REWIRE_DELAY = 2 days;
+    uint256 public constant OWNERSHIP_TRANSFER_DELAY = 2 days;
+
+    struct PendingRewire {
+        address current;
+        uint256 eta; // executable from this time on, 0 = none
+    }
+
+    address public owner;
+    mapping(bytes32 => address) private contracts;
+
+    mapping(bytes32 => PendingRewire) public pendingRewires;
+    address public pendingOwner;
+    uint256 public ownershipTransferEta; // pendingOwner may accept from this time on
+
+    event OwnershipTransferStarted(
+        address indexed owner,
+        address indexed pendingOwner,
+        uint256 eta
+    );
+    event OwnershipTransferCancelled(address indexed pendingOwner);
+    event OwnershipTransferred(
+        address indexed oldOwner,
+        address indexed newOwner
+    );
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert OTCErrors.NotOwner();
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _owner) external initializer {
+        owner = _owner;
+    }
+
+    function admin() external view returns (address) {
+        return contracts[ADMIN];
+    }
+
+    function config() external view returns (address) {
+        return contracts[CONFIG];
+    }
+
+    function orders() external view returns (address) {
+        return contracts[ORDERS];
+    }
+
+    function escrow() external view returns (address) {
+        return contracts[ESCROW];
+    }
+
+    // ------------------------------------------------------------
+    // Initial wiring: each contract once, while unset
+    // ------------------------------------------------------------
+
+    function setAdmin(address _admin) external onlyOwner {
+        _setInitial(ADMIN, _admin);
+    }
+
+    function setConfig(address _config) external onlyOwner {
+        _setInitial(CONFIG, _config);
+    }
+
+    function setOrders(address _orders) external onlyOwner {
+        _setInitial(ORDERS, _orders);
+    }
+
+    function setEscrow(address _escrow) external onlyOwner {
+        _setInitial(ESCROW, _escrow);
+    }
+
+    // ------------------------------------------------------------
+    // Rewiring (timelocked)
+    // ------------------------------------------------------------
+
+    // Replaces any rewiring already pending for `key`
+    function scheduleRewire(bytes32 key, address current) external onlyOwner {
+        _checkKey(key);
+        require(current != address(0), "zero");
+        if (contracts[key] == address(0)) revert OTCErrors.InvalidState();
+
+        uint256 eta = block.timestamp + REWIRE_DELAY;
+        pendingRewires[key] = PendingRewire(current, eta);
+        emit RewireScheduled(key, current, eta);
+    }
+
+    function executeRewire(bytes32 key) external onlyOwner {
+        PendingRewire memory p = pendingRewires[key];
+        if (p.eta == 0) revert OTCErrors.NoPendingChange();
+        if (block.timestamp < p.eta) revert OTCErrors.TimelockNotReady();
+
+        delete pendingRewires[key];
+        if (key == ORDERS || key == ESCROW) _assertEscrowIdle();
+        // ids continue from what the outgoing Orders handed out, up to this very block
+        if (key == ORDERS)
+            IOTCOrders(p.current).continueOrderIds(
+                IOTCOrders(contracts[ORDERS]).nextOrderId()
+            );
+        _set(key, p.current);
+    }
+
+    function cancelRewire(bytes32 key) external onlyOwner {
+        address current = pendingRewires[key].current;
+        if (current == address(0)) revert OTCErrors.NoPendingChange();
+        delete pendingRewires[key];
+        emit RewireCancelled(key, current);
+    }
+
+    // ------------------------------------------------------------
+    // Ownership (two-step, timelocked)
+    // ------------------------------------------------------------
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "zero");
+        pendingOwner = newOwner;
+        ownershipTransferEta = block.timestamp + OWNERSHIP_TRANSFER_DELAY;
+        emit OwnershipTransferStarted(owner, newOwner, ownershipTransferEta);
+    }
+
+    function cancelOwnershipTransfer() external onlyOwner {
+        address pending = pendingOwner;
+        if (pending == address(0)) revert OTCErrors.NoPendingChange();
+        pendingOwner = address(0);
+        ownershipTransferEta = 0;
+        emit OwnershipTransferCancelled(pending);
+    }
+
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner || pendingOwner == address(0))
+            revert OTCErrors.NotOwner();
+        if (block.timestamp < ownershipTransferEta)
+            revert OTCErrors.TimelockNotReady();
+
+        address old = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+        ownershipTransferEta = 0;
+        emit OwnershipTransferred(old, msg.sender);
+    }
+
+    // The new Orders or Escrow can't settle what the current escrow holds, so it must be empty
+    function _assertEscrowIdle() internal view {
+        address current = contracts[ESCROW];
+        if (
+            current != address(0) &&
+            (IOTCEscrow(current).openTradeCount() != 0 ||
+                IOTCEscrow(current).lockedOrderCount() != 0)
+        ) revert OTCErrors.EscrowInUse();
+    }
+
+    function _checkKey(bytes32 key) internal pure {
+        if (key != ADMIN && key != CONFIG && key != ORDERS && key != ESCROW)
+            revert OTCErrors.InvalidKey();
+    }
+
+    function _setInitial(bytes32 key, address current) internal {
+        if (contracts[key] != address(0)) revert OTCErrors.InvalidState();
+        _set(key, current);
+    }
+
+    function _set(bytes32 key, address current) internal {
+        require(current != address(0), "zero");
+        address previous = contracts[key];
+        contracts[key] = current;
+        emit ContractSet(key, previous, current);
+    }
+}
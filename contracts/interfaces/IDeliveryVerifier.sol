@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../libraries/OTCStructs.sol";
+
+// Checks a seller's delivery proof before OTCEscrow accepts it; registered per sell asset in OTCConfig
+interface IDeliveryVerifier {
+    function verifyDelivery(
+        OTCStructs.Trade calldata trade,
+        string calldata txid,
+        bytes calldata proof
+    ) external view returns (bool);
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// What Orders, Escrow and Config read from OTCAdmin
+interface IOTCAdmin {
+    function owner() external view returns (address);
+    function assertActiveUser(address user) external view;
+    function isActiveUser(address user) external view returns (bool);
+    function hasRole(
+        bytes32 role,
+        address account
+    ) external view returns (bool);
+    function tierOf(address user) external view returns (uint8);
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// What Orders and Escrow read from OTCConfig
+interface IOTCConfig {
+    function treasury() external view returns (address);
+    function allowedQuoteTokens(address token) external view returns (bool);
+    function deliveryVerifiers(address token) external view returns (address);
+    function referralShareBps() external view returns (uint256);
+    function feeDiscountTierCount() external view returns (uint256);
+    function computeFees(
+        address sellToken,
+        address quoteToken,
+        uint256 quoteAmount,
+        uint256 buyerVolumeUsd,
+        uint256 sellerVolumeUsd
+    ) external view returns (uint256 buyerFee, uint256 sellerFee);
+    function spreadBps() external view returns (uint256);
+    function orderTtl() external view returns (uint256);
+    function minOrderSpreadBps() external view returns (int256);
+    function maxOrderSpreadBps() external view returns (int256);
+    function deliveryWindow() external view returns (uint256);
+    function confirmWindow() external view returns (uint256);
+    function disputeResponseWindow() external view returns (uint256);
+    function sellerBondBps() external view returns (uint256);
+    function bondSlashBuyerBps() external view returns (uint256);
+    function getOraclePrice(
+        address token
+    ) external view returns (uint256 price, uint8 decimals_);
+    function checkMarket(address sellToken, address quoteToken) external;
+    function tierLimits(
+        uint8 tier
+    )
+        external
+        view
+        returns (uint256 perTradeUsd, uint256 dailyUsd, uint256 monthlyUsd);
+}
@@ -10,13 +10,108 @@ interface IOTCEscrow {
         uint256 indexed orderId,
         address indexed buyer
     );
+    event BidFundsLocked(
+        uint256 indexed orderId,
+        address indexed buyer,
+        uint256 amount
+    );
+    event BidFundsRefunded(
+        uint256 indexed orderId,
+        address indexed buyer,
+        uint256 amount
+    );
+    event SellAssetLocked(
+        uint256 indexed orderId,
+        address indexed seller,
+        uint256 amount
+    );
+    event SellAssetRefunded(
+        uint256 indexed orderId,
+        address indexed seller,
+        uint256 amount
+    );
+    event TradeSettled(uint256 indexed tradeId);
+    event BondDeposited(
+        address indexed seller,
+        address indexed token,
+        uint256 amount
+    );
+    event BondWithdrawn(
+        address indexed seller,
+        address indexed token,
+        uint256 amount
+    );
+    event BondLocked(
+        uint256 indexed tradeId,
+        address indexed seller,
+        address token,
+        uint256 amount
+    );
+    event BondReleased(uint256 indexed tradeId, uint256 amount);
+    event BondSlashed(
+        uint256 indexed tradeId,
+        uint256 toBuyer,
+        uint256 toTreasury
+    );
     event DeliverySubmitted(uint256 indexed tradeId, string txid);
+    event DeliveryVerified(uint256 indexed tradeId, address verifier);
     event ReceiptConfirmed(uint256 indexed tradeId);
     event ReceiptRejected(uint256 indexed tradeId);
+    event DisputeOpened(
+        uint256 indexed tradeId,
+        OTCEnums.DisputeReason reason,
+        uint256 responseDeadline
+    );
+    event EvidenceSubmitted(
+        uint256 indexed tradeId,
+        address indexed party,
+        string evidenceURI,
+        bytes32 evidenceHash
+    );
+    event ArbiterAssigned(
+        uint256 indexed tradeId,
+        address indexed arbiter,
+        address assignedBy
+    );
+    event DisputeResolved(
+        uint256 indexed tradeId,
+        address indexed resolver,
+        uint256 buyerQuoteAmount,
+        uint256 sellerQuoteAmount,
+        uint256 buyerFeeAmount,
+        uint256 treasuryFeeAmount
+    );
+    event TradeTimedOut(
+        uint256 indexed tradeId,
+        OTCEnums.TradeStatus newStatus
+    );
     event AdminResolved(
         uint256 indexed tradeId,
         OTCEnums.TradeStatus newStatus
     );
+    event PayoutHeld(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event HeldFundsClaimed(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event PayoutDeferred(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event PayoutClaimed(
+        address indexed user,
+        address to,
+        address indexed token,
+        uint256 amount
+    );
+    event FeesAccrued(address indexed token, uint256 amount);
+    event FeesWithdrawn(address indexed token, address to, uint256 amount);
 
     function openTradeFromOrder(
         uint256 orderId,
@@ -26,13 +121,94 @@ interface IOTCEscrow {
         uint256 sellAmount,
         address quoteToken,
         uint256 quoteAmount,
-        uint256 feeAmount
+        OTCStructs.TradeFees calldata fees,
+        address bondToken
+    ) external payable returns (uint256 tradeId);
+
+    // Buy-side (bid) orders: quote + fee is locked when the bid is posted
+    function lockBidFunds(
+        uint256 orderId,
+        address buyer,
+        address quoteToken,
+        uint256 amount
+    ) external payable;
+
+    function openTradeFromBid(
+        uint256 orderId,
+        address buyer,
+        address seller,
+        address sellToken,
+        uint256 sellAmount,
+        address quoteToken,
+        uint256 quoteAmount,
+        OTCStructs.TradeFees calldata fees,
+        address bondToken
     ) external returns (uint256 tradeId);
 
+    function refundBidFunds(
+        uint256 orderId
+    ) external returns (uint256 refunded);
+
+    // Escrowed delivery: the ask's sell asset is locked at listing and paid out to buyers
+    function lockSellAsset(
+        uint256 orderId,
+        address seller,
+        address sellToken,
+        uint256 amount,
+        OTCEnums.DeliveryMode mode
+    ) external payable;
+
+    function refundSellAsset(
+        uint256 orderId
+    ) external returns (uint256 refunded);
+
+    // Seller bonds: pre-funded balance, locked per trade when config.sellerBondBps > 0
+    function depositBond(address token, uint256 amount) external payable;
+    function withdrawBond(address token, uint256 amount) external;
+
     function submitDeliveryTx(uint256 tradeId, string calldata txid) external;
+    function submitDeliveryProof(
+        uint256 tradeId,
+        string calldata txid,
+        bytes calldata proof
+    ) external;
     function confirmReceipt(uint256 tradeId) external;
     function rejectReceipt(uint256 tradeId) external;
 
+    // Disputes: buyer opens, both parties add evidence, an assigned arbiter splits the funds
+    function openDispute(
+        uint256 tradeId,
+        OTCEnums.DisputeReason reason,
+        string calldata evidenceURI,
+        bytes32 evidenceHash
+    ) external;
+    function submitEvidence(
+        uint256 tradeId,
+        string calldata evidenceURI,
+        bytes32 evidenceHash
+    ) external;
+    function assignArbiter(uint256 tradeId, address arbiter) external;
+    function resolveDispute(
+        uint256 tradeId,
+        uint256 buyerQuoteAmount,
+        uint256 buyerFeeAmount
+    ) external;
+
+    // Permissionless timeouts (windows configured in OTCConfig)
+    function claimRefundAfterTimeout(uint256 tradeId) external;
+    function claimReleaseAfterTimeout(uint256 tradeId) external;
+
+    // Payouts to banned/frozen users are held here until they are active again
+    function claimHeldFunds(address token) external;
+    // Payouts whose push transfer failed wait here for their recipient
+    function claimPayout(address token, address to) external;
+
+    // Fees accrue in escrow; the treasury pulls them
+    function withdrawFees(address token, address to, uint256 amount) external;
+    function reconcile(
+        address token
+    ) external view returns (uint256 balance, uint256 owed);
+
     // Reserved: manager/admin can force resolve
     function adminForceRelease(uint256 tradeId) external;
     function adminForceRefund(uint256 tradeId) external;
@@ -40,4 +216,30 @@ interface IOTCEscrow {
     function getTrade(
         uint256 tradeId
     ) external view returns (OTCStructs.Trade memory);
+    function getTrades(
+        uint256[] calldata tradeIds
+    ) external view returns (OTCStructs.Trade[] memory);
+    function getTradeIdsBySeller(
+        address seller,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total);
+    function getTradeIdsByBuyer(
+        address buyer,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total);
+    function getTradeIdsByStatus(
+        OTCEnums.TradeStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory ids, uint256 total);
+
+    function openTradeCount() external view returns (uint256);
+
+    function lockedOrderCount() external view returns (uint256);
+
+    function getDispute(
+        uint256 tradeId
+    ) external view returns (OTCStructs.Dispute memory);
 }
@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// What the registry calls on Orders when it swaps one in
+interface IOTCOrders {
+    function nextOrderId() external view returns (uint256);
+    function continueOrderIds(uint256 fromId) external;
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Single source of the core contract addresses; Orders, Escrow and Config resolve their peers here
+interface IOTCRegistry {
+    event ContractSet(
+        bytes32 indexed key,
+        address indexed previous,
+        address indexed current
+    );
+    event RewireScheduled(
+        bytes32 indexed key,
+        address indexed current,
+        uint256 eta
+    );
+    event RewireCancelled(bytes32 indexed key, address indexed current);
+
+    function admin() external view returns (address);
+    function config() external view returns (address);
+    function orders() external view returns (address);
+    function escrow() external view returns (address);
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+library OTCConstants {
+    // Native coin (ETH/BNB) is represented by the zero address everywhere a token is expected
+    address internal constant NATIVE = address(0);
+    uint8 internal constant NATIVE_DECIMALS = 18;
+
+    // KYC tiers run from 0 (unverified, the default) to MAX_KYC_TIER
+    uint8 internal constant MAX_KYC_TIER = 2;
+}
@@ -5,8 +5,31 @@ library OTCEnums {
     enum OrderStatus {
         NONE,
         OPEN,
-        TAKEN,
-        CANCELLED
+        TAKEN, // fully filled
+        CANCELLED,
+        PARTIALLY_FILLED // some fills done, remainingAmount still takeable
+    }
+
+    enum OrderSide {
+        ASK, // seller lists, buyers take
+        BID // buyer posts with quote funds escrowed, sellers fill
+    }
+
+    enum PricingMode {
+        ORACLE_LOCKED, // oracle quote locked at creation
+        ORACLE_LIVE, // oracle quote recomputed at take time
+        FIXED // seller-set quote amount, no oracle involved
+    }
+
+    enum BondAsset {
+        QUOTE, // seller bond posted in the order's quote token
+        SELL // seller bond posted in the asset being sold
+    }
+
+    enum DeliveryMode {
+        OFF_CHAIN, // seller delivers outside the escrow and submits a txid
+        ESCROWED, // sell asset locked at listing; both legs settle atomically on take
+        ESCROWED_CONFIRM // sell asset locked at listing; released once the buyer confirms (or times out)
     }
 
     enum TradeStatus {
@@ -15,6 +38,22 @@ library OTCEnums {
         DELIVERED_PENDING_CONFIRM, // Seller submitted TXID
         DISPUTE_PENDING, // Buyer rejected, admin must resolve
         RELEASED, // Funds released to seller
-        REFUNDED // Funds refunded to buyer
+        REFUNDED, // Funds refunded to buyer
+        SETTLED // Dispute resolved with funds split between buyer and seller
+    }
+
+    enum DisputeStatus {
+        NONE,
+        OPEN,
+        RESOLVED
+    }
+
+    enum DisputeReason {
+        UNSPECIFIED, // plain rejectReceipt
+        NOT_RECEIVED,
+        WRONG_AMOUNT,
+        WRONG_ASSET,
+        INVALID_TXID,
+        OTHER
     }
 }
@@ -4,9 +4,17 @@ pragma solidity ^0.8.20;
 library OTCErrors {
     error NotOwner();
     error NotAdmin();
+    error MissingRole();
+    error InvalidRole();
+    error TimelockNotReady();
+    error NoPendingChange();
     error NotSeller();
     error NotBuyer();
     error UserFrozenOrBanned();
+    error InvalidTier();
+    error TradeLimitExceeded();
+    error DailyLimitExceeded();
+    error MonthlyLimitExceeded();
 
     error UnsupportedAsset();
     error InvalidToken();
@@ -14,5 +22,44 @@ library OTCErrors {
     error InvalidState();
     error OrderNotOpen();
     error OrderAlreadyTaken();
+    error FillTooSmall();
+    error SlippageExceeded();
+    error TakeDeadlineExpired();
+    error PriceBelowFloor();
+    error SpreadOutOfBounds();
+    error WrongOrderSide();
+    error UnsupportedPricingMode();
+    error TakerNotAllowed();
+    error InvalidTakerRestriction();
+    error InvalidSignature();
+    error SignedOrderUnavailable();
+    error InvalidNonce();
+    error InsufficientBond();
+    error UnsupportedDeliveryMode();
+    error DisputeNotAllowed();
+    error NotArbiter();
+    error NotTradeParty();
+    error EvidenceWindowClosed();
+    error EvidenceWindowOpen();
+    error InvalidSplit();
+    error InvalidReferrer();
+    error DeliveryNotVerified();
+    error OrderExpired();
+    error InvalidExpiry();
+    error TimeoutNotReached();
     error TransferFailed();
+    error FeeOnTransferNotSupported();
+    error NotTreasury();
+    error EscrowInUse();
+    error InvalidKey();
+    error InvalidMsgValue();
+
+    error StaleOraclePrice();
+    error InvalidOraclePrice();
+    error IncompleteOracleRound();
+    error OracleDeviationTooHigh();
+    error PriceMoveTooLarge();
+
+    error TradingPaused();
+    error MarketPaused();
 }
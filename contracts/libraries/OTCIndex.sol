@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Id lists behind the paginated query views
+library OTCIndex {
+    // Unordered set with O(1) add/remove (swap and pop)
+    struct Set {
+        uint256[] ids;
+        mapping(uint256 => uint256) positions; // id => index + 1, 0 = not in the set
+    }
+
+    function add(Set storage s, uint256 id) internal {
+        if (s.positions[id] != 0) return;
+        s.ids.push(id);
+        s.positions[id] = s.ids.length;
+    }
+
+    function remove(Set storage s, uint256 id) internal {
+        uint256 position = s.positions[id];
+        if (position == 0) return;
+        uint256 last = s.ids[s.ids.length - 1];
+        s.ids[position - 1] = last;
+        s.positions[last] = position;
+        s.ids.pop();
+        delete s.positions[id];
+    }
+
+    // ids[offset : offset + limit], clipped to the list; `total` is the full length
+    function page(
+        uint256[] storage ids,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (uint256[] memory out, uint256 total) {
+        total = ids.length;
+        if (offset >= total) return (new uint256[](0), total);
+        uint256 end = offset + limit > total ? total : offset + limit;
+        out = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) out[i - offset] = ids[i];
+    }
+}
@@ -15,4 +15,13 @@ library OTCMath {
     ) internal pure returns (uint256) {
         return (value * bps) / 10_000;
     }
+
+    // bps may be negative (discount); |bps| is expected to be < 10_000
+    function bpsAddSigned(
+        uint256 value,
+        int256 bps
+    ) internal pure returns (uint256) {
+        if (bps >= 0) return bpsAdd(value, uint256(bps));
+        return value - (value * uint256(-bps)) / 10_000;
+    }
 }
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IChainlinkAggregatorV3.sol";
+import "./OTCErrors.sol";
+
+library OTCOracle {
+    enum PriceStatus {
+        OK,
+        INVALID, // answer <= 0 or feed call reverted
+        INCOMPLETE, // round not finished (updatedAt == 0 or answeredInRound < roundId)
+        STALE // older than the asset's max heartbeat
+    }
+
+    // Reads a Chainlink-style feed without reverting, so callers can fall back to another feed.
+    function tryRead(
+        address feed,
+        uint256 maxHeartbeat
+    ) internal view returns (PriceStatus status, uint256 price) {
+        try IChainlinkAggregatorV3(feed).latestRoundData() returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 /*startedAt*/,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            if (answer <= 0) return (PriceStatus.INVALID, 0);
+            if (updatedAt == 0 || answeredInRound < roundId)
+                return (PriceStatus.INCOMPLETE, 0);
+            if (
+                updatedAt > block.timestamp ||
+                block.timestamp - updatedAt > maxHeartbeat
+            ) return (PriceStatus.STALE, 0);
+            return (PriceStatus.OK, uint256(answer));
+        } catch {
+            return (PriceStatus.INVALID, 0);
+        }
+    }
+
+    function revertFor(PriceStatus status) internal pure {
+        if (status == PriceStatus.INVALID)
+            revert OTCErrors.InvalidOraclePrice();
+        if (status == PriceStatus.INCOMPLETE)
+            revert OTCErrors.IncompleteOracleRound();
+        if (status == PriceStatus.STALE) revert OTCErrors.StaleOraclePrice();
+    }
+
+    function scale(
+        uint256 price,
+        uint8 fromDecimals,
+        uint8 toDecimals
+    ) internal pure returns (uint256) {
+        if (fromDecimals == toDecimals) return price;
+        if (fromDecimals < toDecimals)
+            return price * (10 ** uint256(toDecimals - fromDecimals));
+        return price / (10 ** uint256(fromDecimals - toDecimals));
+    }
+
+    // |a - b| relative to a, in bps
+    function deviationBps(
+        uint256 a,
+        uint256 b
+    ) internal pure returns (uint256) {
+        uint256 diff = a > b ? a - b : b - a;
+        return (diff * 10_000) / a;
+    }
+}
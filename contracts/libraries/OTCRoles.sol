@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Role ids held in OTCAdmin and checked by the other contracts
+library OTCRoles {
+    bytes32 internal constant COMPLIANCE = keccak256("COMPLIANCE_ROLE"); // bans, freezes, KYC tiers
+    bytes32 internal constant ARBITER = keccak256("ARBITER_ROLE"); // disputes and forced settlements
+    bytes32 internal constant DISPUTE_MANAGER =
+        keccak256("DISPUTE_MANAGER_ROLE"); // assigns disputes to arbiters
+    bytes32 internal constant CONFIG_MANAGER = keccak256("CONFIG_MANAGER_ROLE"); // OTCConfig parameters
+    bytes32 internal constant PAUSER = keccak256("PAUSER_ROLE"); // emergency stops
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./OTCErrors.sol";
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool);
+    function balanceOf(address a) external view returns (uint256);
+}
+
+// SafeERC20-style calls: tokens that return nothing (USDT) or a 32-byte 1 count as success;
+// anything else they return, a revert or a call to an address without code as failure
+library OTCSafeERC20 {
+    function tryTransfer(
+        address token,
+        address to,
+        uint256 amount
+    ) internal returns (bool) {
+        return _call(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+    }
+
+    function safeTransfer(address token, address to, uint256 amount) internal {
+        if (!tryTransfer(token, to, amount)) revert OTCErrors.TransferFailed();
+    }
+
+    // Returns what actually arrived at `to`: less than `amount` for fee-on-transfer tokens
+    function safeTransferFrom(
+        address token,
+        address from,
+        address to,
+        uint256 amount
+    ) internal returns (uint256 received) {
+        if (token.code.length == 0) revert OTCErrors.TransferFailed();
+        uint256 before = IERC20(token).balanceOf(to);
+        if (
+            !_call(
+                token,
+                abi.encodeCall(IERC20.transferFrom, (from, to, amount))
+            )
+        ) revert OTCErrors.TransferFailed();
+        received = IERC20(token).balanceOf(to) - before;
+    }
+
+    function _call(address token, bytes memory data) private returns (bool) {
+        if (token.code.length == 0) return false;
+        (bool ok, bytes memory ret) = token.call(data);
+        // decoding as bool would revert on short or non-0/1 data and break tryTransfer
+        return
+            ok &&
+            (ret.length == 0 ||
+                (ret.length >= 32 && abi.decode(ret, (uint256)) == 1));
+    }
+}
@@ -8,18 +8,126 @@ library OTCStructs {
         bool enabled;
         address chainlinkFeed; // AggregatorV3
         uint8 feedDecimals;
+        uint256 maxHeartbeat; // max seconds since the last feed update
+        address secondaryFeed; // optional cross-check / fallback feed, address(0) = none
+        uint8 secondaryDecimals;
+        uint256 maxDeviationBps; // max allowed primary vs secondary deviation
+        uint256 maxPriceMoveBps; // circuit breaker: max move between consecutive reads, 0 = off
+    }
+
+    // KYC tier granted by compliance; falls back to tier 0 once expired
+    struct TierApproval {
+        uint8 tier;
+        uint256 expiresAt; // 0 = does not expire
+    }
+
+    // USD notional caps (1e18 = $1) for one KYC tier, 0 = no cap
+    struct TierLimits {
+        uint256 perTradeUsd;
+        uint256 dailyUsd; // rolling 24h volume
+        uint256 monthlyUsd; // rolling 30d volume
+    }
+
+    // Fee override for one sell asset / quote token pair, in bps of the quote
+    struct PairFee {
+        bool enabled;
+        uint256 buyerBps; // charged on top of the quote
+        uint256 sellerBps; // deducted from the seller's payout
+    }
+
+    // Fee discount for traders with at least minVolumeUsd (1e18 = $1) of trailing 30d volume
+    struct FeeDiscountTier {
+        uint256 minVolumeUsd;
+        uint256 discountBps;
+    }
+
+    // Fees of one fill, as computed by OTCOrders and snapshotted on the trade
+    struct TradeFees {
+        uint256 buyerFee;
+        uint256 sellerFee;
+        address referrer;
+        uint256 referralFee; // share of buyerFee + sellerFee
     }
 
     struct Order {
         uint256 id;
-        address seller;
+        address seller; // ASK maker; address(0) for bids (each fill has its own seller)
         address sellAsset; // WETH/WBTC/USDT/USDC
         uint256 sellAmount; // in wei-like units decided by frontend convention (ETH wei). For BTC, also treat as 1e18-based unit offchain.
-        address quoteToken; // USDT/USDC ERC20 address
-        uint256 quoteAmount; // stable amount required (excluding fee), locked at creation
+        address quoteToken; // USDT/USDC ERC20 address, address(0) = native coin
+        uint256 quoteAmount; // stable amount required (excluding fee) for the full sellAmount, locked at creation
         uint256 createdAt;
+        uint256 expiresAt; // 0 = never expires
         OTCEnums.OrderStatus status;
-        uint256 takenTradeId; // 0 if not taken
+        uint256 remainingAmount; // sellAmount not yet filled
+        uint256 minFillAmount; // smallest fill accepted, 0 = any amount
+        OTCEnums.PricingMode pricingMode;
+        uint256 floorQuoteAmount; // seller's floor price, as the minimum quote for the full sellAmount
+        int256 spreadBps; // spread applied to oracle quotes (config default or per-order), 0 for FIXED
+        OTCEnums.OrderSide side;
+        address buyer; // BID maker; address(0) for asks
+        uint256 feeAmount; // BID only: fee locked in escrow for the full quoteAmount
+        address allowedTaker; // private order: only this counterparty may take/fill, address(0) = anyone
+        bytes32 takerRoot; // whitelist: Merkle root of allowed counterparties, 0 = none
+        OTCEnums.BondAsset bondAsset; // token the seller's bond is posted in, if bonds are on
+        OTCEnums.DeliveryMode deliveryMode; // ESCROWED*: remainingAmount is held by OTCEscrow
+    }
+
+    // Seller-supplied order options; createOrder(sell, amount, quote) fills in defaults
+    struct OrderParams {
+        address sellToken;
+        uint256 sellAmount;
+        address quoteToken;
+        uint256 expiresAt; // 0 = now + config.orderTtl (never, if orderTtl is 0)
+        uint256 minFillAmount; // 0 = any amount
+        OTCEnums.PricingMode pricingMode;
+        uint256 floorQuoteAmount; // 0 = no floor
+        uint256 fixedQuoteAmount; // FIXED only: quote for the full sellAmount
+        bool customSpread; // oracle modes: use spreadBps instead of config.spreadBps
+        int256 spreadBps; // premium (+) or discount (-), within config order spread bounds
+        address allowedTaker; // set at most one of allowedTaker / takerRoot
+        bytes32 takerRoot;
+        OTCEnums.BondAsset bondAsset;
+        OTCEnums.DeliveryMode deliveryMode; // asks only; ESCROWED* pulls sellAmount into escrow
+    }
+
+    // Buyer-supplied take options; takeOrder(id[, fill]) fills in defaults
+    struct TakeParams {
+        uint256 orderId;
+        uint256 fillAmount;
+        uint256 maxQuoteAmount; // revert if the fill's quote (excluding fee) is above this
+        uint256 deadline; // revert if mined after this timestamp
+        bytes32[] proof; // Merkle proof for whitelisted orders, empty otherwise
+        address referrer; // gets a share of the fees on release, address(0) = none
+    }
+
+    // Off-chain ask signed by the seller (EIP-712), filled in full by takeSignedOrder
+    struct SignedOrder {
+        address seller;
+        address sellToken;
+        uint256 sellAmount;
+        address quoteToken;
+        OTCEnums.PricingMode pricingMode; // FIXED or ORACLE_LIVE
+        uint256 quoteAmount; // FIXED: quote for sellAmount; ORACLE_LIVE: floor (0 = none)
+        int256 spreadBps; // ORACLE_LIVE only, within config order spread bounds
+        uint256 expiresAt; // 0 = never
+        uint256 nonce; // invalid once below the seller's minNonce
+    }
+
+    // Opened by the buyer's rejectReceipt/openDispute, resolved by the assigned arbiter (or any arbiter while unassigned)
+    struct Dispute {
+        OTCEnums.DisputeStatus status;
+        OTCEnums.DisputeReason reason;
+        uint256 openedAt;
+        uint256 responseDeadline; // evidence accepted until then (the seller's time to respond)
+        address arbiter; // address(0) = any arbiter may resolve
+        string buyerEvidenceURI;
+        bytes32 buyerEvidenceHash;
+        string sellerEvidenceURI;
+        bytes32 sellerEvidenceHash;
+        uint256 buyerQuoteAmount; // resolution: part of quoteAmount returned to the buyer
+        uint256 buyerFeeAmount; // resolution: part of feeAmount returned to the buyer
+        address assignedBy; // dispute manager who assigned `arbiter`; only they may reassign
     }
 
     struct Trade {
@@ -31,10 +139,21 @@ library OTCStructs {
         uint256 sellAmount;
         address quoteToken;
         uint256 quoteAmount; // stable amount to seller
-        uint256 feeAmount; // stable fee to treasury
+        uint256 feeAmount; // buyer's fee, escrowed on top of quoteAmount
         string deliveryTxId; // proof placeholder
         uint256 createdAt;
         uint256 deliveredAt;
         OTCEnums.TradeStatus status;
+        address bondToken; // seller bond locked for this trade (config.sellerBondBps of its value)
+        uint256 bondAmount;
+        OTCEnums.DeliveryMode deliveryMode; // ESCROWED*: sellAmount is paid out by the escrow
+        uint256 sellerFeeAmount; // deducted from quoteAmount when the seller is paid
+        address referrer; // taker's referrer, address(0) = none
+        uint256 referralFeeAmount; // part of the fees paid to the referrer on release
+        // Timeouts fixed from the config windows when the trade opens / is delivered, so a
+        // later window change can't cut short a trade in progress. 0 on trades opened before
+        // they were stored: those fall back to the live windows.
+        uint256 deliveryDeadline; // claimRefundAfterTimeout after this
+        uint256 confirmDeadline; // claimReleaseAfterTimeout after this
     }
 }
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IDeliveryVerifier.sol";
+
+// Accepts every proof, or none, and can require an exact proof payload
+contract MockDeliveryVerifier is IDeliveryVerifier {
+    bool private result = true;
+    bytes private expectedProof; // empty = any proof
+
+    function setResult(bool _result) external {
+        result = _result;
+    }
+
+    function setExpectedProof(bytes calldata proof) external {
+        expectedProof = proof;
+    }
+
+    function verifyDelivery(
+        OTCStructs.Trade calldata /*trade*/,
+        string calldata /*txid*/,
+        bytes calldata proof
+    ) external view returns (bool) {
+        if (
+            expectedProof.length != 0 &&
+            keccak256(proof) != keccak256(expectedProof)
+        ) return false;
+        return result;
+    }
+}
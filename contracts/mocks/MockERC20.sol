@@ -1,7 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-contract MockERC20 {
+// Balances, minting and allowances shared by MockERC20 and its variants (MockERC20Variants.sol)
+abstract contract MockERC20Base {
     string public name;
     string public symbol;
     uint8 public decimals;
@@ -35,6 +36,31 @@ contract MockERC20 {
         return true;
     }
 
+    function _spendAllowance(address from, uint256 amount) internal {
+        uint256 a = allowance[from][msg.sender];
+        require(a >= amount, "allowance");
+        allowance[from][msg.sender] = a - amount;
+    }
+
+    function _transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal virtual {
+        require(balanceOf[from] >= amount, "balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+}
+
+contract MockERC20 is MockERC20Base {
+    constructor(
+        string memory n,
+        string memory s,
+        uint8 d
+    ) MockERC20Base(n, s, d) {}
+
     function transfer(address to, uint256 amount) external returns (bool) {
         _transfer(msg.sender, to, amount);
         return true;
@@ -45,17 +71,8 @@ contract MockERC20 {
         address to,
         uint256 amount
     ) external returns (bool) {
-        uint256 a = allowance[from][msg.sender];
-        require(a >= amount, "allowance");
-        allowance[from][msg.sender] = a - amount;
+        _spendAllowance(from, amount);
         _transfer(from, to, amount);
         return true;
     }
-
-    function _transfer(address from, address to, uint256 amount) internal {
-        require(balanceOf[from] >= amount, "balance");
-        balanceOf[from] -= amount;
-        balanceOf[to] += amount;
-        emit Transfer(from, to, amount);
-    }
 }
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+// USDT-style: transfer/transferFrom return nothing
+contract MockNoReturnERC20 is MockERC20Base {
+    constructor(
+        string memory n,
+        string memory s,
+        uint8 d
+    ) MockERC20Base(n, s, d) {}
+
+    function transfer(address to, uint256 amount) external {
+        _transfer(msg.sender, to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external {
+        _spendAllowance(from, amount);
+        _transfer(from, to, amount);
+    }
+}
+
+// Burns `feeBps` of every transfer, so the recipient gets less than `amount`
+contract MockFeeOnTransferERC20 is MockERC20 {
+    uint256 public feeBps;
+
+    constructor(
+        string memory n,
+        string memory s,
+        uint8 d,
+        uint256 _feeBps
+    ) MockERC20(n, s, d) {
+        feeBps = _feeBps;
+    }
+
+    function _transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        uint256 fee = (amount * feeBps) / 10_000;
+        super._transfer(from, to, amount);
+        balanceOf[to] -= fee;
+        totalSupply -= fee;
+        emit Transfer(to, address(0), fee);
+    }
+}
+
+// USDT-style blacklist: transfers from or to a listed address revert
+contract MockBlacklistERC20 is MockERC20 {
+    mapping(address => bool) public blacklisted;
+
+    constructor(string memory n, string memory s, uint8 d) MockERC20(n, s, d) {}
+
+    function setBlacklisted(address account, bool listed) external {
+        blacklisted[account] = listed;
+    }
+
+    function _transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        require(!blacklisted[from] && !blacklisted[to], "blacklisted");
+        super._transfer(from, to, amount);
+    }
+}
+
+// All transfers revert while paused
+contract MockPausableERC20 is MockERC20 {
+    bool public paused;
+
+    constructor(string memory n, string memory s, uint8 d) MockERC20(n, s, d) {}
+
+    function setPaused(bool _paused) external {
+        paused = _paused;
+    }
+
+    function _transfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override {
+        require(!paused, "paused");
+        super._transfer(from, to, amount);
+    }
+}
+
+// While `malformed`, transfers move nothing and return a single byte instead of a bool
+contract MockMalformedReturnERC20 is MockERC20Base {
+    bool public malformed;
+
+    constructor(
+        string memory n,
+        string memory s,
+        uint8 d
+    ) MockERC20Base(n, s, d) {}
+
+    function setMalformed(bool _malformed) external {
+        malformed = _malformed;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        if (malformed) _returnOneByte();
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool) {
+        if (malformed) _returnOneByte();
+        _spendAllowance(from, amount);
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _returnOneByte() private pure {
+        assembly {
+            mstore(0, shl(248, 1))
+            return(0, 1)
+        }
+    }
+}
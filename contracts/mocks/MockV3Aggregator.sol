@@ -5,6 +5,11 @@ contract MockV3Aggregator {
     uint8 public decimals;
     int256 private answer;
 
+    uint80 private roundId = 1;
+    uint80 private answeredInRound = 1;
+    uint256 private updatedAt; // 0 = live: report the current block timestamp
+    bool private reverting;
+
     constructor(uint8 _decimals, int256 _initialAnswer) {
         decimals = _decimals;
         answer = _initialAnswer;
@@ -15,10 +20,31 @@ contract MockV3Aggregator {
         view
         returns (uint80, int256, uint256, uint256, uint80)
     {
-        return (0, answer, block.timestamp, block.timestamp, 0);
+        require(!reverting, "feed down");
+        uint256 ts = updatedAt == 0 ? block.timestamp : updatedAt;
+        return (roundId, answer, ts, ts, answeredInRound);
     }
 
     function updateAnswer(int256 newAnswer) external {
         answer = newAnswer;
+        roundId++;
+        answeredInRound = roundId;
+    }
+
+    // Pin an explicit round, e.g. to simulate a stale or incomplete round
+    function updateRoundData(
+        uint80 _roundId,
+        int256 _answer,
+        uint256 _updatedAt,
+        uint80 _answeredInRound
+    ) external {
+        roundId = _roundId;
+        answer = _answer;
+        updatedAt = _updatedAt;
+        answeredInRound = _answeredInRound;
+    }
+
+    function setReverting(bool _reverting) external {
+        reverting = _reverting;
     }
 }
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../core/OTCEscrow.sol";
+import "../core/OTCOrders.sol";
+
+// Next versions for the upgrade tests: new state is appended and set by a reinitializer
+
+contract OTCEscrowV2Mock is OTCEscrow {
+    uint256 public migratedAt;
+
+    function initializeV2() external reinitializer(2) {
+        migratedAt = block.timestamp;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+contract OTCOrdersV2Mock is OTCOrders {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+// Storage-incompatible: a new variable in front of `owner`
+contract OTCAdminBadLayoutMock is Initializable {
+    uint256 public version;
+    address public owner;
+}
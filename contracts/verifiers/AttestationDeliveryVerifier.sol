@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IDeliveryVerifier.sol";
+import "../libraries/OTCErrors.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * Accepts a delivery when an allowed attester (relayer / oracle key watching the
+ * other chain) has signed that `txid` paid at least the trade's sellAmount to the
+ * trade's buyer. proof = abi.encode(uint256 amount, address recipient, bytes signature),
+ * where the signature is over the EIP-712 DeliveryAttestation below.
+ */
+contract AttestationDeliveryVerifier is IDeliveryVerifier, EIP712 {
+    bytes32 public constant DELIVERY_ATTESTATION_TYPEHASH =
+        keccak256(
+            "DeliveryAttestation(address escrow,uint256 tradeId,string txid,uint256 amount,address recipient)"
+        );
+
+    address public owner;
+    mapping(address => bool) public isAttester;
+
+    event AttesterSet(address indexed attester, bool allowed);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert OTCErrors.NotOwner();
+        _;
+    }
+
+    constructor(address _owner) EIP712("OTCDeliveryVerifier", "1") {
+        owner = _owner;
+    }
+
+    function setAttester(address attester, bool allowed) external onlyOwner {
+        require(attester != address(0), "zero");
+        isAttester[attester] = allowed;
+        emit AttesterSet(attester, allowed);
+    }
+
+    // Called by OTCEscrow: the attestation must name the calling escrow and this trade
+    function verifyDelivery(
+        OTCStructs.Trade calldata trade,
+        string calldata txid,
+        bytes calldata proof
+    ) external view returns (bool) {
+        if (proof.length == 0) return false;
+        (uint256 amount, address recipient, bytes memory signature) = abi
+            .decode(proof, (uint256, address, bytes));
+        if (amount < trade.sellAmount || recipient != trade.buyer) return false;
+
+        bytes32 digest = attestationDigest(
+            msg.sender,
+            trade.id,
+            txid,
+            amount,
+            recipient
+        );
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+            digest,
+            signature
+        );
+        return err == ECDSA.RecoverError.NoError && isAttester[signer];
+    }
+
+    function attestationDigest(
+        address escrow,
+        uint256 tradeId,
+        string calldata txid,
+        uint256 amount,
+        address recipient
+    ) public view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        DELIVERY_ATTESTATION_TYPEHASH,
+                        escrow,
+                        tradeId,
+                        keccak256(bytes(txid)),
+                        amount,
+                        recipient
+                    )
+                )
+            );
+    }
+}
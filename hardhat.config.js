@@ -3,6 +3,7 @@ require("hardhat-contract-sizer");
 require("@openzeppelin/hardhat-upgrades");
 
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/auditConfig");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
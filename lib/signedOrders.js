@@ -0,0 +1,101 @@
+const { ethers } = require("ethers");
+
+// Build, sign and verify OTCOrders EIP-712 signed orders (see takeSignedOrder).
+// Shared by the frontend and the test suite; works with any ethers v6 signer.
+
+const PricingMode = { ORACLE_LOCKED: 0, ORACLE_LIVE: 1, FIXED: 2 };
+
+// Must match OTCOrders.SIGNED_ORDER_TYPEHASH field for field
+const SIGNED_ORDER_TYPES = {
+  SignedOrder: [
+    { name: "seller", type: "address" },
+    { name: "sellToken", type: "address" },
+    { name: "sellAmount", type: "uint256" },
+    { name: "quoteToken", type: "address" },
+    { name: "pricingMode", type: "uint8" },
+    { name: "quoteAmount", type: "uint256" },
+    { name: "spreadBps", type: "int256" },
+    { name: "expiresAt", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// EIP712("OTCOrders", "1") on the deployed OTCOrders contract
+async function getDomain(orders) {
+  const { chainId } = await orders.runner.provider.getNetwork();
+  return {
+    name: "OTCOrders",
+    version: "1",
+    chainId,
+    verifyingContract: await orders.getAddress(),
+  };
+}
+
+// FIXED needs quoteAmount (price for the full sellAmount); ORACLE_LIVE takes
+// spreadBps and optionally quoteAmount as the floor. expiresAt 0 = never.
+function buildSignedOrder({
+  seller,
+  sellToken,
+  sellAmount,
+  quoteToken,
+  pricingMode = PricingMode.FIXED,
+  quoteAmount = 0n,
+  spreadBps = 0n,
+  expiresAt = 0n,
+  nonce,
+}) {
+  if (nonce === undefined) throw new Error("nonce is required");
+  if (
+    pricingMode !== PricingMode.FIXED &&
+    pricingMode !== PricingMode.ORACLE_LIVE
+  ) {
+    throw new Error("signed orders must be FIXED or ORACLE_LIVE");
+  }
+  return {
+    seller: ethers.getAddress(seller),
+    sellToken: ethers.getAddress(sellToken),
+    sellAmount: BigInt(sellAmount),
+    quoteToken: ethers.getAddress(quoteToken),
+    pricingMode,
+    quoteAmount: BigInt(quoteAmount),
+    spreadBps: BigInt(spreadBps),
+    expiresAt: BigInt(expiresAt),
+    nonce: BigInt(nonce),
+  };
+}
+
+async function signOrder(signer, order, domain) {
+  if (ethers.getAddress(await signer.getAddress()) !== order.seller) {
+    throw new Error("signer is not the order's seller");
+  }
+  return signer.signTypedData(domain, SIGNED_ORDER_TYPES, order);
+}
+
+// Same value as OTCOrders.hashSignedOrder(order)
+function hashOrder(order, domain) {
+  return ethers.TypedDataEncoder.hash(domain, SIGNED_ORDER_TYPES, order);
+}
+
+function verifyOrder(order, signature, domain) {
+  try {
+    const signer = ethers.verifyTypedData(
+      domain,
+      SIGNED_ORDER_TYPES,
+      order,
+      signature,
+    );
+    return signer === order.seller;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  PricingMode,
+  SIGNED_ORDER_TYPES,
+  getDomain,
+  buildSignedOrder,
+  signOrder,
+  hashOrder,
+  verifyOrder,
+};
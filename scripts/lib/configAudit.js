@@ -0,0 +1,169 @@
+const { ROLES, WIRING } = require("./deployPipeline");
+
+// Compares a deployment's on-chain configuration with what its manifest and record
+// intend (see deployPipeline.js) and builds the transactions that would reconcile it.
+//
+// Mappings can't be enumerated, so the tokens and role holders to look at come from
+// replaying QuoteTokenSet / AssetSet / RoleGranted / RoleRevoked since `fromBlock`,
+// plus everything the manifest expects. Current values are then read directly.
+
+// Returns { drift, holders }. Each drift entry is { item, expected, actual, txs }, where
+// txs are { to, data, description } in the order they have to be sent; an entry without
+// txs can't be fixed by a single call and needs a redeploy or an upgrade.
+async function auditConfig(hre, manifest, record, opts = {}) {
+  const { ethers } = hre;
+  const fromBlock = opts.fromBlock ?? 0;
+  const drift = [];
+  const note = (item, expected, actual, txs = []) =>
+    drift.push({
+      item,
+      expected: String(expected),
+      actual: String(actual),
+      txs,
+    });
+  const tx = (contract, fn, args) => ({
+    to: contract.target,
+    data: contract.interface.encodeFunctionData(fn, args),
+    description: `${fn}(${args.map(String).join(", ")})`,
+  });
+
+  for (const key of ["Registry", ...WIRING.map(([k]) => k)]) {
+    if (!record[key]) throw new Error(`deployment record has no ${key}`);
+  }
+
+  const registry = await ethers.getContractAt("OTCRegistry", record.Registry);
+  const admin = await ethers.getContractAt("OTCAdmin", record.Admin);
+  const config = await ethers.getContractAt("OTCConfig", record.Config);
+
+  // 1) Wiring: the registry points at the recorded contracts, and they resolve through it
+  for (const [key, getter, setter] of WIRING) {
+    const actual = await registry[getter]();
+    if (actual === record[key]) continue;
+    // only an unset entry is set directly; rewiring is timelocked like role grants
+    const keyId = await registry[key.toUpperCase()]();
+    note(
+      `registry.${getter}`,
+      record[key],
+      actual,
+      actual === ethers.ZeroAddress
+        ? [tx(registry, setter, [record[key]])]
+        : [
+            tx(registry, "scheduleRewire", [keyId, record[key]]),
+            tx(registry, "executeRewire", [keyId]),
+          ],
+    );
+  }
+  for (const key of ["Config", "Orders", "Escrow"]) {
+    const c = await ethers.getContractAt(`OTC${key}`, record[key]);
+    const actual = await c.registry();
+    if (actual !== record.Registry)
+      note(`${key.toLowerCase()}.registry`, record.Registry, actual);
+  }
+
+  // 2) Treasury, fee and spread
+  const treasury = ethers.getAddress(record.Treasury);
+  const actualTreasury = await config.treasury();
+  if (actualTreasury !== treasury)
+    note("config.treasury", treasury, actualTreasury, [
+      tx(config, "setTreasury", [treasury]),
+    ]);
+  for (const [key, setter] of [
+    ["feeBps", "setFeeBps"],
+    ["spreadBps", "setSpreadBps"],
+  ]) {
+    const expected = BigInt(manifest[key] ?? 0);
+    const actual = await config[key]();
+    if (actual !== expected)
+      note(`config.${key}`, expected, actual, [tx(config, setter, [expected])]);
+  }
+
+  // 3) Quote tokens and asset feeds: the manifest's tokens (+ native) and nothing else
+  const listed = new Map(); // token => { label, feed }
+  for (const symbol of Object.keys(manifest.tokens ?? {}))
+    listed.set(record[symbol], {
+      label: symbol,
+      feed: record[`${symbol}Feed`],
+    });
+  if (manifest.native)
+    listed.set(ethers.ZeroAddress, {
+      label: "native",
+      feed: record.NativeFeed,
+    });
+
+  const seen = new Set(listed.keys());
+  for (const name of ["QuoteTokenSet", "AssetSet"]) {
+    for (const log of await config.queryFilter(
+      config.filters[name](),
+      fromBlock,
+    ))
+      seen.add(log.args.token);
+  }
+
+  for (const token of seen) {
+    const want = listed.get(token);
+    const label = want?.label ?? token;
+    const allowed = await config.allowedQuoteTokens(token);
+    if (allowed !== !!want)
+      note(`config.allowedQuoteTokens(${label})`, !!want, allowed, [
+        tx(config, "setQuoteToken", [token, !!want]),
+      ]);
+
+    const asset = await config.assets(token);
+    const setAsset = (feed, enabled) =>
+      token === ethers.ZeroAddress
+        ? tx(config, "setNativeAsset", [feed, enabled])
+        : tx(config, "setAsset", [token, feed, enabled]);
+    if (want && (!asset.enabled || asset.chainlinkFeed !== want.feed)) {
+      note(
+        `config.assets(${label})`,
+        `${want.feed} enabled`,
+        `${asset.chainlinkFeed} ${asset.enabled ? "enabled" : "disabled"}`,
+        [setAsset(want.feed, true)],
+      );
+    } else if (!want && asset.enabled) {
+      note(
+        `config.assets(${label})`,
+        "disabled",
+        `${asset.chainlinkFeed} enabled`,
+        [setAsset(asset.chainlinkFeed, false)],
+      );
+    }
+  }
+
+  // 4) Role holders; checked against manifest.roles for the roles it lists
+  const holders = {};
+  const candidates = new Set();
+  for (const name of ["RoleGranted", "RoleRevoked"]) {
+    for (const log of await admin.queryFilter(admin.filters[name](), fromBlock))
+      candidates.add(log.args.account);
+  }
+  for (const accounts of Object.values(manifest.roles ?? {}))
+    accounts.forEach((a) => candidates.add(ethers.getAddress(a)));
+
+  for (const role of ROLES) {
+    const roleId = await admin[role]();
+    holders[role] = [];
+    for (const account of candidates) {
+      if (await admin.hasRole(roleId, account)) holders[role].push(account);
+    }
+    const wanted = manifest.roles?.[role]?.map((a) => ethers.getAddress(a));
+    if (!wanted) continue;
+
+    for (const account of wanted.filter((a) => !holders[role].includes(a))) {
+      // grants are timelocked: the second call only succeeds ROLE_GRANT_DELAY later
+      note(`admin.${role}(${account})`, "granted", "missing", [
+        tx(admin, "scheduleRoleGrant", [roleId, account]),
+        tx(admin, "executeRoleGrant", [roleId, account]),
+      ]);
+    }
+    for (const account of holders[role].filter((a) => !wanted.includes(a))) {
+      note(`admin.${role}(${account})`, "none", "granted", [
+        tx(admin, "revokeRole", [roleId, account]),
+      ]);
+    }
+  }
+
+  return { drift, holders };
+}
+
+module.exports = { auditConfig };
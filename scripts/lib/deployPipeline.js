@@ -0,0 +1,328 @@
+const fs = require("fs");
+const path = require("path");
+
+// Manifest-driven deployment shared by scripts/deploy.js and the test suite.
+//
+// deployment/manifests/<name>.json says what a network should look like: treasury, fees,
+// OTCAdmin role holders, and per token its address, decimals and USD feed. deployment/<network>.json records
+// what is actually deployed and is rewritten after every step, so a failed run resumes
+// where it stopped. Anything already in the record with code on chain is reused, and
+// every config/wiring call is skipped when the chain already matches.
+
+const DEPLOYMENT_DIR = path.join(__dirname, "..", "..", "deployment");
+
+// Chains that start empty: a manifest address without code gets a mock instead, so
+// any manifest can be dry-run against `npx hardhat node`
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const FEED_DECIMALS = 8;
+
+// record key, registry getter and its initial setter
+const WIRING = [
+  ["Admin", "admin", "setAdmin"],
+  ["Config", "config", "setConfig"],
+  ["Orders", "orders", "setOrders"],
+  ["Escrow", "escrow", "setEscrow"],
+];
+
+const ROLES = [
+  "COMPLIANCE_ROLE",
+  "ARBITER_ROLE",
+  "DISPUTE_MANAGER_ROLE",
+  "CONFIG_MANAGER_ROLE",
+  "PAUSER_ROLE",
+];
+
+function loadManifest(name) {
+  const file = path.join(DEPLOYMENT_DIR, "manifests", `${name}.json`);
+  if (!fs.existsSync(file))
+    throw new Error(`no deployment manifest for "${name}" (${file})`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// [role, account] pairs from manifest.roles. An account may hold one role only, so no
+// single key ends up with two duties (and the deployer holds none unless listed).
+function roleGrants(ethers, manifest) {
+  const grants = [];
+  const holders = new Map(); // account => role
+  for (const [role, accounts] of Object.entries(manifest.roles ?? {})) {
+    if (!ROLES.includes(role)) throw new Error(`roles: unknown role ${role}`);
+    for (const account of accounts.map((a) => ethers.getAddress(a))) {
+      if (holders.has(account))
+        throw new Error(
+          `roles: ${account} is listed for both ${holders.get(account)} and ${role}`,
+        );
+      holders.set(account, role);
+      grants.push([role, account]);
+    }
+  }
+  return grants;
+}
+
+function loadDeployment(network) {
+  const file = path.join(DEPLOYMENT_DIR, `${network}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+function saveDeployment(network, record) {
+  const file = path.join(DEPLOYMENT_DIR, `${network}.json`);
+  fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n");
+}
+
+// Deploys whatever `record` is missing and brings config and wiring in line with the
+// manifest. Returns the keys deployed by this run.
+async function deployAll(hre, manifest, record, opts = {}) {
+  const log = opts.log ?? console.log;
+  const save = opts.save ?? (() => {});
+  const { ethers, upgrades } = hre;
+  const [deployer] = await ethers.getSigners();
+  const local = LOCAL_NETWORKS.includes(hre.network.name);
+  const mocksAllowed = local || manifest.mocks === true;
+  // OTCAdmin gives the owner no role, and a missing one takes ROLE_GRANT_DELAY to add
+  if (!local) {
+    for (const role of ROLES) {
+      if (!manifest.roles?.[role]?.length)
+        throw new Error(
+          `roles: no ${role} holder in the manifest, required on ${hre.network.name}`,
+        );
+    }
+  }
+  const grants = roleGrants(ethers, manifest);
+  const deployed = [];
+
+  const hasCode = async (address) =>
+    !!address && (await ethers.provider.getCode(address)) !== "0x";
+
+  // Manifest address if it has code, else the recorded deployment, else `deploy()`.
+  // Only core contracts (`mock: false`) are deployed where mocks are off.
+  async function resolve(key, address, deploy, { mock = true } = {}) {
+    if (address) {
+      address = ethers.getAddress(address);
+      if (await hasCode(address)) {
+        record[key] = address;
+        return address;
+      }
+      if (!local) throw new Error(`${key}: no contract at ${address}`);
+      log(`${key}: no code at ${address} on ${hre.network.name}, mocking it`);
+    }
+    if (await hasCode(record[key])) {
+      log(`${key}: reusing ${record[key]}`);
+      return record[key];
+    }
+    if (mock && !mocksAllowed)
+      throw new Error(
+        `${key}: no address in the manifest and mocks are off on ${hre.network.name}`,
+      );
+
+    const contract = await deploy();
+    await contract.waitForDeployment();
+    record[key] = await contract.getAddress();
+    deployed.push(key);
+    save(record);
+    log(`${key}: deployed ${record[key]}`);
+    return record[key];
+  }
+
+  // 1) Tokens and feeds: manifest addresses, else mocks where allowed
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const MockV3 = await ethers.getContractFactory("MockV3Aggregator");
+  const mockFeed = (price) => () =>
+    MockV3.deploy(
+      FEED_DECIMALS,
+      ethers.parseUnits(String(price), FEED_DECIMALS),
+    );
+
+  const tokens = {};
+  const mintTo = [...new Set([deployer.address, ...(manifest.mintTo ?? [])])];
+  for (const [symbol, t] of Object.entries(manifest.tokens ?? {})) {
+    const before = deployed.length;
+    const address = await resolve(symbol, t.address, () =>
+      MockERC20.deploy(`Mock ${symbol}`, symbol, t.decimals),
+    );
+    // fresh mocks only: real tokens can't be minted
+    if (deployed.length > before && t.mint) {
+      const token = MockERC20.attach(address);
+      const amount = ethers.parseUnits(String(t.mint), t.decimals);
+      for (const to of mintTo) await (await token.mint(to, amount)).wait();
+      log(`  minted ${t.mint} ${symbol} to ${mintTo.join(", ")}`);
+    }
+    tokens[symbol] = {
+      address,
+      feed: await resolve(`${symbol}Feed`, t.feed, mockFeed(t.price)),
+    };
+  }
+  const nativeFeed = manifest.native
+    ? await resolve(
+        "NativeFeed",
+        manifest.native.feed,
+        mockFeed(manifest.native.price),
+      )
+    : null;
+
+  // 2) Core contracts behind transparent proxies, owned by the deployer. OTCAdmin starts
+  // with the manifest's role holders.
+  const treasury = ethers.getAddress(manifest.treasury || deployer.address);
+  record.Treasury = treasury;
+  const core = async (key, name, args) =>
+    resolve(
+      key,
+      null,
+      async () =>
+        upgrades.deployProxy(await ethers.getContractFactory(name), args, {
+          kind: "transparent",
+        }),
+      { mock: false },
+    );
+
+  const registryAddress = await core("Registry", "OTCRegistry", [
+    deployer.address,
+  ]);
+  await core("Admin", "OTCAdmin", [
+    deployer.address,
+    grants.map(([role]) => ethers.id(role)),
+    grants.map(([, account]) => account),
+  ]);
+  await core("Config", "OTCConfig", [
+    deployer.address,
+    treasury,
+    registryAddress,
+  ]);
+  await core("Orders", "OTCOrders", [registryAddress]);
+  await core("Escrow", "OTCEscrow", [registryAddress]);
+  save(record);
+
+  // 3) Wiring: every core contract resolves its peers through the registry. Unset
+  // entries are set directly; changing one is timelocked like the role grants below
+  const registry = await ethers.getContractAt("OTCRegistry", registryAddress);
+  const now = async () =>
+    BigInt((await ethers.provider.getBlock("latest")).timestamp);
+  for (const [key, getter, setter] of WIRING) {
+    const current = await registry[getter]();
+    if (current === record[key]) continue;
+    if (current === ethers.ZeroAddress) {
+      log(`Wiring registry.${setter}(${record[key]})`);
+      await (await registry[setter](record[key])).wait();
+      continue;
+    }
+    const keyId = await registry[key.toUpperCase()]();
+    const pending = await registry.pendingRewires(keyId);
+    if (pending.current !== record[key]) {
+      log(`Wiring: scheduling ${key} ${current} -> ${record[key]}`);
+      await (await registry.scheduleRewire(keyId, record[key])).wait();
+    } else if (pending.eta <= (await now())) {
+      log(`Wiring: rewiring ${key} to ${record[key]}`);
+      await (await registry.executeRewire(keyId)).wait();
+    } else {
+      log(`Wiring: ${key} -> ${record[key]} pending until ${pending.eta}`);
+    }
+  }
+  await validateWiring(hre, registryAddress, log);
+
+  // 4) Roles the manifest gained after OTCAdmin was deployed go through the timelock:
+  // this run schedules them, a run after ROLE_GRANT_DELAY executes them
+  const admin = await ethers.getContractAt("OTCAdmin", record.Admin);
+  for (const [role, account] of grants) {
+    const roleId = ethers.id(role);
+    if (await admin.hasRole(roleId, account)) continue;
+    const eta = await admin.pendingRoleGrants(roleId, account);
+    if (eta === 0n) {
+      log(`Roles: scheduling ${role} for ${account}`);
+      await (await admin.scheduleRoleGrant(roleId, account)).wait();
+    } else if (eta <= (await now())) {
+      log(`Roles: granting ${role} to ${account}`);
+      await (await admin.executeRoleGrant(roleId, account)).wait();
+    } else {
+      log(`Roles: ${role} for ${account} pending until ${eta}`);
+    }
+  }
+
+  // 5) Config: treasury, fees, quote tokens and price feeds
+  const config = await ethers.getContractAt("OTCConfig", record.Config);
+  const configure = async (label, current, wanted, send) => {
+    if (current === wanted) return;
+    log(`Config: ${label}`);
+    await (await send()).wait();
+  };
+  await configure("treasury", await config.treasury(), treasury, () =>
+    config.setTreasury(treasury),
+  );
+  await configure(
+    "feeBps",
+    await config.feeBps(),
+    BigInt(manifest.feeBps ?? 0),
+    () => config.setFeeBps(manifest.feeBps ?? 0),
+  );
+  await configure(
+    "spreadBps",
+    await config.spreadBps(),
+    BigInt(manifest.spreadBps ?? 0),
+    () => config.setSpreadBps(manifest.spreadBps ?? 0),
+  );
+
+  const listings = Object.entries(tokens).map(([symbol, t]) => [
+    symbol,
+    t.address,
+    t.feed,
+  ]);
+  if (nativeFeed) listings.push(["native", ethers.ZeroAddress, nativeFeed]);
+  for (const [symbol, token, feed] of listings) {
+    // sell assets and quote tokens share one allow-list
+    await configure(
+      `quote token ${symbol}`,
+      await config.allowedQuoteTokens(token),
+      true,
+      () => config.setQuoteToken(token, true),
+    );
+    const asset = await config.assets(token);
+    await configure(
+      `${symbol} feed ${feed}`,
+      asset.enabled && asset.chainlinkFeed,
+      feed,
+      () =>
+        token === ethers.ZeroAddress
+          ? config.setNativeAsset(feed, true)
+          : config.setAsset(token, feed, true),
+    );
+  }
+  save(record);
+
+  return deployed;
+}
+
+// Reads every peer back from the registry and checks each core contract resolves
+// through that same registry; throws on the first mismatch.
+async function validateWiring(hre, registryAddress, log = console.log) {
+  const { ethers } = hre;
+  log("Validating wiring...");
+  const registry = await ethers.getContractAt("OTCRegistry", registryAddress);
+  const peers = {
+    OTCAdmin: await registry.admin(),
+    OTCConfig: await registry.config(),
+    OTCOrders: await registry.orders(),
+    OTCEscrow: await registry.escrow(),
+  };
+  for (const [name, address] of Object.entries(peers)) {
+    if (address === ethers.ZeroAddress)
+      throw new Error(`registry: ${name} not set`);
+    if ((await ethers.provider.getCode(address)) === "0x")
+      throw new Error(`registry: ${name} at ${address} has no code`);
+    // OTCAdmin has no registry of its own
+    if (name === "OTCAdmin") continue;
+    const c = await ethers.getContractAt(name, address);
+    const resolved = await c.registry();
+    if (resolved !== registryAddress)
+      throw new Error(`${name} resolves through ${resolved}, not the registry`);
+  }
+  log("  done");
+}
+
+module.exports = {
+  LOCAL_NETWORKS,
+  ROLES,
+  WIRING,
+  loadManifest,
+  loadDeployment,
+  saveDeployment,
+  deployAll,
+  validateWiring,
+};
@@ -0,0 +1,61 @@
+const { task, types } = require("hardhat/config");
+
+// npx hardhat audit-config --network <network> [--manifest <name>] [--from-block <n>] [--txs]
+task(
+  "audit-config",
+  "Diffs OTCRegistry / OTCConfig / OTCAdmin state against the network's manifest and deployment record",
+)
+  .addOptionalParam(
+    "manifest",
+    "Manifest name (default: the network, localhost on hardhat)",
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "First block to replay config and role events from",
+    0,
+    types.int,
+  )
+  .addFlag("txs", "Print the reconciling transactions as JSON")
+  .setAction(async (args, hre) => {
+    const {
+      loadManifest,
+      loadDeployment,
+    } = require("../scripts/lib/deployPipeline");
+    const { auditConfig } = require("../scripts/lib/configAudit");
+
+    const network = hre.network.name;
+    const manifestName =
+      args.manifest || (network === "hardhat" ? "localhost" : network);
+    const { drift, holders } = await auditConfig(
+      hre,
+      loadManifest(manifestName),
+      loadDeployment(network),
+      { fromBlock: args.fromBlock },
+    );
+
+    console.log(`Network ${network}, manifest ${manifestName}`);
+    for (const [role, accounts] of Object.entries(holders)) {
+      console.log(`  ${role}: ${accounts.join(", ") || "-"}`);
+    }
+    if (drift.length === 0) {
+      console.log("✅ No drift");
+      return;
+    }
+
+    console.log(`⚠ ${drift.length} drifted setting(s):`);
+    for (const d of drift) {
+      console.log(`  ${d.item}: expected ${d.expected}, on chain ${d.actual}`);
+      if (d.txs.length === 0) console.log("    (no single call fixes this)");
+      for (const t of d.txs) console.log(`    -> ${t.description}`);
+    }
+    if (args.txs) {
+      console.log(
+        JSON.stringify(
+          drift.flatMap((d) => d.txs),
+          null,
+          2,
+        ),
+      );
+    }
+    process.exitCode = 1;
+  });
@@ -0,0 +1,180 @@
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Shared deployment used by the feature test suites: mock tokens + 8-decimal
+// feeds, core contracts behind transparent proxies and wired through the
+// registry, fee 0.30% and spread 0.20%.
+async function deployFixture() {
+  const [owner, seller, buyer, treasury, other] = await ethers.getSigners();
+
+  const MockV3 = await ethers.getContractFactory("MockV3Aggregator");
+  const usdtFeed = await MockV3.deploy(8, 1n * 10n ** 8n); // $1.00
+  const usdcFeed = await MockV3.deploy(8, 1n * 10n ** 8n); // $1.00
+  const wbtcFeed = await MockV3.deploy(8, 60_000n * 10n ** 8n); // $60k
+  const wethFeed = await MockV3.deploy(8, 3_000n * 10n ** 8n); // $3k
+  const nativeFeed = await MockV3.deploy(8, 600n * 10n ** 8n); // $600 (BNB)
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  // like the real thing, USDT can blacklist addresses
+  const usdt = await (
+    await ethers.getContractFactory("MockBlacklistERC20")
+  ).deploy("Mock USDT", "USDT", 6);
+  const usdc = await MockERC20.deploy("Mock USDC", "USDC", 6);
+  const wbtc = await MockERC20.deploy("Mock WBTC", "WBTC", 8);
+  const weth = await MockERC20.deploy("Mock WETH", "WETH", 18);
+
+  const registry = await deployProxy("OTCRegistry", [owner.address]);
+  const registryAddr = await registry.getAddress();
+  // the suites act as every operator through `owner`, so it starts with all roles
+  const roles = [
+    "COMPLIANCE_ROLE",
+    "ARBITER_ROLE",
+    "DISPUTE_MANAGER_ROLE",
+    "CONFIG_MANAGER_ROLE",
+    "PAUSER_ROLE",
+  ].map((r) => ethers.id(r));
+  const admin = await deployProxy("OTCAdmin", [
+    owner.address,
+    roles,
+    roles.map(() => owner.address),
+  ]);
+  const config = await deployProxy("OTCConfig", [
+    owner.address,
+    treasury.address,
+    registryAddr,
+  ]);
+  const orders = await deployProxy("OTCOrders", [registryAddr]);
+  const escrow = await deployProxy("OTCEscrow", [registryAddr]);
+
+  await (await registry.setAdmin(await admin.getAddress())).wait();
+  await (await registry.setConfig(await config.getAddress())).wait();
+  await (await registry.setOrders(await orders.getAddress())).wait();
+  await (await registry.setEscrow(await escrow.getAddress())).wait();
+
+  await (await config.setFeeBps(30)).wait();
+  await (await config.setSpreadBps(20)).wait();
+
+  const pairs = [
+    [usdt, usdtFeed],
+    [usdc, usdcFeed],
+    [wbtc, wbtcFeed],
+    [weth, wethFeed],
+  ];
+  for (const [token, feed] of pairs) {
+    await (await config.setQuoteToken(await token.getAddress(), true)).wait();
+    await (
+      await config.setAsset(
+        await token.getAddress(),
+        await feed.getAddress(),
+        true,
+      )
+    ).wait();
+  }
+
+  return {
+    owner,
+    seller,
+    buyer,
+    treasury,
+    other,
+    registry,
+    admin,
+    config,
+    orders,
+    escrow,
+    usdt,
+    usdc,
+    wbtc,
+    weth,
+    usdtFeed,
+    usdcFeed,
+    wbtcFeed,
+    wethFeed,
+    nativeFeed,
+  };
+}
+
+async function deployProxy(name, args) {
+  return upgrades.deployProxy(await ethers.getContractFactory(name), args, {
+    kind: "transparent",
+  });
+}
+
+function eventArgs(receipt, name) {
+  const log = receipt.logs.find((l) => l.fragment?.name === name);
+  return log ? log.args : undefined;
+}
+
+// Schedules an OTCAdmin role grant, waits out the timelock and executes it
+async function grantRole(f, role, account) {
+  const roleId = await f.admin[role]();
+  await (await f.admin.scheduleRoleGrant(roleId, account)).wait();
+  await time.increase(await f.admin.ROLE_GRANT_DELAY());
+  await (await f.admin.executeRoleGrant(roleId, account)).wait();
+}
+
+// OrderParams for createOrderWithParams: 1 WETH against USDT with createOrder's defaults
+async function orderParams(f, overrides = {}) {
+  return {
+    sellToken: await f.weth.getAddress(),
+    sellAmount: 10n ** 18n,
+    quoteToken: await f.usdt.getAddress(),
+    expiresAt: 0,
+    minFillAmount: 0,
+    pricingMode: 0, // ORACLE_LOCKED
+    floorQuoteAmount: 0,
+    fixedQuoteAmount: 0,
+    customSpread: false,
+    spreadBps: 0,
+    allowedTaker: ethers.ZeroAddress,
+    takerRoot: ethers.ZeroHash,
+    bondAsset: 0, // QUOTE
+    deliveryMode: 0, // OFF_CHAIN
+    ...overrides,
+  };
+}
+
+// Seller lists 1 WETH against USDT (unless overridden), buyer funds and takes it.
+async function openTrade(f, opts = {}) {
+  const sellToken = opts.sellToken ?? (await f.weth.getAddress());
+  const sellAmount = opts.sellAmount ?? 10n ** 18n;
+  const quote = opts.quote ?? f.usdt;
+
+  const rcCreate = await (
+    await f.orders
+      .connect(f.seller)
+      .createOrder(sellToken, sellAmount, await quote.getAddress())
+  ).wait();
+  const orderId = eventArgs(rcCreate, "OrderCreated").orderId;
+
+  const { quoteAmount } = await f.orders.orders(orderId);
+  const feeAmount = (quoteAmount * 30n) / 10_000n;
+  const total = quoteAmount + feeAmount;
+
+  await (await quote.mint(f.buyer.address, total)).wait();
+  await (
+    await quote.connect(f.buyer).approve(await f.orders.getAddress(), total)
+  ).wait();
+  const rcTake = await (
+    await f.orders.connect(f.buyer).takeOrder(orderId)
+  ).wait();
+  const tradeId = eventArgs(rcTake, "OrderTaken").tradeId;
+
+  return { orderId, tradeId, quoteAmount, feeAmount, total };
+}
+
+// Disputes can't be resolved on one side's evidence until the response deadline has passed
+async function closeEvidence(f, tradeId) {
+  const { responseDeadline } = await f.escrow.getDispute(tradeId);
+  await time.increaseTo(responseDeadline + 1n);
+}
+
+module.exports = {
+  deployFixture,
+  deployProxy,
+  eventArgs,
+  grantRole,
+  orderParams,
+  openTrade,
+  closeEvidence,
+};
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest, deployAll } = require("../scripts/lib/deployPipeline");
+const { auditConfig } = require("../scripts/lib/configAudit");
+
+describe("OTC configuration audit", function () {
+  const { ethers } = hre;
+
+  let manifest, record, owner, other, pauser, config, registry;
+
+  beforeEach(async () => {
+    [owner, , , , other] = await ethers.getSigners();
+    pauser = (await ethers.getSigners())[9]; // the localhost manifest's pauser
+    manifest = loadManifest("localhost");
+    record = {};
+    await deployAll(hre, manifest, record, { log: () => {} });
+    config = await ethers.getContractAt("OTCConfig", record.Config);
+    registry = await ethers.getContractAt("OTCRegistry", record.Registry);
+  });
+
+  // Sends each entry's calls in order; a second call executes a timelocked first one
+  async function send(drift) {
+    for (const { txs } of drift) {
+      for (const [i, t] of txs.entries()) {
+        if (i > 0) await time.increase(2 * 24 * 60 * 60);
+        await (await owner.sendTransaction({ to: t.to, data: t.data })).wait();
+      }
+    }
+  }
+
+  it("finds nothing on a fresh deployment", async () => {
+    const { drift, holders } = await auditConfig(hre, manifest, record);
+    expect(drift).to.deep.equal([]);
+    expect(holders.PAUSER_ROLE).to.deep.equal([pauser.address]);
+  });
+
+  it("reports drift and the calls that reconcile it", async () => {
+    await (await config.setFeeBps(50)).wait();
+    await (await config.setQuoteToken(record.USDT, false)).wait();
+    const feed = await (
+      await ethers.getContractFactory("MockV3Aggregator")
+    ).deploy(8, 10n ** 8n);
+    await (
+      await config.setAsset(other.address, await feed.getAddress(), true)
+    ).wait();
+    const ADMIN = await registry.ADMIN();
+    await (await registry.scheduleRewire(ADMIN, other.address)).wait();
+    await time.increase(await registry.REWIRE_DELAY());
+    await (await registry.executeRewire(ADMIN)).wait();
+
+    const { drift } = await auditConfig(hre, manifest, record);
+    expect(drift.map((d) => d.item)).to.have.members([
+      "registry.admin",
+      "config.feeBps",
+      "config.allowedQuoteTokens(USDT)",
+      `config.assets(${other.address})`,
+    ]);
+    const fee = drift.find((d) => d.item === "config.feeBps");
+    expect(fee).to.include({ expected: "30", actual: "50" });
+    expect(fee.txs[0].description).to.equal("setFeeBps(30)");
+    const wiring = drift.find((d) => d.item === "registry.admin");
+    expect(wiring.txs.map((t) => t.description.split("(")[0])).to.deep.equal([
+      "scheduleRewire",
+      "executeRewire",
+    ]);
+
+    await send(drift);
+    expect((await auditConfig(hre, manifest, record)).drift).to.deep.equal([]);
+  });
+
+  it("checks role holders against the manifest's roles", async () => {
+    manifest.roles = { PAUSER_ROLE: [other.address] };
+    const { drift } = await auditConfig(hre, manifest, record);
+    expect(drift.map((d) => d.item)).to.have.members([
+      `admin.PAUSER_ROLE(${other.address})`,
+      `admin.PAUSER_ROLE(${pauser.address})`,
+    ]);
+    const grant = drift.find((d) => d.actual === "missing");
+    expect(grant.txs.map((t) => t.description.split("(")[0])).to.deep.equal([
+      "scheduleRoleGrant",
+      "executeRoleGrant",
+    ]);
+
+    // grants are timelocked: schedule, wait, execute
+    const admin = await ethers.getContractAt("OTCAdmin", record.Admin);
+    const [schedule, execute] = grant.txs;
+    await (await owner.sendTransaction(schedule)).wait();
+    await time.increase(await admin.ROLE_GRANT_DELAY());
+    await (await owner.sendTransaction(execute)).wait();
+    await send(drift.filter((d) => d !== grant));
+
+    expect((await auditConfig(hre, manifest, record)).drift).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture, eventArgs } = require("./helpers/fixture");
+
+describe("OTC bid (buy-side) orders", function () {
+  const ONE = 10n ** 18n;
+  const BID = 1;
+
+  let f, orderId, created, escrowAddr;
+
+  async function fill(fillAmount, from = f.seller) {
+    const rc = await (
+      await f.orders
+        .connect(from)
+        ["fillBid(uint256,uint256)"](orderId, fillAmount)
+    ).wait();
+    return eventArgs(rc, "BidFilled");
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    escrowAddr = await f.escrow.getAddress();
+
+    // Buyer bids for 2 WETH in USDT, funding quote + fee upfront
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10n ** 12n)
+    ).wait();
+    const rc = await (
+      await f.orders
+        .connect(f.buyer)
+        .createBid(
+          await f.weth.getAddress(),
+          2n * ONE,
+          await f.usdt.getAddress(),
+        )
+    ).wait();
+    created = eventArgs(rc, "BidCreated");
+    orderId = created.orderId;
+  });
+
+  it("escrows quote + fee when the bid is posted", async () => {
+    expect(created.feeAmount).to.equal((created.quoteAmount * 30n) / 10_000n);
+    const total = created.quoteAmount + created.feeAmount;
+    expect(await f.usdt.balanceOf(escrowAddr)).to.equal(total);
+
+    const o = await f.orders.orders(orderId);
+    expect(o.side).to.equal(BID);
+    expect(o.buyer).to.equal(f.buyer.address);
+    expect(o.seller).to.equal(ethers.ZeroAddress);
+    expect((await f.escrow.bidFunds(orderId)).amount).to.equal(total);
+  });
+
+  it("lets a seller fill and follow the normal trade lifecycle", async () => {
+    const filled = await fill(ONE);
+    expect(filled.remainingAmount).to.equal(ONE);
+
+    const t = await f.escrow.getTrade(filled.tradeId);
+    expect(t.buyer).to.equal(f.buyer.address);
+    expect(t.seller).to.equal(f.seller.address);
+    expect(t.quoteAmount).to.equal(created.quoteAmount / 2n);
+
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(filled.tradeId, "0xTX")
+    ).wait();
+    await expect(
+      f.escrow.connect(f.buyer).confirmReceipt(filled.tradeId),
+    ).to.changeTokenBalance(f.usdt, f.seller, t.quoteAmount);
+    expect(await f.escrow.accruedFees(await f.usdt.getAddress())).to.equal(
+      t.feeAmount,
+    );
+  });
+
+  it("uses up the locked funds exactly across fills", async () => {
+    await fill(ONE / 3n);
+    await fill(2n * ONE - ONE / 3n, f.other);
+    expect((await f.escrow.bidFunds(orderId)).amount).to.equal(0n);
+    expect((await f.orders.orders(orderId)).status).to.equal(2n); // TAKEN
+  });
+
+  it("refunds the unfilled part on cancel", async () => {
+    const filled = await fill(ONE);
+    const t = await f.escrow.getTrade(filled.tradeId);
+    const locked = created.quoteAmount + created.feeAmount;
+
+    await expect(
+      f.orders.connect(f.seller).cancelOrder(orderId),
+    ).to.be.revertedWithCustomError(f.orders, "NotBuyer");
+    await expect(
+      f.orders.connect(f.buyer).cancelOrder(orderId),
+    ).to.changeTokenBalance(
+      f.usdt,
+      f.buyer,
+      locked - t.quoteAmount - t.feeAmount,
+    );
+    // the filled part stays escrowed for its trade
+    expect(await f.usdt.balanceOf(escrowAddr)).to.equal(
+      t.quoteAmount + t.feeAmount,
+    );
+  });
+
+  it("keeps asks and bids apart", async () => {
+    await expect(
+      f.orders.connect(f.seller)["takeOrder(uint256)"](orderId),
+    ).to.be.revertedWithCustomError(f.orders, "WrongOrderSide");
+    await expect(fill(ONE, f.buyer)).to.be.revertedWithCustomError(
+      f.orders,
+      "InvalidAmount",
+    );
+  });
+
+  it("supports native-coin bids", async () => {
+    await (
+      await f.config.setNativeAsset(await f.nativeFeed.getAddress(), true)
+    ).wait();
+    await (await f.config.setQuoteToken(ethers.ZeroAddress, true)).wait();
+
+    const weth = await f.weth.getAddress();
+    await expect(
+      f.orders
+        .connect(f.buyer)
+        .createBid(weth, ONE, ethers.ZeroAddress, { value: 1n }),
+    ).to.be.revertedWithCustomError(f.escrow, "InvalidMsgValue");
+
+    const total = 5_010_000_000_000_000_000n; // 1 WETH at $3000 / $600 + 0.20%
+    const value = total + (total * 30n) / 10_000n;
+    const rc = await (
+      await f.orders
+        .connect(f.buyer)
+        .createBid(weth, ONE, ethers.ZeroAddress, { value })
+    ).wait();
+    const bidId = eventArgs(rc, "BidCreated").orderId;
+    expect(await ethers.provider.getBalance(escrowAddr)).to.equal(value);
+
+    await expect(
+      f.orders.connect(f.buyer).cancelOrder(bidId),
+    ).to.changeEtherBalance(f.buyer, value);
+  });
+});
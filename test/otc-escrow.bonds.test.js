@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFixture,
+  eventArgs,
+  orderParams,
+  openTrade,
+  closeEvidence,
+} = require("./helpers/fixture");
+
+describe("OTC seller bonds", function () {
+  const BOND_BPS = 1_000n; // 10% of the trade value
+  // 1 WETH at $3000 + 0.20%, in USDT
+  const QUOTE = 3_006_000_000n;
+  const QUOTE_BOND = (QUOTE * BOND_BPS) / 10_000n;
+
+  let f, escrowAddr, usdtAddr;
+
+  async function depositBond(token, amount) {
+    await (await token.mint(f.seller.address, amount)).wait();
+    await (await token.connect(f.seller).approve(escrowAddr, amount)).wait();
+    await (
+      await f.escrow
+        .connect(f.seller)
+        .depositBond(await token.getAddress(), amount)
+    ).wait();
+  }
+
+  async function deliverAndReject(tradeId) {
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xFAKE")
+    ).wait();
+    await (await f.escrow.connect(f.buyer).rejectReceipt(tradeId)).wait();
+    await closeEvidence(f, tradeId);
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    escrowAddr = await f.escrow.getAddress();
+    usdtAddr = await f.usdt.getAddress();
+  });
+
+  it("requires no bond by default", async () => {
+    const { tradeId } = await openTrade(f);
+    const t = await f.escrow.getTrade(tradeId);
+    expect(t.bondAmount).to.equal(0n);
+  });
+
+  describe("when bonds are enabled", () => {
+    beforeEach(async () => {
+      await (await f.config.setSellerBond(BOND_BPS, 5_000)).wait();
+    });
+
+    it("blocks trades the seller has not bonded", async () => {
+      await expect(openTrade(f)).to.be.revertedWithCustomError(
+        f.escrow,
+        "InsufficientBond",
+      );
+    });
+
+    it("locks the bond at open and returns it on confirmReceipt", async () => {
+      await depositBond(f.usdt, QUOTE_BOND + 1n);
+
+      const { tradeId } = await openTrade(f);
+      const t = await f.escrow.getTrade(tradeId);
+      expect(t.bondToken).to.equal(usdtAddr);
+      expect(t.bondAmount).to.equal(QUOTE_BOND);
+      expect(await f.escrow.bondBalances(f.seller.address, usdtAddr)).to.equal(
+        1n,
+      );
+
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+      ).wait();
+      await expect(f.escrow.connect(f.buyer).confirmReceipt(tradeId))
+        .to.emit(f.escrow, "BondReleased")
+        .withArgs(tradeId, QUOTE_BOND);
+      expect(await f.escrow.bondBalances(f.seller.address, usdtAddr)).to.equal(
+        QUOTE_BOND + 1n,
+      );
+
+      const tx = f.escrow
+        .connect(f.seller)
+        .withdrawBond(usdtAddr, QUOTE_BOND + 1n);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.seller, QUOTE_BOND + 1n);
+    });
+
+    it("can be posted in the sell token", async () => {
+      const wethAddr = await f.weth.getAddress();
+      await depositBond(f.weth, 10n ** 17n);
+
+      const rc = await (
+        await f.orders
+          .connect(f.seller)
+          .createOrderWithParams(await orderParams(f, { bondAsset: 1 }))
+      ).wait();
+      const { orderId } = eventArgs(rc, "OrderCreated");
+      await (await f.usdt.mint(f.buyer.address, 10n ** 10n)).wait();
+      await (
+        await f.usdt
+          .connect(f.buyer)
+          .approve(await f.orders.getAddress(), 10n ** 10n)
+      ).wait();
+      const taken = await (
+        await f.orders.connect(f.buyer)["takeOrder(uint256)"](orderId)
+      ).wait();
+
+      const t = await f.escrow.getTrade(eventArgs(taken, "OrderTaken").tradeId);
+      expect(t.bondToken).to.equal(wethAddr);
+      expect(t.bondAmount).to.equal(10n ** 17n); // 10% of 1 WETH
+    });
+
+    it("slashes the bond to buyer and treasury on adminForceRefund", async () => {
+      await depositBond(f.usdt, QUOTE_BOND);
+      const { tradeId, total } = await openTrade(f);
+      await deliverAndReject(tradeId);
+
+      const half = QUOTE_BOND / 2n;
+      const tx = f.escrow.connect(f.owner).adminForceRefund(tradeId);
+      await expect(tx)
+        .to.emit(f.escrow, "BondSlashed")
+        .withArgs(tradeId, half, QUOTE_BOND - half);
+      await expect(tx).to.changeTokenBalances(
+        f.usdt,
+        [f.buyer, f.escrow],
+        [total + half, -(total + half)],
+      );
+      // treasury's share accrues in escrow
+      expect(await f.escrow.accruedFees(usdtAddr)).to.equal(QUOTE_BOND - half);
+      expect(await f.escrow.bondBalances(f.seller.address, usdtAddr)).to.equal(
+        0n,
+      );
+    });
+
+    it("slashes the bond when the seller never delivers", async () => {
+      await depositBond(f.usdt, QUOTE_BOND);
+      const { tradeId, total } = await openTrade(f);
+      await time.increase((await f.config.deliveryWindow()) + 1n);
+
+      const half = QUOTE_BOND / 2n;
+      const tx = f.escrow.connect(f.other).claimRefundAfterTimeout(tradeId);
+      await expect(tx)
+        .to.emit(f.escrow, "BondSlashed")
+        .withArgs(tradeId, half, QUOTE_BOND - half);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.buyer, total + half);
+      expect(await f.escrow.accruedFees(usdtAddr)).to.equal(QUOTE_BOND - half);
+      expect(await f.escrow.bondBalances(f.seller.address, usdtAddr)).to.equal(
+        0n,
+      );
+    });
+
+    it("returns the bond when the dispute goes the seller's way", async () => {
+      await depositBond(f.usdt, QUOTE_BOND);
+      const { tradeId } = await openTrade(f);
+      await deliverAndReject(tradeId);
+
+      await (await f.escrow.connect(f.owner).adminForceRelease(tradeId)).wait();
+      expect(await f.escrow.bondBalances(f.seller.address, usdtAddr)).to.equal(
+        QUOTE_BOND,
+      );
+    });
+
+    it("only lets sellers withdraw unlocked bond", async () => {
+      await depositBond(f.usdt, QUOTE_BOND);
+      await openTrade(f);
+      await expect(
+        f.escrow.connect(f.seller).withdrawBond(usdtAddr, 1n),
+      ).to.be.revertedWithCustomError(f.escrow, "InvalidAmount");
+    });
+  });
+
+  it("takes native bonds as msg.value", async () => {
+    await expect(
+      f.escrow
+        .connect(f.seller)
+        .depositBond(ethers.ZeroAddress, 10n ** 18n, { value: 1n }),
+    ).to.be.revertedWithCustomError(f.escrow, "InvalidMsgValue");
+
+    await (
+      await f.escrow
+        .connect(f.seller)
+        .depositBond(ethers.ZeroAddress, 10n ** 18n, { value: 10n ** 18n })
+    ).wait();
+    expect(
+      await f.escrow.bondBalances(f.seller.address, ethers.ZeroAddress),
+    ).to.equal(10n ** 18n);
+  });
+
+  it("guards the bond settings", async () => {
+    await expect(f.config.setSellerBond(5_001, 0)).to.be.revertedWith(
+      "bond too high",
+    );
+    await expect(f.config.setSellerBond(100, 10_001)).to.be.revertedWith(
+      "bad slash split",
+    );
+    await expect(
+      f.config.connect(f.other).setSellerBond(100, 0),
+    ).to.be.revertedWithCustomError(f.config, "MissingRole");
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFixture,
+  eventArgs,
+  orderParams,
+  openTrade,
+} = require("./helpers/fixture");
+
+describe("Frozen and banned users across the trade lifecycle", function () {
+  const DAY = 24 * 60 * 60;
+  const ONE = 10n ** 18n;
+
+  let f, usdtAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    usdtAddr = await f.usdt.getAddress();
+  });
+
+  async function deliver(tradeId) {
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+  }
+
+  describe("escrow actions", () => {
+    it("block a frozen seller from delivering", async () => {
+      const { tradeId, total } = await openTrade(f);
+      await (await f.admin.setFrozen(f.seller.address, true)).wait();
+
+      await expect(
+        f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID"),
+      ).to.be.revertedWithCustomError(f.escrow, "UserFrozenOrBanned");
+
+      await time.increase(2 * DAY + 1);
+      const tx = await f.escrow.claimRefundAfterTimeout(tradeId);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.buyer, total);
+    });
+
+    it("block a frozen buyer from confirming or disputing", async () => {
+      const { tradeId } = await openTrade(f);
+      await deliver(tradeId);
+      await (await f.admin.setFrozen(f.buyer.address, true)).wait();
+
+      await expect(
+        f.escrow.connect(f.buyer).confirmReceipt(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "UserFrozenOrBanned");
+      await expect(
+        f.escrow.connect(f.buyer).rejectReceipt(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "UserFrozenOrBanned");
+      await expect(
+        f.escrow.connect(f.buyer).openDispute(tradeId, 1, "", ethers.ZeroHash),
+      ).to.be.revertedWithCustomError(f.escrow, "UserFrozenOrBanned");
+    });
+
+    it("block bond withdrawals", async () => {
+      await (await f.usdt.mint(f.seller.address, 1_000n)).wait();
+      await (
+        await f.usdt
+          .connect(f.seller)
+          .approve(await f.escrow.getAddress(), 1_000n)
+      ).wait();
+      await (
+        await f.escrow.connect(f.seller).depositBond(usdtAddr, 1_000n)
+      ).wait();
+      await (await f.admin.setBanned(f.seller.address, true)).wait();
+
+      await expect(
+        f.escrow.connect(f.seller).withdrawBond(usdtAddr, 1_000n),
+      ).to.be.revertedWithCustomError(f.escrow, "UserFrozenOrBanned");
+    });
+  });
+
+  describe("compliance hold", () => {
+    it("holds a banned seller's payout until the ban is lifted", async () => {
+      const { tradeId, quoteAmount } = await openTrade(f);
+      await deliver(tradeId);
+      await (await f.admin.setBanned(f.seller.address, true)).wait();
+
+      const tx = await f.escrow.connect(f.buyer).confirmReceipt(tradeId);
+      await expect(tx)
+        .to.emit(f.escrow, "PayoutHeld")
+        .withArgs(f.seller.address, usdtAddr, quoteAmount);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.seller, 0);
+      expect(await f.escrow.heldFunds(f.seller.address, usdtAddr)).to.equal(
+        quoteAmount,
+      );
+
+      await expect(
+        f.escrow.connect(f.seller).claimHeldFunds(usdtAddr),
+      ).to.be.revertedWithCustomError(f.escrow, "UserFrozenOrBanned");
+
+      await (await f.admin.setBanned(f.seller.address, false)).wait();
+      const claim = await f.escrow.connect(f.seller).claimHeldFunds(usdtAddr);
+      await expect(claim)
+        .to.emit(f.escrow, "HeldFundsClaimed")
+        .withArgs(f.seller.address, usdtAddr, quoteAmount);
+      await expect(claim).to.changeTokenBalance(f.usdt, f.seller, quoteAmount);
+      expect(await f.escrow.heldFunds(f.seller.address, usdtAddr)).to.equal(0n);
+    });
+
+    it("holds refunds owed to a frozen buyer", async () => {
+      const { tradeId, total } = await openTrade(f);
+      await (await f.admin.setFrozen(f.buyer.address, true)).wait();
+
+      await time.increase(2 * DAY + 1);
+      await expect(f.escrow.claimRefundAfterTimeout(tradeId))
+        .to.emit(f.escrow, "PayoutHeld")
+        .withArgs(f.buyer.address, usdtAddr, total);
+    });
+  });
+
+  describe("order book", () => {
+    let wethAddr;
+
+    beforeEach(async () => {
+      wethAddr = await f.weth.getAddress();
+      await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+      await (
+        await f.usdt
+          .connect(f.buyer)
+          .approve(await f.orders.getAddress(), 10n ** 12n)
+      ).wait();
+    });
+
+    async function list(overrides = {}) {
+      const p = await orderParams(f, overrides);
+      await (await f.weth.mint(f.seller.address, p.sellAmount)).wait();
+      await (
+        await f.weth
+          .connect(f.seller)
+          .approve(await f.orders.getAddress(), p.sellAmount)
+      ).wait();
+      const rc = await (
+        await f.orders.connect(f.seller).createOrderWithParams(p)
+      ).wait();
+      return eventArgs(rc, "OrderCreated").orderId;
+    }
+
+    async function bid() {
+      const rc = await (
+        await f.orders.connect(f.buyer).createBid(wethAddr, ONE, usdtAddr)
+      ).wait();
+      return eventArgs(rc, "BidCreated").orderId;
+    }
+
+    it("stops takes of a restricted seller's open orders", async () => {
+      const orderId = await list();
+      await (await f.admin.setBanned(f.seller.address, true)).wait();
+
+      await expect(
+        f.orders.connect(f.buyer)["takeOrder(uint256)"](orderId),
+      ).to.be.revertedWithCustomError(f.admin, "UserFrozenOrBanned");
+    });
+
+    it("stops fills of a restricted buyer's bids", async () => {
+      const orderId = await bid();
+      await (await f.admin.setFrozen(f.buyer.address, true)).wait();
+
+      await expect(
+        f.orders.connect(f.seller)["fillBid(uint256,uint256)"](orderId, ONE),
+      ).to.be.revertedWithCustomError(f.admin, "UserFrozenOrBanned");
+    });
+
+    it("lets compliance cancel a restricted maker's open orders", async () => {
+      const plain = await list();
+      const escrowed = await list({ deliveryMode: 1 }); // ESCROWED
+      const bidId = await bid();
+
+      await expect(
+        f.orders.connect(f.other).cancelUserOrders(f.seller.address, [plain]),
+      ).to.be.revertedWithCustomError(f.orders, "MissingRole");
+      await expect(
+        f.orders.cancelUserOrders(f.seller.address, [plain]),
+      ).to.be.revertedWithCustomError(f.orders, "InvalidState");
+
+      await (await f.admin.setBanned(f.seller.address, true)).wait();
+      // the buyer's bid is not the seller's: skipped
+      const tx = await f.orders.cancelUserOrders(f.seller.address, [
+        plain,
+        escrowed,
+        bidId,
+      ]);
+      await expect(tx)
+        .to.emit(f.orders, "OrderCancelledByCompliance")
+        .withArgs(plain, f.seller.address, f.owner.address);
+      await expect(tx)
+        .to.emit(f.orders, "OrderCancelledByCompliance")
+        .withArgs(escrowed, f.seller.address, f.owner.address);
+      // the escrowed sell asset goes on hold instead of back to the banned seller
+      await expect(tx)
+        .to.emit(f.escrow, "PayoutHeld")
+        .withArgs(f.seller.address, wethAddr, ONE);
+
+      expect((await f.orders.orders(plain)).status).to.equal(3n); // CANCELLED
+      expect((await f.orders.orders(escrowed)).status).to.equal(3n);
+      expect((await f.orders.orders(bidId)).status).to.equal(1n); // OPEN
+    });
+  });
+});
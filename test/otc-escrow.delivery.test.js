@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, eventArgs, orderParams } = require("./helpers/fixture");
+
+describe("OTC escrowed (on-chain) delivery", function () {
+  const ESCROWED = 1;
+  const ESCROWED_CONFIRM = 2;
+  const ONE = 10n ** 18n;
+  // 1 WETH at $3000 + 0.20%, in USDT
+  const QUOTE = 3_006_000_000n;
+  const FEE = (QUOTE * 30n) / 10_000n;
+
+  let f, ordersAddr, escrowAddr;
+
+  async function list(overrides, value = 0n) {
+    const p = await orderParams(f, overrides);
+    if (p.sellToken !== ethers.ZeroAddress) {
+      const sellToken = await ethers.getContractAt("MockERC20", p.sellToken);
+      await (await sellToken.mint(f.seller.address, p.sellAmount)).wait();
+      await (
+        await sellToken.connect(f.seller).approve(ordersAddr, p.sellAmount)
+      ).wait();
+    }
+    const rc = await (
+      await f.orders.connect(f.seller).createOrderWithParams(p, { value })
+    ).wait();
+    return eventArgs(rc, "OrderCreated").orderId;
+  }
+
+  function take(orderId, fillAmount = ONE) {
+    return f.orders
+      .connect(f.buyer)
+      ["takeOrder(uint256,uint256)"](orderId, fillAmount);
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    ordersAddr = await f.orders.getAddress();
+    escrowAddr = await f.escrow.getAddress();
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt.connect(f.buyer).approve(ordersAddr, 10n ** 12n)
+    ).wait();
+  });
+
+  describe("ESCROWED", () => {
+    it("pulls the sell asset into escrow at listing", async () => {
+      const orderId = await list({ deliveryMode: ESCROWED });
+      expect(await f.weth.balanceOf(escrowAddr)).to.equal(ONE);
+      const s = await f.escrow.sellFunds(orderId);
+      expect(s.seller).to.equal(f.seller.address);
+      expect(s.amount).to.equal(ONE);
+    });
+
+    it("settles both legs atomically on take", async () => {
+      const orderId = await list({ deliveryMode: ESCROWED });
+
+      const tx = await take(orderId);
+      await expect(tx).to.changeTokenBalance(f.weth, f.buyer, ONE);
+      await expect(tx).to.changeTokenBalances(
+        f.usdt,
+        [f.buyer, f.seller, f.escrow],
+        [-(QUOTE + FEE), QUOTE, FEE],
+      );
+      expect(await f.escrow.accruedFees(await f.usdt.getAddress())).to.equal(
+        FEE,
+      );
+      const rc = await tx.wait();
+      const { tradeId } = eventArgs(rc, "OrderTaken");
+      await expect(tx).to.emit(f.escrow, "TradeSettled").withArgs(tradeId);
+
+      const t = await f.escrow.getTrade(tradeId);
+      expect(t.status).to.equal(4n); // RELEASED
+      expect(t.deliveryMode).to.equal(BigInt(ESCROWED));
+    });
+
+    it("refunds the unfilled remainder on cancel", async () => {
+      const orderId = await list({
+        deliveryMode: ESCROWED,
+        sellAmount: 2n * ONE,
+      });
+      await (await take(orderId, ONE / 2n)).wait();
+
+      const tx = f.orders.connect(f.seller).cancelOrder(orderId);
+      await expect(tx)
+        .to.emit(f.escrow, "SellAssetRefunded")
+        .withArgs(orderId, f.seller.address, (3n * ONE) / 2n);
+      await expect(tx).to.changeTokenBalance(f.weth, f.seller, (3n * ONE) / 2n);
+    });
+
+    it("needs no seller bond", async () => {
+      await (await f.config.setSellerBond(1_000, 5_000)).wait();
+      const orderId = await list({ deliveryMode: ESCROWED });
+      const rc = await (await take(orderId)).wait();
+      const t = await f.escrow.getTrade(eventArgs(rc, "OrderTaken").tradeId);
+      expect(t.bondAmount).to.equal(0n);
+    });
+
+    it("escrows native sell assets sent as msg.value", async () => {
+      await (
+        await f.config.setNativeAsset(await f.nativeFeed.getAddress(), true)
+      ).wait();
+      await (await f.config.setQuoteToken(ethers.ZeroAddress, true)).wait();
+      const params = { sellToken: ethers.ZeroAddress, deliveryMode: ESCROWED };
+
+      await expect(list(params, ONE - 1n)).to.be.revertedWithCustomError(
+        f.escrow,
+        "InvalidMsgValue",
+      );
+      const orderId = await list(params, ONE);
+      await expect(take(orderId)).to.changeEtherBalance(f.buyer, ONE);
+    });
+  });
+
+  describe("ESCROWED_CONFIRM", () => {
+    let tradeId;
+
+    beforeEach(async () => {
+      const orderId = await list({ deliveryMode: ESCROWED_CONFIRM });
+      const rc = await (await take(orderId)).wait();
+      tradeId = eventArgs(rc, "OrderTaken").tradeId;
+    });
+
+    it("holds both legs until the buyer confirms", async () => {
+      const t = await f.escrow.getTrade(tradeId);
+      expect(t.status).to.equal(2n); // DELIVERED_PENDING_CONFIRM
+      expect(t.deliveredAt).to.equal(t.createdAt);
+
+      const tx = f.escrow.connect(f.buyer).confirmReceipt(tradeId);
+      await expect(tx).to.changeTokenBalance(f.weth, f.buyer, ONE);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.seller, QUOTE);
+      expect(await f.escrow.accruedFees(await f.usdt.getAddress())).to.equal(
+        FEE,
+      );
+    });
+
+    it("has no dispute or txid path", async () => {
+      await expect(
+        f.escrow.connect(f.buyer).rejectReceipt(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "DisputeNotAllowed");
+      await expect(
+        f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID"),
+      ).to.be.revertedWithCustomError(f.escrow, "InvalidState");
+    });
+
+    it("releases both legs after the confirm window", async () => {
+      await time.increase(3 * 24 * 60 * 60 + 1);
+      const tx = f.escrow.connect(f.other).claimReleaseAfterTimeout(tradeId);
+      await expect(tx).to.changeTokenBalance(f.weth, f.buyer, ONE);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.seller, QUOTE);
+    });
+  });
+
+  it("keeps bids and plain asks off chain", async () => {
+    await expect(
+      f.orders
+        .connect(f.buyer)
+        .createBidWithParams(await orderParams(f, { deliveryMode: ESCROWED })),
+    ).to.be.revertedWithCustomError(f.orders, "UnsupportedDeliveryMode");
+    await expect(
+      f.orders
+        .connect(f.seller)
+        .createOrderWithParams(await orderParams(f), { value: 1n }),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidMsgValue");
+  });
+});
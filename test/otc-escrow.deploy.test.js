@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest, deployAll } = require("../scripts/lib/deployPipeline");
+
+describe("OTC deployment pipeline", function () {
+  const { ethers } = hre;
+  const quiet = { log: () => {} };
+
+  it("deploys and configures a local network from its manifest", async () => {
+    const record = {};
+    const deployed = await deployAll(
+      hre,
+      loadManifest("localhost"),
+      record,
+      quiet,
+    );
+    expect(deployed).to.include.members([
+      "USDT",
+      "WBTCFeed",
+      "Registry",
+      "Escrow",
+    ]);
+
+    const registry = await ethers.getContractAt("OTCRegistry", record.Registry);
+    expect(await registry.escrow()).to.equal(record.Escrow);
+    const config = await ethers.getContractAt("OTCConfig", record.Config);
+    expect(await config.feeBps()).to.equal(30n);
+    expect(await config.allowedQuoteTokens(record.USDT)).to.equal(true);
+    expect((await config.assets(record.WBTC)).chainlinkFeed).to.equal(
+      record.WBTCFeed,
+    );
+    const [deployer] = await ethers.getSigners();
+    const usdt = await ethers.getContractAt("MockERC20", record.USDT);
+    expect(await usdt.balanceOf(deployer.address)).to.equal(
+      10_000n * 10n ** 6n,
+    );
+  });
+
+  it("skips what is already deployed and configured", async () => {
+    const manifest = loadManifest("localhost");
+    const record = {};
+    await deployAll(hre, manifest, record, quiet);
+    const snapshot = { ...record };
+    const block = await ethers.provider.getBlockNumber();
+
+    expect(await deployAll(hre, manifest, record, quiet)).to.deep.equal([]);
+    expect(record).to.deep.equal(snapshot);
+    expect(await ethers.provider.getBlockNumber()).to.equal(block);
+  });
+
+  it("hands each role to its own account from the manifest", async () => {
+    const manifest = loadManifest("localhost");
+    const record = {};
+    await deployAll(hre, manifest, record, quiet);
+
+    const [deployer] = await ethers.getSigners();
+    const admin = await ethers.getContractAt("OTCAdmin", record.Admin);
+    for (const [role, [account]] of Object.entries(manifest.roles)) {
+      const roleId = await admin[role]();
+      expect(await admin.hasRole(roleId, account)).to.equal(true);
+      expect(await admin.hasRole(roleId, deployer.address)).to.equal(false);
+    }
+
+    // added later: scheduled now, granted by a run after the timelock
+    const [, , , , other] = await ethers.getSigners();
+    manifest.roles.ARBITER_ROLE.push(other.address);
+    await deployAll(hre, manifest, record, quiet);
+    const ARBITER = await admin.ARBITER_ROLE();
+    expect(await admin.pendingRoleGrants(ARBITER, other.address)).to.not.equal(
+      0n,
+    );
+    await time.increase(await admin.ROLE_GRANT_DELAY());
+    await deployAll(hre, manifest, record, quiet);
+    expect(await admin.hasRole(ARBITER, other.address)).to.equal(true);
+  });
+
+  it("refuses to give one account two roles", async () => {
+    const manifest = loadManifest("localhost");
+    manifest.roles.PAUSER_ROLE = manifest.roles.ARBITER_ROLE;
+    await expect(deployAll(hre, manifest, {}, quiet)).to.be.rejectedWith(
+      /is listed for both ARBITER_ROLE and PAUSER_ROLE/,
+    );
+  });
+
+  it("requires a holder for every role on live networks", async () => {
+    const live = { ...hre, network: { name: "testnet" } };
+    await expect(deployAll(live, { tokens: {} }, {}, quiet)).to.be.rejectedWith(
+      /roles: no COMPLIANCE_ROLE holder in the manifest, required on testnet/,
+    );
+
+    const manifest = loadManifest("localhost");
+    manifest.roles.ARBITER_ROLE = [];
+    await expect(deployAll(live, manifest, {}, quiet)).to.be.rejectedWith(
+      /roles: no ARBITER_ROLE holder/,
+    );
+  });
+
+  it("uses the manifest's token and feed addresses instead of mocks", async () => {
+    const usdt = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("Tether", "USDT", 6);
+    const feed = await (
+      await ethers.getContractFactory("MockV3Aggregator")
+    ).deploy(8, 10n ** 8n);
+    const manifest = loadManifest("localhost");
+    manifest.tokens = {
+      USDT: {
+        address: await usdt.getAddress(),
+        decimals: 6,
+        feed: await feed.getAddress(),
+      },
+    };
+
+    const record = {};
+    const deployed = await deployAll(hre, manifest, record, quiet);
+    expect(deployed).to.not.include("USDT");
+    expect(deployed).to.not.include("USDTFeed");
+    expect(record.USDT).to.equal(await usdt.getAddress());
+    expect(record.USDTFeed).to.equal(await feed.getAddress());
+  });
+
+  it("never mocks on live networks unless the manifest allows it", async () => {
+    const live = { ...hre, network: { name: "mainnet" } };
+    const manifest = {
+      roles: loadManifest("localhost").roles,
+      tokens: { USDT: { decimals: 6, price: 1 } },
+    };
+    await expect(deployAll(live, manifest, {}, quiet)).to.be.rejectedWith(
+      /USDT: no address in the manifest and mocks are off on mainnet/,
+    );
+
+    manifest.tokens.USDT.address = ethers.Wallet.createRandom().address;
+    await expect(deployAll(live, manifest, {}, quiet)).to.be.rejectedWith(
+      /USDT: no contract at/,
+    );
+  });
+});
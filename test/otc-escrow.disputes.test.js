@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFixture,
+  grantRole,
+  openTrade,
+  closeEvidence,
+} = require("./helpers/fixture");
+
+describe("OTC dispute workflow", function () {
+  const DAY = 24 * 60 * 60;
+  const WRONG_AMOUNT = 2;
+  const EVIDENCE_HASH = ethers.id("screenshot.png");
+
+  let f, tradeId, quoteAmount, feeAmount, arbiter;
+
+  async function deliver() {
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+  }
+
+  async function dispute() {
+    await deliver();
+    return f.escrow
+      .connect(f.buyer)
+      .openDispute(tradeId, WRONG_AMOUNT, "ipfs://buyer", EVIDENCE_HASH);
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    arbiter = f.other;
+    await grantRole(f, "ARBITER_ROLE", arbiter.address);
+    ({ tradeId, quoteAmount, feeAmount } = await openTrade(f));
+  });
+
+  it("records the reason, buyer evidence and response deadline", async () => {
+    const tx = await dispute();
+    const deadline = BigInt((await time.latest()) + 3 * DAY);
+    await expect(tx)
+      .to.emit(f.escrow, "DisputeOpened")
+      .withArgs(tradeId, WRONG_AMOUNT, deadline);
+    await expect(tx)
+      .to.emit(f.escrow, "EvidenceSubmitted")
+      .withArgs(tradeId, f.buyer.address, "ipfs://buyer", EVIDENCE_HASH);
+
+    const d = await f.escrow.getDispute(tradeId);
+    expect(d.status).to.equal(1n); // OPEN
+    expect(d.reason).to.equal(BigInt(WRONG_AMOUNT));
+    expect(d.responseDeadline).to.equal(deadline);
+    expect(d.buyerEvidenceURI).to.equal("ipfs://buyer");
+    expect((await f.escrow.getTrade(tradeId)).status).to.equal(3n); // DISPUTE_PENDING
+  });
+
+  it("still opens an unspecified dispute through rejectReceipt", async () => {
+    await deliver();
+    await expect(f.escrow.connect(f.buyer).rejectReceipt(tradeId))
+      .to.emit(f.escrow, "DisputeOpened")
+      .withArgs(tradeId, 0, BigInt((await time.latest()) + 1 + 3 * DAY));
+  });
+
+  it("accepts evidence from both parties until the deadline", async () => {
+    await (await dispute()).wait();
+
+    await expect(
+      f.escrow
+        .connect(f.seller)
+        .submitEvidence(tradeId, "ipfs://seller", EVIDENCE_HASH),
+    )
+      .to.emit(f.escrow, "EvidenceSubmitted")
+      .withArgs(tradeId, f.seller.address, "ipfs://seller", EVIDENCE_HASH);
+    expect((await f.escrow.getDispute(tradeId)).sellerEvidenceURI).to.equal(
+      "ipfs://seller",
+    );
+    await expect(
+      f.escrow.connect(f.other).submitEvidence(tradeId, "x", EVIDENCE_HASH),
+    ).to.be.revertedWithCustomError(f.escrow, "NotTradeParty");
+
+    await time.increase(3 * DAY + 1);
+    await expect(
+      f.escrow.connect(f.seller).submitEvidence(tradeId, "late", EVIDENCE_HASH),
+    ).to.be.revertedWithCustomError(f.escrow, "EvidenceWindowClosed");
+  });
+
+  describe("arbiters", () => {
+    beforeEach(async () => {
+      await (await dispute()).wait();
+    });
+
+    it("are assigned by dispute managers, to holders of the arbiter role", async () => {
+      await expect(
+        f.escrow.connect(arbiter).assignArbiter(tradeId, arbiter.address),
+      ).to.be.revertedWithCustomError(f.escrow, "MissingRole");
+      await expect(
+        f.escrow.assignArbiter(tradeId, f.buyer.address),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+
+      await expect(f.escrow.assignArbiter(tradeId, arbiter.address))
+        .to.emit(f.escrow, "ArbiterAssigned")
+        .withArgs(tradeId, arbiter.address, f.owner.address);
+      const d = await f.escrow.getDispute(tradeId);
+      expect(d.arbiter).to.equal(arbiter.address);
+      expect(d.assignedBy).to.equal(f.owner.address);
+    });
+
+    it("can only be reassigned by the manager who assigned them", async () => {
+      await grantRole(f, "DISPUTE_MANAGER_ROLE", f.treasury.address);
+      await (await f.escrow.assignArbiter(tradeId, arbiter.address)).wait();
+
+      await expect(
+        f.escrow.connect(f.treasury).assignArbiter(tradeId, f.owner.address),
+      ).to.be.revertedWithCustomError(f.escrow, "MissingRole");
+      await expect(f.escrow.assignArbiter(tradeId, f.owner.address))
+        .to.emit(f.escrow, "ArbiterAssigned")
+        .withArgs(tradeId, f.owner.address, f.owner.address);
+    });
+
+    it("can be reassigned by any manager or the owner once a role is gone", async () => {
+      await grantRole(f, "DISPUTE_MANAGER_ROLE", f.treasury.address);
+      await (
+        await f.escrow
+          .connect(f.treasury)
+          .assignArbiter(tradeId, arbiter.address)
+      ).wait();
+      await expect(
+        f.escrow.assignArbiter(tradeId, f.owner.address),
+      ).to.be.revertedWithCustomError(f.escrow, "MissingRole");
+
+      // both keys pulled at once, and the owner holds no dispute manager role either
+      const revoke = async (role, account) =>
+        (await f.admin.revokeRole(await f.admin[role](), account)).wait();
+      await revoke("ARBITER_ROLE", arbiter.address);
+      await revoke("DISPUTE_MANAGER_ROLE", f.treasury.address);
+      await revoke("DISPUTE_MANAGER_ROLE", f.owner.address);
+      await closeEvidence(f, tradeId);
+      await expect(
+        f.escrow.connect(arbiter).adminForceRefund(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+      await expect(
+        f.escrow.connect(f.treasury).assignArbiter(tradeId, f.owner.address),
+      ).to.be.revertedWithCustomError(f.escrow, "MissingRole");
+
+      await expect(f.escrow.assignArbiter(tradeId, f.owner.address))
+        .to.emit(f.escrow, "ArbiterAssigned")
+        .withArgs(tradeId, f.owner.address, f.owner.address);
+      await expect(f.escrow.adminForceRefund(tradeId)).to.emit(
+        f.escrow,
+        "AdminResolved",
+      );
+    });
+
+    it("hold the forced settlements to the assignment too", async () => {
+      await (await f.escrow.assignArbiter(tradeId, arbiter.address)).wait();
+      await closeEvidence(f, tradeId);
+
+      await expect(
+        f.escrow.adminForceRefund(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+      await expect(
+        f.escrow.adminForceRelease(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+      await expect(f.escrow.connect(arbiter).adminForceRefund(tradeId)).to.emit(
+        f.escrow,
+        "AdminResolved",
+      );
+    });
+
+    it("wait for the response deadline unless both sides have submitted evidence", async () => {
+      await expect(
+        f.escrow.connect(arbiter).resolveDispute(tradeId, 0, 0),
+      ).to.be.revertedWithCustomError(f.escrow, "EvidenceWindowOpen");
+      await expect(
+        f.escrow.connect(arbiter).adminForceRefund(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "EvidenceWindowOpen");
+
+      await (
+        await f.escrow
+          .connect(f.seller)
+          .submitEvidence(tradeId, "ipfs://seller", EVIDENCE_HASH)
+      ).wait();
+      await expect(
+        f.escrow.connect(arbiter).resolveDispute(tradeId, 0, 0),
+      ).to.emit(f.escrow, "DisputeResolved");
+    });
+
+    it("split quote and fee in any proportion", async () => {
+      await (await f.escrow.assignArbiter(tradeId, arbiter.address)).wait();
+      await (
+        await f.escrow
+          .connect(f.seller)
+          .submitEvidence(tradeId, "ipfs://seller", EVIDENCE_HASH)
+      ).wait();
+      await expect(
+        f.escrow.resolveDispute(tradeId, 0, 0),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+      await expect(
+        f.escrow.connect(arbiter).resolveDispute(tradeId, quoteAmount + 1n, 0),
+      ).to.be.revertedWithCustomError(f.escrow, "InvalidSplit");
+
+      const buyerQuote = (quoteAmount * 40n) / 100n;
+      const tx = f.escrow
+        .connect(arbiter)
+        .resolveDispute(tradeId, buyerQuote, feeAmount);
+      await expect(tx)
+        .to.emit(f.escrow, "DisputeResolved")
+        .withArgs(
+          tradeId,
+          arbiter.address,
+          buyerQuote,
+          quoteAmount - buyerQuote,
+          feeAmount,
+          0n,
+        );
+      await expect(tx).to.changeTokenBalances(
+        f.usdt,
+        [f.buyer, f.seller, f.treasury],
+        [buyerQuote + feeAmount, quoteAmount - buyerQuote, 0n],
+      );
+
+      expect((await f.escrow.getTrade(tradeId)).status).to.equal(6n); // SETTLED
+      const d = await f.escrow.getDispute(tradeId);
+      expect(d.status).to.equal(2n); // RESOLVED
+      expect(d.buyerQuoteAmount).to.equal(buyerQuote);
+    });
+
+    it("can no longer resolve once the arbiter role is revoked", async () => {
+      await (await f.escrow.assignArbiter(tradeId, arbiter.address)).wait();
+      await (
+        await f.admin.revokeRole(await f.admin.ARBITER_ROLE(), arbiter.address)
+      ).wait();
+      await expect(
+        f.escrow.connect(arbiter).resolveDispute(tradeId, 0, 0),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+    });
+
+    it("are optional: any arbiter resolves unassigned disputes", async () => {
+      await closeEvidence(f, tradeId);
+      await expect(
+        f.escrow.connect(f.seller).resolveDispute(tradeId, 0, 0),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+      await (
+        await f.escrow.connect(arbiter).resolveDispute(tradeId, 0, 0)
+      ).wait();
+      expect((await f.escrow.getTrade(tradeId)).status).to.equal(4n); // RELEASED
+    });
+  });
+
+  it("slashes the seller bond in proportion to the buyer's share", async () => {
+    await (await f.config.setSellerBond(1_000, 10_000)).wait();
+    const bond = 10n ** 9n;
+    await (await f.usdt.mint(f.seller.address, bond)).wait();
+    await (
+      await f.usdt.connect(f.seller).approve(await f.escrow.getAddress(), bond)
+    ).wait();
+    await (
+      await f.escrow
+        .connect(f.seller)
+        .depositBond(await f.usdt.getAddress(), bond)
+    ).wait();
+    ({ tradeId, quoteAmount } = await openTrade(f));
+    const { bondAmount } = await f.escrow.getTrade(tradeId);
+    await (await dispute()).wait();
+    await closeEvidence(f, tradeId);
+
+    const tx = f.escrow.resolveDispute(tradeId, quoteAmount / 4n, 0);
+    await expect(tx)
+      .to.emit(f.escrow, "BondSlashed")
+      .withArgs(tradeId, bondAmount / 4n, 0n);
+    await expect(tx)
+      .to.emit(f.escrow, "BondReleased")
+      .withArgs(tradeId, bondAmount - bondAmount / 4n);
+  });
+
+  it("guards the response window setting", async () => {
+    await expect(f.config.setDisputeResponseWindow(60)).to.be.revertedWith(
+      "bad window",
+    );
+    await expect(f.config.setDisputeResponseWindow(DAY))
+      .to.emit(f.config, "DisputeResponseWindowSet")
+      .withArgs(DAY);
+  });
+});
@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const {
+  deployFixture,
+  eventArgs,
+  closeEvidence,
+} = require("./helpers/fixture");
+
+describe("OTC fee schedule", function () {
+  const ONE = 10n ** 18n;
+  const USD = 10n ** 18n;
+  // 1 WETH at $3000 + 0.20%, in USDT
+  const QUOTE = 3_006_000_000n;
+
+  let f, wethAddr, usdtAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    wethAddr = await f.weth.getAddress();
+    usdtAddr = await f.usdt.getAddress();
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10n ** 12n)
+    ).wait();
+  });
+
+  // seller lists 1 WETH, buyer takes it (optionally through a referrer)
+  async function trade(quote = f.usdt, referrer) {
+    const rcCreate = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrder(wethAddr, ONE, await quote.getAddress())
+    ).wait();
+    const orderId = eventArgs(rcCreate, "OrderCreated").orderId;
+    const take = referrer
+      ? f.orders
+          .connect(f.buyer)
+          ["takeOrder(uint256,uint256,address)"](orderId, ONE, referrer)
+      : f.orders.connect(f.buyer)["takeOrder(uint256)"](orderId);
+    const rcTake = await (await take).wait();
+    const tradeId = eventArgs(rcTake, "OrderTaken").tradeId;
+    return f.escrow.getTrade(tradeId);
+  }
+
+  async function deliver(t) {
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(t.id, "0xTXID")
+    ).wait();
+  }
+
+  describe("per-pair fees", () => {
+    it("default to feeBps charged to the buyer", async () => {
+      const [buyerBps, sellerBps] = await f.config.getPairFeeBps(
+        wethAddr,
+        usdtAddr,
+      );
+      expect(buyerBps).to.equal(30n);
+      expect(sellerBps).to.equal(0n);
+    });
+
+    it("split the fee between buyer and seller", async () => {
+      await expect(f.config.setPairFee(wethAddr, usdtAddr, 20, 10))
+        .to.emit(f.config, "PairFeeSet")
+        .withArgs(wethAddr, usdtAddr, 20, 10);
+      const buyerFee = (QUOTE * 20n) / 10_000n;
+      const sellerFee = (QUOTE * 10n) / 10_000n;
+
+      const t = await trade();
+      expect(t.feeAmount).to.equal(buyerFee);
+      expect(t.sellerFeeAmount).to.equal(sellerFee);
+
+      await deliver(t);
+      const tx = await f.escrow.connect(f.buyer).confirmReceipt(t.id);
+      await expect(tx).to.changeTokenBalances(
+        f.usdt,
+        [f.seller],
+        [QUOTE - sellerFee],
+      );
+      expect(await f.escrow.accruedFees(usdtAddr)).to.equal(
+        buyerFee + sellerFee,
+      );
+    });
+
+    it("leave other pairs on the default", async () => {
+      await (await f.config.setPairFee(wethAddr, usdtAddr, 0, 50)).wait();
+      await (await f.usdc.mint(f.buyer.address, 10n ** 12n)).wait();
+      await (
+        await f.usdc
+          .connect(f.buyer)
+          .approve(await f.orders.getAddress(), 10n ** 12n)
+      ).wait();
+
+      const t = await trade(f.usdc);
+      expect(t.feeAmount).to.equal((QUOTE * 30n) / 10_000n);
+      expect(t.sellerFeeAmount).to.equal(0n);
+
+      await expect(f.config.removePairFee(wethAddr, usdtAddr))
+        .to.emit(f.config, "PairFeeRemoved")
+        .withArgs(wethAddr, usdtAddr);
+      expect((await f.config.getPairFeeBps(wethAddr, usdtAddr))[1]).to.equal(
+        0n,
+      );
+    });
+
+    it("are guarded and limited to config managers", async () => {
+      await expect(
+        f.config.setPairFee(wethAddr, usdtAddr, 400, 101),
+      ).to.be.revertedWith("fee too high");
+      await expect(
+        f.config.connect(f.other).setPairFee(wethAddr, usdtAddr, 10, 10),
+      ).to.be.revertedWithCustomError(f.config, "MissingRole");
+    });
+  });
+
+  describe("volume discounts", () => {
+    it("discount fees by each party's trailing 30d volume", async () => {
+      await (await f.config.setPairFee(wethAddr, usdtAddr, 20, 20)).wait();
+      await expect(
+        f.config.setFeeDiscountTiers(
+          [1_000n * USD, 10_000n * USD],
+          [2_500, 5_000],
+        ),
+      ).to.emit(f.config, "FeeDiscountTiersSet");
+      expect(await f.config.feeDiscountBps(999n * USD)).to.equal(0n);
+      expect(await f.config.feeDiscountBps(5_000n * USD)).to.equal(2_500n);
+      expect(await f.config.feeDiscountBps(10_000n * USD)).to.equal(5_000n);
+
+      const fullFee = (QUOTE * 20n) / 10_000n;
+      const first = await trade();
+      expect(first.feeAmount).to.equal(fullFee);
+
+      // both parties now have ~$3,000 of volume: 25% off
+      const second = await trade();
+      expect(second.feeAmount).to.equal(fullFee - (fullFee * 2_500n) / 10_000n);
+      expect(second.sellerFeeAmount).to.equal(second.feeAmount);
+    });
+
+    it("require ascending tiers", async () => {
+      await expect(
+        f.config.setFeeDiscountTiers([2n * USD, USD], [100, 200]),
+      ).to.be.revertedWith("tiers not ascending");
+      await expect(
+        f.config.setFeeDiscountTiers([USD], [10_001]),
+      ).to.be.revertedWith("discount too high");
+      await expect(f.config.setFeeDiscountTiers([USD], [])).to.be.revertedWith(
+        "length mismatch",
+      );
+    });
+  });
+
+  describe("referrals", () => {
+    const SHARE = 2_000n; // 20% of the fees
+    let buyerFee, sellerFee, referralFee;
+
+    beforeEach(async () => {
+      await (await f.config.setPairFee(wethAddr, usdtAddr, 20, 10)).wait();
+      await expect(f.config.setReferralShare(SHARE))
+        .to.emit(f.config, "ReferralShareSet")
+        .withArgs(SHARE);
+      buyerFee = (QUOTE * 20n) / 10_000n;
+      sellerFee = (QUOTE * 10n) / 10_000n;
+      referralFee = ((buyerFee + sellerFee) * SHARE) / 10_000n;
+    });
+
+    it("pay the referrer its share of the fees on release", async () => {
+      const t = await trade(f.usdt, f.other.address);
+      expect(t.referrer).to.equal(f.other.address);
+      expect(t.referralFeeAmount).to.equal(referralFee);
+
+      await deliver(t);
+      const tx = await f.escrow.connect(f.buyer).confirmReceipt(t.id);
+      await expect(tx).to.changeTokenBalances(
+        f.usdt,
+        [f.seller, f.other],
+        [QUOTE - sellerFee, referralFee],
+      );
+      expect(await f.escrow.accruedFees(usdtAddr)).to.equal(
+        buyerFee + sellerFee - referralFee,
+      );
+    });
+
+    it("are not paid when the dispute goes the buyer's way", async () => {
+      const t = await trade(f.usdt, f.other.address);
+      await deliver(t);
+      await (await f.escrow.connect(f.buyer).rejectReceipt(t.id)).wait();
+      await closeEvidence(f, t.id);
+
+      // half the quote back, the buyer's fee kept by treasury
+      const tx = await f.escrow.resolveDispute(t.id, QUOTE / 2n, 0);
+      const sellerShare = QUOTE - QUOTE / 2n;
+      const sellerPart = (sellerFee * sellerShare) / QUOTE;
+      await expect(tx).to.changeTokenBalances(
+        f.usdt,
+        [f.buyer, f.seller, f.other],
+        [QUOTE / 2n, sellerShare - sellerPart, 0],
+      );
+      expect(await f.escrow.accruedFees(usdtAddr)).to.equal(
+        buyerFee + sellerPart,
+      );
+    });
+
+    it("can't be the buyer or the seller", async () => {
+      const rc = await (
+        await f.orders.connect(f.seller).createOrder(wethAddr, ONE, usdtAddr)
+      ).wait();
+      const orderId = eventArgs(rc, "OrderCreated").orderId;
+      for (const self of [f.buyer, f.seller]) {
+        await expect(
+          f.orders
+            .connect(f.buyer)
+            ["takeOrder(uint256,uint256,address)"](orderId, ONE, self.address),
+        ).to.be.revertedWithCustomError(f.orders, "InvalidReferrer");
+      }
+    });
+
+    it("share is capped", async () => {
+      await expect(f.config.setReferralShare(5_001)).to.be.revertedWith(
+        "share too high",
+      );
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, eventArgs, openTrade } = require("./helpers/fixture");
+
+describe("KYC tiers and trade limits", function () {
+  const DAY = 24 * 60 * 60;
+  const USD = 10n ** 18n;
+  const WETH = 10n ** 18n; // $3,000 in the fixture
+
+  let f;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+  });
+
+  async function listWeth(amount = WETH) {
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrder(
+          await f.weth.getAddress(),
+          amount,
+          await f.usdt.getAddress(),
+        )
+    ).wait();
+    return eventArgs(rc, "OrderCreated").orderId;
+  }
+
+  // buyer funds and takes `fillAmount` of the order
+  async function take(orderId, fillAmount) {
+    await (await f.usdt.mint(f.buyer.address, 10_000n * 10n ** 6n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10_000n * 10n ** 6n)
+    ).wait();
+    return f.orders
+      .connect(f.buyer)
+      ["takeOrder(uint256,uint256)"](orderId, fillAmount);
+  }
+
+  describe("tier approvals", () => {
+    it("lapse back to tier 0 at their expiry", async () => {
+      const expiresAt = (await time.latest()) + 30 * DAY;
+      await expect(f.admin.setTier(f.buyer.address, 1, expiresAt))
+        .to.emit(f.admin, "TierSet")
+        .withArgs(f.buyer.address, 1, expiresAt);
+      expect(await f.admin.tierOf(f.buyer.address)).to.equal(1n);
+
+      await time.increaseTo(expiresAt);
+      expect(await f.admin.tierOf(f.buyer.address)).to.equal(0n);
+    });
+
+    it("keeps setTier2 as a non-expiring tier 2 approval", async () => {
+      await (await f.admin.setTier2(f.buyer.address, true)).wait();
+      expect(await f.admin.tierOf(f.buyer.address)).to.equal(2n);
+      expect(await f.admin.tier2Approved(f.buyer.address)).to.equal(true);
+
+      await (await f.admin.setTier2(f.buyer.address, false)).wait();
+      expect(await f.admin.tier2Approved(f.buyer.address)).to.equal(false);
+    });
+
+    it("are validated and compliance-only", async () => {
+      await expect(
+        f.admin.setTier(f.buyer.address, 3, 0),
+      ).to.be.revertedWithCustomError(f.admin, "InvalidTier");
+      await expect(
+        f.admin.setTier(f.buyer.address, 1, await time.latest()),
+      ).to.be.revertedWithCustomError(f.admin, "InvalidExpiry");
+      await expect(
+        f.admin.connect(f.other).setTier(f.buyer.address, 1, 0),
+      ).to.be.revertedWithCustomError(f.admin, "MissingRole");
+    });
+  });
+
+  describe("limits", () => {
+    it("are set per tier by config managers", async () => {
+      await expect(f.config.setTierLimits(1, 10_000n * USD, 0, 0))
+        .to.emit(f.config, "TierLimitsSet")
+        .withArgs(1, 10_000n * USD, 0, 0);
+      await expect(
+        f.config.setTierLimits(3, 0, 0, 0),
+      ).to.be.revertedWithCustomError(f.config, "InvalidTier");
+      await expect(
+        f.config.connect(f.other).setTierLimits(1, 0, 0, 0),
+      ).to.be.revertedWithCustomError(f.config, "MissingRole");
+    });
+
+    it("cap the notional of a single order and fill", async () => {
+      await (await f.config.setTierLimits(0, 2_000n * USD, 0, 0)).wait();
+      await expect(listWeth()).to.be.revertedWithCustomError(
+        f.orders,
+        "TradeLimitExceeded",
+      );
+
+      // a verified seller lists, the unverified buyer may only take $2,000 at a time
+      await (await f.admin.setTier(f.seller.address, 2, 0)).wait();
+      const orderId = await listWeth();
+      await expect(take(orderId, WETH)).to.be.revertedWithCustomError(
+        f.orders,
+        "TradeLimitExceeded",
+      );
+      await expect(take(orderId, WETH / 2n)).to.emit(f.orders, "OrderTaken");
+    });
+
+    it("cap rolling 24h volume", async () => {
+      await (await f.config.setTierLimits(0, 0, 5_000n * USD, 0)).wait();
+      await (await f.config.setOrderTtl(0)).wait();
+      await (await f.admin.setTier(f.seller.address, 2, 0)).wait();
+      await openTrade(f);
+
+      const [daily, monthly] = await f.orders.rollingVolumeUsd(f.buyer.address);
+      expect(daily).to.equal(3_000n * USD);
+      expect(monthly).to.equal(3_000n * USD);
+      // unlimited tiers are not tracked
+      expect(
+        (await f.orders.rollingVolumeUsd(f.seller.address)).daily,
+      ).to.equal(0n);
+
+      const orderId = await listWeth();
+      await expect(take(orderId, WETH)).to.be.revertedWithCustomError(
+        f.orders,
+        "DailyLimitExceeded",
+      );
+
+      await time.increase(2 * DAY);
+      await expect(take(orderId, WETH)).to.emit(f.orders, "OrderTaken");
+    });
+
+    it("keep counting a fill for the whole 24h across a bucket boundary", async () => {
+      await (await f.config.setTierLimits(0, 0, 3_000n * USD, 0)).wait();
+      await (await f.config.setOrderTtl(0)).wait();
+      await (await f.admin.setTier(f.seller.address, 2, 0)).wait();
+      const orderId = await listWeth(2n * WETH);
+
+      // $3,000 at 23:58, then $1,500 about 12h later: still inside the same 24h
+      const midnight = (Math.floor((await time.latest()) / DAY) + 1) * DAY;
+      await time.increaseTo(midnight - 120);
+      await (await take(orderId, WETH)).wait();
+      await time.increaseTo(midnight + 12 * 60 * 60);
+      await expect(take(orderId, WETH / 2n)).to.be.revertedWithCustomError(
+        f.orders,
+        "DailyLimitExceeded",
+      );
+
+      await time.increaseTo(midnight + DAY);
+      await expect(take(orderId, WETH / 2n)).to.emit(f.orders, "OrderTaken");
+    });
+
+    it("count fills against the seller's limits too", async () => {
+      await (await f.config.setTierLimits(0, 0, 5_000n * USD, 0)).wait();
+      await (await f.admin.setTier(f.buyer.address, 2, 0)).wait();
+      await openTrade(f);
+
+      expect(
+        (await f.orders.rollingVolumeUsd(f.seller.address)).daily,
+      ).to.equal(3_000n * USD);
+      // a new listing must fit in what is left of the window
+      await expect(listWeth()).to.be.revertedWithCustomError(
+        f.orders,
+        "DailyLimitExceeded",
+      );
+      await listWeth(WETH / 2n);
+    });
+
+    it("cap rolling 30d volume", async () => {
+      await (await f.config.setTierLimits(0, 0, 0, 5_000n * USD)).wait();
+      await (await f.config.setOrderTtl(0)).wait();
+      await (await f.admin.setTier(f.seller.address, 2, 0)).wait();
+      await openTrade(f);
+
+      const orderId = await listWeth();
+      await time.increase(2 * DAY);
+      await expect(take(orderId, WETH)).to.be.revertedWithCustomError(
+        f.orders,
+        "MonthlyLimitExceeded",
+      );
+
+      await time.increase(60 * DAY);
+      await expect(take(orderId, WETH)).to.emit(f.orders, "OrderTaken");
+    });
+
+    it("apply the user's current tier once an approval expires", async () => {
+      await (await f.config.setTierLimits(0, 1_000n * USD, 0, 0)).wait();
+      await (await f.config.setOrderTtl(0)).wait();
+      await (await f.admin.setTier(f.seller.address, 2, 0)).wait();
+      const expiresAt = (await time.latest()) + DAY;
+      await (await f.admin.setTier(f.buyer.address, 1, expiresAt)).wait();
+
+      const orderId = await listWeth(2n * WETH);
+      await expect(take(orderId, WETH)).to.emit(f.orders, "OrderTaken");
+
+      await time.increaseTo(expiresAt);
+      await expect(take(orderId, WETH)).to.be.revertedWithCustomError(
+        f.orders,
+        "TradeLimitExceeded",
+      );
+    });
+  });
+});
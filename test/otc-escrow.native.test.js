@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  deployFixture,
+  eventArgs,
+  closeEvidence,
+} = require("./helpers/fixture");
+
+describe("OTC Escrow native coin quote settlement", function () {
+  const NATIVE = ethers.ZeroAddress;
+
+  let f;
+  let orderId, quoteAmount, feeAmount, total;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    await (
+      await f.config.setNativeAsset(await f.nativeFeed.getAddress(), true)
+    ).wait();
+    await (await f.config.setQuoteToken(NATIVE, true)).wait();
+
+    // Seller lists 1 WETH against native coin
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrder(await f.weth.getAddress(), 10n ** 18n, NATIVE)
+    ).wait();
+    orderId = eventArgs(rc, "OrderCreated").orderId;
+
+    quoteAmount = (await f.orders.orders(orderId)).quoteAmount;
+    feeAmount = (quoteAmount * 30n) / 10_000n;
+    total = quoteAmount + feeAmount;
+  });
+
+  async function take() {
+    const rc = await (
+      await f.orders
+        .connect(f.buyer)
+        ["takeOrder(uint256)"](orderId, { value: total })
+    ).wait();
+    return eventArgs(rc, "OrderTaken").tradeId;
+  }
+
+  it("prices the order through the native feed", async () => {
+    // 1 WETH = $3000 (+0.20% spread) at $600 per native coin => 5.01 coin
+    expect(quoteAmount).to.equal(5_010_000_000_000_000_000n);
+  });
+
+  it("requires msg.value to equal quote + fee", async () => {
+    await expect(
+      f.orders
+        .connect(f.buyer)
+        ["takeOrder(uint256)"](orderId, { value: total - 1n }),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidMsgValue");
+    await expect(
+      f.orders
+        .connect(f.buyer)
+        ["takeOrder(uint256)"](orderId, { value: total + 1n }),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidMsgValue");
+  });
+
+  it("rejects msg.value on ERC20-quoted orders", async () => {
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrder(
+          await f.weth.getAddress(),
+          10n ** 18n,
+          await f.usdt.getAddress(),
+        )
+    ).wait();
+    const erc20OrderId = eventArgs(rc, "OrderCreated").orderId;
+
+    await expect(
+      f.orders
+        .connect(f.buyer)
+        ["takeOrder(uint256)"](erc20OrderId, { value: 1n }),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidMsgValue");
+  });
+
+  it("custodies native funds and pays the seller on confirm", async () => {
+    const tradeId = await take();
+    const escrowAddr = await f.escrow.getAddress();
+    expect(await ethers.provider.getBalance(escrowAddr)).to.equal(total);
+
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+
+    await expect(
+      f.escrow.connect(f.buyer).confirmReceipt(tradeId),
+    ).to.changeEtherBalances(
+      [f.seller, escrowAddr],
+      [quoteAmount, -quoteAmount],
+    );
+    // the fee stays in escrow for the treasury to withdraw
+    expect(await f.escrow.accruedFees(ethers.ZeroAddress)).to.equal(feeAmount);
+  });
+
+  it("pays native funds on adminForceRelease", async () => {
+    const tradeId = await take();
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+    await (await f.escrow.connect(f.buyer).rejectReceipt(tradeId)).wait();
+    await closeEvidence(f, tradeId);
+
+    await expect(
+      f.escrow.connect(f.owner).adminForceRelease(tradeId),
+    ).to.changeEtherBalance(f.seller, quoteAmount);
+    expect(await f.escrow.accruedFees(ethers.ZeroAddress)).to.equal(feeAmount);
+  });
+
+  it("refunds native funds to the buyer on adminForceRefund", async () => {
+    const tradeId = await take();
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+    await (await f.escrow.connect(f.buyer).rejectReceipt(tradeId)).wait();
+    await closeEvidence(f, tradeId);
+
+    await expect(
+      f.escrow.connect(f.owner).adminForceRefund(tradeId),
+    ).to.changeEtherBalances([f.buyer], [total]);
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture } = require("./helpers/fixture");
+
+describe("OTCConfig oracle safeguards", function () {
+  let f, wethAddr, usdtAddr, secondaryFeed;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    wethAddr = await f.weth.getAddress();
+    usdtAddr = await f.usdt.getAddress();
+
+    const MockV3 = await ethers.getContractFactory("MockV3Aggregator");
+    // 18-decimal secondary at $3010 (~0.33% above primary)
+    secondaryFeed = await MockV3.deploy(18, 3_010n * 10n ** 18n);
+  });
+
+  async function createWethOrder() {
+    return f.orders
+      .connect(f.seller)
+      .createOrder(wethAddr, 10n ** 18n, usdtAddr);
+  }
+
+  it("defaults the heartbeat when an asset is registered", async () => {
+    const cfg = await f.config.assets(wethAddr);
+    expect(cfg.maxHeartbeat).to.equal(await f.config.DEFAULT_MAX_HEARTBEAT());
+  });
+
+  it("rejects prices older than the heartbeat", async () => {
+    await (
+      await f.config.setOracleGuards(wethAddr, 3600, ethers.ZeroAddress, 0)
+    ).wait();
+    const now = await time.latest();
+    await (
+      await f.wethFeed.updateRoundData(2, 3_000n * 10n ** 8n, now - 3601, 2)
+    ).wait();
+
+    await expect(
+      f.config.getOraclePrice(wethAddr),
+    ).to.be.revertedWithCustomError(f.config, "StaleOraclePrice");
+    // Orders fail closed with the same reason
+    await expect(createWethOrder()).to.be.revertedWithCustomError(
+      f.config,
+      "StaleOraclePrice",
+    );
+  });
+
+  it("rejects incomplete rounds and non-positive answers", async () => {
+    const now = await time.latest();
+    await (
+      await f.wethFeed.updateRoundData(5, 3_000n * 10n ** 8n, now, 4)
+    ).wait();
+    await expect(
+      f.config.getOraclePrice(wethAddr),
+    ).to.be.revertedWithCustomError(f.config, "IncompleteOracleRound");
+
+    await (await f.wethFeed.updateRoundData(5, 0, now, 5)).wait();
+    await expect(
+      f.config.getOraclePrice(wethAddr),
+    ).to.be.revertedWithCustomError(f.config, "InvalidOraclePrice");
+  });
+
+  it("cross-checks the secondary feed within the max deviation", async () => {
+    await (
+      await f.config.setOracleGuards(
+        wethAddr,
+        3600,
+        await secondaryFeed.getAddress(),
+        50,
+      )
+    ).wait();
+    const [price, dec] = await f.config.getOraclePrice(wethAddr);
+    expect(price).to.equal(3_000n * 10n ** 8n);
+    expect(dec).to.equal(8n);
+
+    await (await secondaryFeed.updateAnswer(3_100n * 10n ** 18n)).wait();
+    await expect(
+      f.config.getOraclePrice(wethAddr),
+    ).to.be.revertedWithCustomError(f.config, "OracleDeviationTooHigh");
+  });
+
+  it("falls back to the secondary feed when the primary is unhealthy", async () => {
+    await (
+      await f.config.setOracleGuards(
+        wethAddr,
+        3600,
+        await secondaryFeed.getAddress(),
+        50,
+      )
+    ).wait();
+
+    await (await f.wethFeed.setReverting(true)).wait();
+    const [price, dec] = await f.config.getOraclePrice(wethAddr);
+    expect(price).to.equal(3_010n * 10n ** 8n); // rescaled to primary decimals
+    expect(dec).to.equal(8n);
+
+    // Both down: primary's reason is reported
+    await (await secondaryFeed.setReverting(true)).wait();
+    await expect(
+      f.config.getOraclePrice(wethAddr),
+    ).to.be.revertedWithCustomError(f.config, "InvalidOraclePrice");
+  });
+
+  it("only lets config managers set guards on registered assets", async () => {
+    await expect(
+      f.config
+        .connect(f.other)
+        .setOracleGuards(wethAddr, 3600, ethers.ZeroAddress, 0),
+    ).to.be.revertedWithCustomError(f.config, "MissingRole");
+    await expect(
+      f.config.setOracleGuards(f.other.address, 3600, ethers.ZeroAddress, 0),
+    ).to.be.revertedWithCustomError(f.config, "UnsupportedAsset");
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { deployFixture, eventArgs, orderParams } = require("./helpers/fixture");
+
+describe("OTC partial fills", function () {
+  const ONE = 10n ** 18n;
+
+  let f, orderId, order;
+
+  async function createOrder(sellAmount, minFillAmount) {
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrderWithParams(
+          await orderParams(f, { sellAmount, minFillAmount }),
+        )
+    ).wait();
+    return eventArgs(rc, "OrderCreated").orderId;
+  }
+
+  async function fill(id, fillAmount) {
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10n ** 12n)
+    ).wait();
+    const tx =
+      fillAmount === undefined
+        ? f.orders.connect(f.buyer)["takeOrder(uint256)"](id)
+        : f.orders
+            .connect(f.buyer)
+            ["takeOrder(uint256,uint256)"](id, fillAmount);
+    return eventArgs(await (await tx).wait(), "OrderTaken");
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    orderId = await createOrder(10n * ONE, ONE);
+    order = await f.orders.orders(orderId);
+  });
+
+  it("opens a trade per fill with pro-rata quote and fee", async () => {
+    const taken = await fill(orderId, 3n * ONE);
+    expect(taken.fillAmount).to.equal(3n * ONE);
+    expect(taken.remainingAmount).to.equal(7n * ONE);
+
+    const t = await f.escrow.getTrade(taken.tradeId);
+    const quote = (order.quoteAmount * 3n) / 10n;
+    expect(t.sellAmount).to.equal(3n * ONE);
+    expect(t.quoteAmount).to.equal(quote);
+    expect(t.feeAmount).to.equal((quote * 30n) / 10_000n);
+
+    const o = await f.orders.orders(orderId);
+    expect(o.status).to.equal(4n); // PARTIALLY_FILLED
+    expect(o.remainingAmount).to.equal(7n * ONE);
+  });
+
+  it("takes the remainder with takeOrder(orderId) and sums exactly to quoteAmount", async () => {
+    const a = await fill(orderId, 3n * ONE);
+    const b = await fill(orderId);
+    expect(b.fillAmount).to.equal(7n * ONE);
+
+    const ta = await f.escrow.getTrade(a.tradeId);
+    const tb = await f.escrow.getTrade(b.tradeId);
+    expect(ta.quoteAmount + tb.quoteAmount).to.equal(order.quoteAmount);
+
+    expect((await f.orders.orders(orderId)).status).to.equal(2n); // TAKEN
+    expect(await f.orders.getOrderTradeIds(orderId)).to.deep.equal([
+      a.tradeId,
+      b.tradeId,
+    ]);
+  });
+
+  it("enforces the seller's minimum fill", async () => {
+    await expect(fill(orderId, ONE - 1n)).to.be.revertedWithCustomError(
+      f.orders,
+      "FillTooSmall",
+    );
+    // would leave 0.5 WETH behind, below the minimum
+    await expect(
+      fill(orderId, 10n * ONE - ONE / 2n),
+    ).to.be.revertedWithCustomError(f.orders, "FillTooSmall");
+    await expect(fill(orderId, 11n * ONE)).to.be.revertedWithCustomError(
+      f.orders,
+      "InvalidAmount",
+    );
+  });
+
+  it("cancels only the unfilled remainder", async () => {
+    const a = await fill(orderId, 4n * ONE);
+    await (await f.orders.connect(f.seller).cancelOrder(orderId)).wait();
+
+    await expect(fill(orderId, ONE)).to.be.revertedWithCustomError(
+      f.orders,
+      "OrderNotOpen",
+    );
+    // the earlier fill keeps its own lifecycle
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(a.tradeId, "0xTXID")
+    ).wait();
+    await (await f.escrow.connect(f.buyer).confirmReceipt(a.tradeId)).wait();
+  });
+
+  it("rejects a minimum fill above the order size", async () => {
+    await expect(createOrder(ONE, 2n * ONE)).to.be.revertedWithCustomError(
+      f.orders,
+      "InvalidAmount",
+    );
+  });
+});
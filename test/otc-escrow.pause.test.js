@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFixture,
+  eventArgs,
+  grantRole,
+  openTrade,
+  closeEvidence,
+} = require("./helpers/fixture");
+
+describe("Emergency pause and circuit breakers", function () {
+  const DAY = 24 * 60 * 60;
+
+  let f, wethAddr, usdtAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    wethAddr = await f.weth.getAddress();
+    usdtAddr = await f.usdt.getAddress();
+  });
+
+  async function listWeth(quote = f.usdt) {
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrder(wethAddr, 10n ** 18n, await quote.getAddress())
+    ).wait();
+    return eventArgs(rc, "OrderCreated").orderId;
+  }
+
+  async function take(orderId, quote = f.usdt) {
+    await (await quote.mint(f.buyer.address, 10_000n * 10n ** 6n)).wait();
+    await (
+      await quote
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10_000n * 10n ** 6n)
+    ).wait();
+    return f.orders.connect(f.buyer)["takeOrder(uint256)"](orderId);
+  }
+
+  describe("global pause", () => {
+    it("blocks new orders and takes", async () => {
+      const orderId = await listWeth();
+      await expect(f.config.setPaused(true))
+        .to.emit(f.config, "PausedSet")
+        .withArgs(true);
+
+      await expect(listWeth()).to.be.revertedWithCustomError(
+        f.config,
+        "TradingPaused",
+      );
+      await expect(take(orderId)).to.be.revertedWithCustomError(
+        f.config,
+        "TradingPaused",
+      );
+      // makers can still pull their orders
+      await expect(f.orders.connect(f.seller).cancelOrder(orderId)).to.emit(
+        f.orders,
+        "OrderCancelled",
+      );
+
+      await (await f.config.setPaused(false)).wait();
+      await expect(take(await listWeth())).to.emit(f.orders, "OrderTaken");
+    });
+
+    it("lets in-flight trades settle, refund and resolve", async () => {
+      const a = await openTrade(f);
+      const b = await openTrade(f);
+      const c = await openTrade(f);
+      await (await f.config.setPaused(true)).wait();
+
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(a.tradeId, "0xA")
+      ).wait();
+      await expect(f.escrow.connect(f.buyer).confirmReceipt(a.tradeId)).to.emit(
+        f.escrow,
+        "ReceiptConfirmed",
+      );
+
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(b.tradeId, "0xB")
+      ).wait();
+      await (await f.escrow.connect(f.buyer).rejectReceipt(b.tradeId)).wait();
+      await closeEvidence(f, b.tradeId);
+      await expect(f.escrow.adminForceRefund(b.tradeId)).to.emit(
+        f.escrow,
+        "DisputeResolved",
+      );
+
+      await time.increase(2 * DAY + 1);
+      await expect(f.escrow.claimRefundAfterTimeout(c.tradeId)).to.emit(
+        f.escrow,
+        "TradeTimedOut",
+      );
+    });
+
+    it("is limited to the owner and pausers", async () => {
+      await expect(
+        f.config.connect(f.other).setPaused(true),
+      ).to.be.revertedWithCustomError(f.config, "MissingRole");
+
+      await grantRole(f, "PAUSER_ROLE", f.other.address);
+      await (await f.config.connect(f.other).setPaused(true)).wait();
+      expect(await f.config.paused()).to.equal(true);
+    });
+  });
+
+  describe("market pause", () => {
+    it("blocks only markets that use the paused token", async () => {
+      const usdtOrder = await listWeth();
+      const usdcOrder = await listWeth(f.usdc);
+      await expect(f.config.setMarketPaused(usdtAddr, true))
+        .to.emit(f.config, "MarketPausedSet")
+        .withArgs(usdtAddr, true);
+
+      await expect(take(usdtOrder)).to.be.revertedWithCustomError(
+        f.config,
+        "MarketPaused",
+      );
+      await expect(take(usdcOrder, f.usdc)).to.emit(f.orders, "OrderTaken");
+
+      await (await f.config.setMarketPaused(wethAddr, true)).wait();
+      await expect(listWeth(f.usdc)).to.be.revertedWithCustomError(
+        f.config,
+        "MarketPaused",
+      );
+    });
+  });
+
+  describe("price circuit breaker", () => {
+    beforeEach(async () => {
+      await expect(f.config.setPriceBreaker(wethAddr, 1_000))
+        .to.emit(f.config, "PriceBreakerSet")
+        .withArgs(wethAddr, 1_000);
+    });
+
+    it("tracks the price across consecutive reads", async () => {
+      const orderId = await listWeth();
+      expect(await f.config.referencePrices(wethAddr)).to.equal(
+        3_000n * 10n ** 8n,
+      );
+
+      // +6.7%: within the 10% bound, becomes the new reference
+      await (await f.wethFeed.updateAnswer(3_200n * 10n ** 8n)).wait();
+      await expect(take(orderId)).to.emit(f.orders, "OrderTaken");
+      expect(await f.config.referencePrices(wethAddr)).to.equal(
+        3_200n * 10n ** 8n,
+      );
+    });
+
+    it("blocks trading after a jump and latches the pause when tripped", async () => {
+      const orderId = await listWeth();
+      await (await f.wethFeed.updateAnswer(3_600n * 10n ** 8n)).wait();
+
+      await expect(take(orderId)).to.be.revertedWithCustomError(
+        f.config,
+        "PriceMoveTooLarge",
+      );
+
+      await expect(f.config.connect(f.other).tripCircuitBreaker(wethAddr))
+        .to.emit(f.config, "CircuitBreakerTripped")
+        .withArgs(wethAddr, 3_000n * 10n ** 8n, 3_600n * 10n ** 8n);
+      expect(await f.config.marketPaused(wethAddr)).to.equal(true);
+
+      // latched even if the price comes back
+      await (await f.wethFeed.updateAnswer(3_000n * 10n ** 8n)).wait();
+      await expect(take(orderId)).to.be.revertedWithCustomError(
+        f.config,
+        "MarketPaused",
+      );
+
+      // unpausing re-bases the breaker on the current price
+      await (await f.wethFeed.updateAnswer(3_600n * 10n ** 8n)).wait();
+      await (await f.config.setMarketPaused(wethAddr, false)).wait();
+      expect(await f.config.referencePrices(wethAddr)).to.equal(0n);
+      await expect(take(orderId)).to.emit(f.orders, "OrderTaken");
+    });
+
+    it("only lets OTCOrders move the reference price", async () => {
+      await expect(
+        f.config.connect(f.other).checkMarket(wethAddr, wethAddr),
+      ).to.be.revertedWith("only orders");
+    });
+
+    it("blocks trades without latching until tripped", async () => {
+      const orderId = await listWeth();
+      await (await f.wethFeed.updateAnswer(3_600n * 10n ** 8n)).wait();
+      await expect(take(orderId)).to.be.revertedWithCustomError(
+        f.config,
+        "PriceMoveTooLarge",
+      );
+      expect(await f.config.marketPaused(wethAddr)).to.equal(false);
+      expect(await f.config.referencePrices(wethAddr)).to.equal(
+        3_000n * 10n ** 8n,
+      );
+
+      // back within bounds of the last accepted price: trading resumes by itself
+      await (await f.wethFeed.updateAnswer(3_100n * 10n ** 8n)).wait();
+      await expect(take(orderId)).to.emit(f.orders, "OrderTaken");
+    });
+
+    it("lets a quiet market drift past the bound without tripping", async () => {
+      await listWeth();
+      // +5% a day with no trades: 3000 -> 3472, beyond 10% of the last reference
+      let price = 3_000n * 10n ** 8n;
+      for (let i = 0; i < 3; i++) {
+        await time.increase(DAY);
+        price = (price * 105n) / 100n;
+        await (await f.wethFeed.updateAnswer(price)).wait();
+      }
+      // the reference is older than the feed heartbeat, so it no longer counts
+      await expect(
+        f.config.connect(f.other).tripCircuitBreaker(wethAddr),
+      ).to.be.revertedWithCustomError(f.config, "InvalidState");
+      const orderId = await listWeth();
+      expect(await f.config.referencePrices(wethAddr)).to.equal(price);
+      expect(await f.config.referencePriceTimes(wethAddr)).to.equal(
+        BigInt(await time.latest()),
+      );
+
+      // a jump right after is still caught
+      await (await f.wethFeed.updateAnswer((price * 12n) / 10n)).wait();
+      await expect(take(orderId)).to.be.revertedWithCustomError(
+        f.config,
+        "PriceMoveTooLarge",
+      );
+    });
+
+    it("only trips on an actual breach", async () => {
+      await listWeth();
+      await expect(
+        f.config.tripCircuitBreaker(wethAddr),
+      ).to.be.revertedWithCustomError(f.config, "InvalidState");
+    });
+
+    it("is configured by config managers on registered assets", async () => {
+      await expect(
+        f.config.connect(f.other).setPriceBreaker(wethAddr, 500),
+      ).to.be.revertedWithCustomError(f.config, "MissingRole");
+      await expect(
+        f.config.setPriceBreaker(f.other.address, 500),
+      ).to.be.revertedWithCustomError(f.config, "UnsupportedAsset");
+    });
+  });
+});
@@ -1,9 +1,10 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("OTC Escrow Phase-1 (Token-based Orders; seller delivers off-escrow)", function () {
   let owner, seller, buyer, treasury, other;
-  let admin, config, orders, escrow;
+  let registry, admin, config, orders, escrow;
 
   let usdt, usdc, wbtc, weth;
   let usdtFeed, usdcFeed, wbtcFeed, wethFeed;
@@ -48,34 +49,44 @@ describe("OTC Escrow Phase-1 (Token-based Orders; seller delivers off-escrow)",
     // -----------------------
     // Deploy core contracts
     // -----------------------
+    const OTCRegistry = await ethers.getContractFactory("OTCRegistry");
+    registry = await upgrades.deployProxy(OTCRegistry, [owner.address]);
+    await registry.waitForDeployment();
+
     const OTCAdmin = await ethers.getContractFactory("OTCAdmin");
-    admin = await OTCAdmin.deploy(owner.address);
+    // owner arbitrates the unhappy paths below
+    admin = await upgrades.deployProxy(OTCAdmin, [
+      owner.address,
+      [ethers.id("ARBITER_ROLE")],
+      [owner.address],
+    ]);
     await admin.waitForDeployment();
 
     const OTCConfig = await ethers.getContractFactory("OTCConfig");
-    config = await OTCConfig.deploy(owner.address, treasury.address);
+    config = await upgrades.deployProxy(OTCConfig, [
+      owner.address,
+      treasury.address,
+      await registry.getAddress(),
+    ]);
     await config.waitForDeployment();
 
     const OTCOrders = await ethers.getContractFactory("OTCOrders");
-    orders = await OTCOrders.deploy(
-      owner.address,
-      await admin.getAddress(),
-      await config.getAddress(),
-    );
+    orders = await upgrades.deployProxy(OTCOrders, [
+      await registry.getAddress(),
+    ]);
     await orders.waitForDeployment();
 
     const OTCEscrow = await ethers.getContractFactory("OTCEscrow");
-    escrow = await OTCEscrow.deploy(
-      await orders.getAddress(),
-      await admin.getAddress(),
-      await config.getAddress(),
-    );
+    escrow = await upgrades.deployProxy(OTCEscrow, [
+      await registry.getAddress(),
+    ]);
     await escrow.waitForDeployment();
 
-    // Wire Orders -> Escrow
-    await (
-      await orders.connect(owner).setEscrow(await escrow.getAddress())
-    ).wait();
+    // Wire everything through the registry
+    await (await registry.setAdmin(await admin.getAddress())).wait();
+    await (await registry.setConfig(await config.getAddress())).wait();
+    await (await registry.setOrders(await orders.getAddress())).wait();
+    await (await registry.setEscrow(await escrow.getAddress())).wait();
 
     // -----------------------
     // Configure config
@@ -168,21 +179,28 @@ describe("OTC Escrow Phase-1 (Token-based Orders; seller delivers off-escrow)",
 
     // Buyer confirms receipt => funds are released
     const sellerBefore = await usdt.balanceOf(seller.address);
-    const treasuryBefore = await usdt.balanceOf(treasury.address);
 
     await (await escrow.connect(buyer).confirmReceipt(tradeId)).wait();
 
     const sellerAfter = await usdt.balanceOf(seller.address);
-    const treasuryAfter = await usdt.balanceOf(treasury.address);
 
     expect(sellerAfter - sellerBefore).to.equal(quoteAmount);
-    expect(treasuryAfter - treasuryBefore).to.equal(feeAmount);
+    // fee accrues in escrow until the treasury withdraws it
+    expect(await escrow.accruedFees(await usdt.getAddress())).to.equal(
+      feeAmount,
+    );
 
     // Trade status = RELEASED (enum: NONE=0, AWAITING_DELIVERY=1, DELIVERED_PENDING_CONFIRM=2, DISPUTE_PENDING=3, RELEASED=4, REFUNDED=5)
     const t = await getTrade(tradeId);
     expect(t.status).to.equal(4n);
 
-    // Escrow drained
+    // Treasury pulls the fee; escrow drained
+    await (
+      await escrow
+        .connect(treasury)
+        .withdrawFees(await usdt.getAddress(), treasury.address, feeAmount)
+    ).wait();
+    expect(await usdt.balanceOf(treasury.address)).to.equal(feeAmount);
     const escrowBalAfter = await usdt.balanceOf(await escrow.getAddress());
     expect(escrowBalAfter).to.equal(0n);
   });
@@ -231,7 +249,8 @@ describe("OTC Escrow Phase-1 (Token-based Orders; seller delivers off-escrow)",
 
     const buyerBefore = await usdc.balanceOf(buyer.address);
 
-    // Admin resolves refund (owner is admin by default)
+    // Admin resolves refund (owner holds ARBITER_ROLE) once the seller's response window is over
+    await time.increase(3 * 24 * 60 * 60 + 1);
     await (await escrow.connect(owner).adminForceRefund(tradeId)).wait();
 
     const buyerAfter = await usdc.balanceOf(buyer.address);
@@ -279,16 +298,18 @@ describe("OTC Escrow Phase-1 (Token-based Orders; seller delivers off-escrow)",
     await (await escrow.connect(buyer).rejectReceipt(tradeId)).wait();
 
     const sellerBefore = await usdt.balanceOf(seller.address);
-    const treasuryBefore = await usdt.balanceOf(treasury.address);
 
-    // Admin force release
+    // Admin force release after the response window
+    await time.increase(3 * 24 * 60 * 60 + 1);
     await (await escrow.connect(owner).adminForceRelease(tradeId)).wait();
 
     const sellerAfter = await usdt.balanceOf(seller.address);
-    const treasuryAfter = await usdt.balanceOf(treasury.address);
 
     expect(sellerAfter - sellerBefore).to.equal(quoteAmount);
-    expect(treasuryAfter - treasuryBefore).to.equal(feeAmount);
+    // fee accrues in escrow until the treasury withdraws it
+    expect(await escrow.accruedFees(await usdt.getAddress())).to.equal(
+      feeAmount,
+    );
 
     const t = await getTrade(tradeId);
     expect(t.status).to.equal(4n); // RELEASED
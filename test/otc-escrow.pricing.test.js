@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, eventArgs, orderParams } = require("./helpers/fixture");
+
+describe("OTC order pricing modes", function () {
+  const ORACLE_LOCKED = 0;
+  const ORACLE_LIVE = 1;
+  const FIXED = 2;
+  const ONE = 10n ** 18n;
+  // 1 WETH at $3000 + 0.20% spread, in USDT (6 decimals)
+  const QUOTE_AT_3000 = 3_006_000_000n;
+
+  let f;
+
+  async function create(overrides) {
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrderWithParams(await orderParams(f, overrides))
+    ).wait();
+    return eventArgs(rc, "OrderCreated");
+  }
+
+  async function fund(amount) {
+    await (await f.usdt.mint(f.buyer.address, amount)).wait();
+    await (
+      await f.usdt.connect(f.buyer).approve(await f.orders.getAddress(), amount)
+    ).wait();
+  }
+
+  async function takeParams(orderId, overrides = {}) {
+    return {
+      orderId,
+      fillAmount: ONE,
+      maxQuoteAmount: 2n ** 256n - 1n,
+      deadline: (await time.latest()) + 60,
+      proof: [],
+      referrer: ethers.ZeroAddress,
+      ...overrides,
+    };
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    await fund(10n ** 12n);
+  });
+
+  describe("re-quoting at take time", () => {
+    it("locks the creation quote for ORACLE_LOCKED orders", async () => {
+      const { orderId, pricingMode } = await create({
+        pricingMode: ORACLE_LOCKED,
+      });
+      expect(pricingMode).to.equal(ORACLE_LOCKED);
+      await (await f.wethFeed.updateAnswer(3_300n * 10n ** 8n)).wait();
+
+      const rc = await (
+        await f.orders.connect(f.buyer)["takeOrder(uint256)"](orderId)
+      ).wait();
+      const t = await f.escrow.getTrade(eventArgs(rc, "OrderTaken").tradeId);
+      expect(t.quoteAmount).to.equal(QUOTE_AT_3000);
+    });
+
+    it("recomputes the quote for ORACLE_LIVE orders", async () => {
+      const { orderId, pricingMode } = await create({
+        pricingMode: ORACLE_LIVE,
+      });
+      expect(pricingMode).to.equal(ORACLE_LIVE);
+      await (await f.wethFeed.updateAnswer(3_300n * 10n ** 8n)).wait();
+
+      const rc = await (
+        await f.orders
+          .connect(f.buyer)
+          .takeOrderWithParams(await takeParams(orderId))
+      ).wait();
+      const t = await f.escrow.getTrade(eventArgs(rc, "OrderTaken").tradeId);
+      expect(t.quoteAmount).to.equal((QUOTE_AT_3000 * 11n) / 10n);
+    });
+  });
+
+  describe("buyer protection", () => {
+    it("reverts when the quote exceeds maxQuoteAmount", async () => {
+      const { orderId } = await create({ pricingMode: ORACLE_LIVE });
+      await (await f.wethFeed.updateAnswer(3_100n * 10n ** 8n)).wait();
+
+      await expect(
+        f.orders
+          .connect(f.buyer)
+          .takeOrderWithParams(
+            await takeParams(orderId, { maxQuoteAmount: QUOTE_AT_3000 }),
+          ),
+      ).to.be.revertedWithCustomError(f.orders, "SlippageExceeded");
+    });
+
+    it("reverts after the buyer's deadline", async () => {
+      const { orderId } = await create({ pricingMode: ORACLE_LIVE });
+      const deadline = (await time.latest()) + 10;
+      await time.increase(11);
+
+      await expect(
+        f.orders
+          .connect(f.buyer)
+          .takeOrderWithParams(await takeParams(orderId, { deadline })),
+      ).to.be.revertedWithCustomError(f.orders, "TakeDeadlineExpired");
+    });
+  });
+
+  describe("seller floor", () => {
+    it("reverts live fills priced below the floor (pro-rata)", async () => {
+      const { orderId } = await create({
+        pricingMode: ORACLE_LIVE,
+        sellAmount: 2n * ONE,
+        floorQuoteAmount: 2n * QUOTE_AT_3000,
+      });
+      await (await f.wethFeed.updateAnswer(2_900n * 10n ** 8n)).wait();
+
+      await expect(
+        f.orders
+          .connect(f.buyer)
+          .takeOrderWithParams(await takeParams(orderId)),
+      ).to.be.revertedWithCustomError(f.orders, "PriceBelowFloor");
+
+      await (await f.wethFeed.updateAnswer(3_000n * 10n ** 8n)).wait();
+      await (
+        await f.orders
+          .connect(f.buyer)
+          .takeOrderWithParams(await takeParams(orderId))
+      ).wait();
+    });
+
+    it("rejects locked orders whose quote is already below the floor", async () => {
+      await expect(
+        create({
+          pricingMode: ORACLE_LOCKED,
+          floorQuoteAmount: QUOTE_AT_3000 + 1n,
+        }),
+      ).to.be.revertedWithCustomError(f.orders, "PriceBelowFloor");
+    });
+  });
+
+  describe("fixed-price orders", () => {
+    it("uses the seller's quote regardless of the oracle", async () => {
+      const rc = await (
+        await f.orders
+          .connect(f.seller)
+          .createFixedPriceOrder(
+            await f.wbtc.getAddress(),
+            10n ** 8n,
+            await f.usdt.getAddress(),
+            61_500n * 10n ** 6n,
+          )
+      ).wait();
+      const created = eventArgs(rc, "OrderCreated");
+      expect(created.pricingMode).to.equal(FIXED);
+      expect(created.quoteAmount).to.equal(61_500n * 10n ** 6n);
+      expect(created.spreadBps).to.equal(0n);
+
+      // a broken feed does not matter for fixed orders
+      await (await f.wbtcFeed.setReverting(true)).wait();
+      const taken = await (
+        await f.orders
+          .connect(f.buyer)
+          ["takeOrder(uint256,uint256)"](created.orderId, 10n ** 7n)
+      ).wait();
+      const t = await f.escrow.getTrade(eventArgs(taken, "OrderTaken").tradeId);
+      expect(t.quoteAmount).to.equal(6_150n * 10n ** 6n);
+    });
+
+    it("rejects a zero fixed quote", async () => {
+      await expect(
+        create({ pricingMode: FIXED, fixedQuoteAmount: 0 }),
+      ).to.be.revertedWithCustomError(f.orders, "InvalidAmount");
+    });
+  });
+
+  describe("per-order spread", () => {
+    it("applies a seller discount instead of the global spread", async () => {
+      const rc = await (
+        await f.orders
+          .connect(f.seller)
+          .createOrderWithSpread(
+            await f.weth.getAddress(),
+            ONE,
+            await f.usdt.getAddress(),
+            -100,
+          )
+      ).wait();
+      const created = eventArgs(rc, "OrderCreated");
+      expect(created.spreadBps).to.equal(-100n);
+      expect(created.quoteAmount).to.equal(2_970_000_000n); // $3000 - 1%
+    });
+
+    it("snapshots the config spread on default orders", async () => {
+      const { orderId, spreadBps } = await create({
+        pricingMode: ORACLE_LIVE,
+      });
+      expect(spreadBps).to.equal(20n);
+      await (await f.config.setSpreadBps(100)).wait();
+
+      const rc = await (
+        await f.orders
+          .connect(f.buyer)
+          .takeOrderWithParams(await takeParams(orderId))
+      ).wait();
+      const t = await f.escrow.getTrade(eventArgs(rc, "OrderTaken").tradeId);
+      expect(t.quoteAmount).to.equal(QUOTE_AT_3000);
+    });
+
+    it("enforces the config spread bounds", async () => {
+      await expect(
+        create({ customSpread: true, spreadBps: -501 }),
+      ).to.be.revertedWithCustomError(f.orders, "SpreadOutOfBounds");
+      await expect(
+        create({ customSpread: true, spreadBps: 2_001 }),
+      ).to.be.revertedWithCustomError(f.orders, "SpreadOutOfBounds");
+
+      await (await f.config.setOrderSpreadBounds(-1_000, 500)).wait();
+      await create({ customSpread: true, spreadBps: -1_000 });
+      await expect(
+        f.config.connect(f.other).setOrderSpreadBounds(-1_000, 500),
+      ).to.be.revertedWithCustomError(f.config, "MissingRole");
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, eventArgs, orderParams } = require("./helpers/fixture");
+
+// OpenZeppelin merkle-tree compatible leaf / pair hashing
+function leaf(address) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  return ethers.keccak256(
+    ethers.keccak256(coder.encode(["address"], [address])),
+  );
+}
+
+function hashPair(a, b) {
+  const [x, y] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  return ethers.keccak256(ethers.concat([x, y]));
+}
+
+describe("OTC private and whitelisted orders", function () {
+  let f;
+
+  async function create(overrides) {
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrderWithParams(await orderParams(f, overrides))
+    ).wait();
+    return eventArgs(rc, "OrderCreated");
+  }
+
+  async function fundAndTake(taker, orderId, proof = []) {
+    await (await f.usdt.mint(taker.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(taker)
+        .approve(await f.orders.getAddress(), 10n ** 12n)
+    ).wait();
+    return f.orders.connect(taker).takeOrderWithParams({
+      orderId,
+      fillAmount: 10n ** 18n,
+      maxQuoteAmount: 2n ** 256n - 1n,
+      deadline: (await time.latest()) + 60,
+      proof,
+      referrer: ethers.ZeroAddress,
+    });
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+  });
+
+  it("restricts a designated-taker order to that taker", async () => {
+    const created = await create({ allowedTaker: f.buyer.address });
+    expect(created.allowedTaker).to.equal(f.buyer.address);
+    expect((await f.orders.orders(created.orderId)).allowedTaker).to.equal(
+      f.buyer.address,
+    );
+
+    await expect(
+      fundAndTake(f.other, created.orderId),
+    ).to.be.revertedWithCustomError(f.orders, "TakerNotAllowed");
+    await (await fundAndTake(f.buyer, created.orderId)).wait();
+  });
+
+  it("restricts a whitelisted order to takers with a valid proof", async () => {
+    const buyerLeaf = leaf(f.buyer.address);
+    const otherLeaf = leaf(f.other.address);
+    const root = hashPair(buyerLeaf, otherLeaf);
+
+    const created = await create({ takerRoot: root });
+    expect(created.takerRoot).to.equal(root);
+
+    // owner is not on the list
+    await expect(
+      fundAndTake(f.owner, created.orderId, [buyerLeaf]),
+    ).to.be.revertedWithCustomError(f.orders, "TakerNotAllowed");
+    await expect(
+      fundAndTake(f.buyer, created.orderId),
+    ).to.be.revertedWithCustomError(f.orders, "TakerNotAllowed");
+
+    await (await fundAndTake(f.buyer, created.orderId, [otherLeaf])).wait();
+  });
+
+  it("blocks the plain takeOrder path for restricted orders", async () => {
+    const root = hashPair(leaf(f.buyer.address), leaf(f.other.address));
+    const { orderId } = await create({ takerRoot: root });
+    await expect(
+      f.orders.connect(f.buyer)["takeOrder(uint256)"](orderId),
+    ).to.be.revertedWithCustomError(f.orders, "TakerNotAllowed");
+  });
+
+  it("rejects orders with both restrictions set", async () => {
+    await expect(
+      create({
+        allowedTaker: f.buyer.address,
+        takerRoot: leaf(f.buyer.address),
+      }),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidTakerRestriction");
+  });
+
+  it("applies the same restriction to bid fills", async () => {
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10n ** 12n)
+    ).wait();
+    const rc = await (
+      await f.orders
+        .connect(f.buyer)
+        .createBidWithParams(
+          await orderParams(f, { allowedTaker: f.seller.address }),
+        )
+    ).wait();
+    const { orderId, allowedTaker } = eventArgs(rc, "BidCreated");
+    expect(allowedTaker).to.equal(f.seller.address);
+
+    await expect(
+      f.orders
+        .connect(f.other)
+        ["fillBid(uint256,uint256)"](orderId, 10n ** 18n),
+    ).to.be.revertedWithCustomError(f.orders, "TakerNotAllowed");
+    await (
+      await f.orders
+        .connect(f.seller)
+        ["fillBid(uint256,uint256)"](orderId, 10n ** 18n)
+    ).wait();
+  });
+});
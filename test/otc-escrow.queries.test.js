@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { deployFixture, eventArgs, openTrade } = require("./helpers/fixture");
+
+describe("OTC order book and trade queries", function () {
+  const ONE = 10n ** 18n;
+  const ASK = 0;
+  const BID = 1;
+
+  let f, wethAddr, usdtAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    wethAddr = await f.weth.getAddress();
+    usdtAddr = await f.usdt.getAddress();
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10n ** 12n)
+    ).wait();
+  });
+
+  async function ask(sellToken = wethAddr) {
+    const rc = await (
+      await f.orders.connect(f.seller).createOrder(sellToken, ONE, usdtAddr)
+    ).wait();
+    return eventArgs(rc, "OrderCreated").orderId;
+  }
+
+  async function bid() {
+    const rc = await (
+      await f.orders.connect(f.buyer).createBid(wethAddr, ONE, usdtAddr)
+    ).wait();
+    return eventArgs(rc, "BidCreated").orderId;
+  }
+
+  async function openIds(side = ASK, offset = 0, limit = 10) {
+    const [ids, total] = await f.orders.getOpenOrderIds(
+      wethAddr,
+      usdtAddr,
+      side,
+      offset,
+      limit,
+    );
+    return { ids: ids.map(Number), total: Number(total) };
+  }
+
+  describe("open orders", () => {
+    it("are listed per market and side, paginated", async () => {
+      const a1 = await ask();
+      const a2 = await ask();
+      const a3 = await ask();
+      await ask(await f.wbtc.getAddress());
+      const b1 = await bid();
+
+      expect(await openIds()).to.deep.equal({
+        ids: [a1, a2, a3].map(Number),
+        total: 3,
+      });
+      expect(await openIds(BID)).to.deep.equal({ ids: [Number(b1)], total: 1 });
+      expect(await openIds(ASK, 1, 1)).to.deep.equal({
+        ids: [Number(a2)],
+        total: 3,
+      });
+      expect(await openIds(ASK, 2, 10)).to.deep.equal({
+        ids: [Number(a3)],
+        total: 3,
+      });
+      expect(await openIds(ASK, 5, 10)).to.deep.equal({ ids: [], total: 3 });
+    });
+
+    it("stay listed while partially filled, drop out once taken or cancelled", async () => {
+      const a1 = await ask();
+      const a2 = await ask();
+      const a3 = await ask();
+
+      await (
+        await f.orders
+          .connect(f.buyer)
+          ["takeOrder(uint256,uint256)"](a1, ONE / 2n)
+      ).wait();
+      expect((await openIds()).total).to.equal(3);
+
+      await (await f.orders.connect(f.buyer)["takeOrder(uint256)"](a1)).wait();
+      await (await f.orders.connect(f.seller).cancelOrder(a2)).wait();
+      expect(await openIds()).to.deep.equal({ ids: [Number(a3)], total: 1 });
+    });
+
+    it("drop bids once fully filled", async () => {
+      const b1 = await bid();
+      await (
+        await f.orders.connect(f.seller)["fillBid(uint256,uint256)"](b1, ONE)
+      ).wait();
+      expect((await openIds(BID)).total).to.equal(0);
+    });
+  });
+
+  it("lists orders by seller and by buyer", async () => {
+    const a1 = await ask();
+    const b1 = await bid();
+    await (await f.orders.connect(f.seller).cancelOrder(a1)).wait();
+
+    const [sellerIds, sellerTotal] = await f.orders.getOrderIdsBySeller(
+      f.seller.address,
+      0,
+      10,
+    );
+    expect(sellerIds).to.deep.equal([a1]);
+    expect(sellerTotal).to.equal(1n);
+    const [buyerIds] = await f.orders.getOrderIdsByBuyer(
+      f.buyer.address,
+      0,
+      10,
+    );
+    expect(buyerIds).to.deep.equal([b1]);
+  });
+
+  describe("trades", () => {
+    it("are listed by seller and by buyer and fetched in a batch", async () => {
+      const { tradeId: t1 } = await openTrade(f);
+      const { tradeId: t2 } = await openTrade(f);
+
+      const [bySeller, total] = await f.escrow.getTradeIdsBySeller(
+        f.seller.address,
+        0,
+        10,
+      );
+      expect(bySeller).to.deep.equal([t1, t2]);
+      expect(total).to.equal(2n);
+      const [byBuyer] = await f.escrow.getTradeIdsByBuyer(
+        f.buyer.address,
+        1,
+        1,
+      );
+      expect(byBuyer).to.deep.equal([t2]);
+
+      const trades = await f.escrow.getTrades([t2, t1]);
+      expect(trades.map((t) => t.id)).to.deep.equal([t2, t1]);
+      expect(trades[0].buyer).to.equal(f.buyer.address);
+    });
+
+    it("are listed by their current status", async () => {
+      const byStatus = async (status) =>
+        (await f.escrow.getTradeIdsByStatus(status, 0, 10))[0];
+      const { tradeId: t1 } = await openTrade(f);
+      const { tradeId: t2 } = await openTrade(f);
+      expect(await byStatus(1)).to.deep.equal([t1, t2]); // AWAITING_DELIVERY
+
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(t1, "0xTXID")
+      ).wait();
+      expect(await byStatus(1)).to.deep.equal([t2]);
+      expect(await byStatus(2)).to.deep.equal([t1]); // DELIVERED_PENDING_CONFIRM
+
+      await (await f.escrow.connect(f.buyer).confirmReceipt(t1)).wait();
+      expect(await byStatus(2)).to.deep.equal([]);
+      expect(await byStatus(4)).to.deep.equal([t1]); // RELEASED
+    });
+  });
+});
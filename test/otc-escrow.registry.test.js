@@ -0,0 +1,303 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFixture,
+  deployProxy,
+  eventArgs,
+  openTrade,
+} = require("./helpers/fixture");
+
+describe("OTC registry wiring", function () {
+  const DELAY = 2 * 24 * 60 * 60;
+  const ORDERS = ethers.encodeBytes32String("OTCOrders");
+  const ESCROW = ethers.encodeBytes32String("OTCEscrow");
+  const CONFIG = ethers.encodeBytes32String("OTCConfig");
+
+  let f, registryAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    registryAddr = await f.registry.getAddress();
+  });
+
+  async function newEscrow() {
+    return deployProxy("OTCEscrow", [registryAddr]);
+  }
+
+  // Schedules the rewiring, waits out the timelock and returns the pending execution
+  async function rewire(key, contract) {
+    await (
+      await f.registry.scheduleRewire(key, await contract.getAddress())
+    ).wait();
+    await time.increase(DELAY);
+    return f.registry.executeRewire(key);
+  }
+
+  it("is the one place every core contract resolves its peers from", async () => {
+    expect(await f.registry.admin()).to.equal(await f.admin.getAddress());
+    expect(await f.registry.config()).to.equal(await f.config.getAddress());
+    expect(await f.registry.orders()).to.equal(await f.orders.getAddress());
+    expect(await f.registry.escrow()).to.equal(await f.escrow.getAddress());
+    for (const c of [f.config, f.orders, f.escrow]) {
+      expect(await c.registry()).to.equal(registryAddr);
+    }
+  });
+
+  it("sets each contract directly only once, never to the zero address", async () => {
+    await expect(
+      f.registry.connect(f.other).setConfig(f.other.address),
+    ).to.be.revertedWithCustomError(f.registry, "NotOwner");
+    await expect(
+      f.registry.setAdmin(f.other.address),
+    ).to.be.revertedWithCustomError(f.registry, "InvalidState");
+
+    const registry2 = await deployProxy("OTCRegistry", [f.owner.address]);
+    await expect(registry2.setAdmin(ethers.ZeroAddress)).to.be.revertedWith(
+      "zero",
+    );
+    await expect(registry2.setAdmin(f.other.address))
+      .to.emit(registry2, "ContractSet")
+      .withArgs(
+        ethers.encodeBytes32String("OTCAdmin"),
+        ethers.ZeroAddress,
+        f.other.address,
+      );
+  });
+
+  it("timelocks every later rewiring", async () => {
+    const escrow2 = await newEscrow();
+    const escrow2Addr = await escrow2.getAddress();
+    await expect(
+      f.registry.connect(f.other).scheduleRewire(ESCROW, escrow2Addr),
+    ).to.be.revertedWithCustomError(f.registry, "NotOwner");
+    await expect(
+      f.registry.scheduleRewire(ESCROW, ethers.ZeroAddress),
+    ).to.be.revertedWith("zero");
+    await expect(
+      f.registry.scheduleRewire(
+        ethers.encodeBytes32String("OTCTreasury"),
+        escrow2Addr,
+      ),
+    ).to.be.revertedWithCustomError(f.registry, "InvalidKey");
+
+    const eta = BigInt((await time.latest()) + 1 + DELAY);
+    await expect(f.registry.scheduleRewire(ESCROW, escrow2Addr))
+      .to.emit(f.registry, "RewireScheduled")
+      .withArgs(ESCROW, escrow2Addr, eta);
+    await expect(
+      f.registry.executeRewire(ESCROW),
+    ).to.be.revertedWithCustomError(f.registry, "TimelockNotReady");
+
+    await time.increase(DELAY);
+    await expect(f.registry.executeRewire(ESCROW))
+      .to.emit(f.registry, "ContractSet")
+      .withArgs(ESCROW, await f.escrow.getAddress(), escrow2Addr);
+    expect(await f.registry.escrow()).to.equal(escrow2Addr);
+    expect((await f.registry.pendingRewires(ESCROW)).eta).to.equal(0n);
+  });
+
+  it("can cancel a pending rewiring", async () => {
+    await expect(f.registry.cancelRewire(ESCROW)).to.be.revertedWithCustomError(
+      f.registry,
+      "NoPendingChange",
+    );
+    await (await f.registry.scheduleRewire(ESCROW, f.other.address)).wait();
+    await expect(f.registry.cancelRewire(ESCROW))
+      .to.emit(f.registry, "RewireCancelled")
+      .withArgs(ESCROW, f.other.address);
+
+    await time.increase(DELAY);
+    await expect(
+      f.registry.executeRewire(ESCROW),
+    ).to.be.revertedWithCustomError(f.registry, "NoPendingChange");
+  });
+
+  it("moves ownership in two timelocked steps", async () => {
+    await expect(
+      f.registry.connect(f.other).transferOwnership(f.other.address),
+    ).to.be.revertedWithCustomError(f.registry, "NotOwner");
+    const eta = BigInt((await time.latest()) + 1 + DELAY);
+    await expect(f.registry.transferOwnership(f.other.address))
+      .to.emit(f.registry, "OwnershipTransferStarted")
+      .withArgs(f.owner.address, f.other.address, eta);
+    await expect(
+      f.registry.connect(f.other).acceptOwnership(),
+    ).to.be.revertedWithCustomError(f.registry, "TimelockNotReady");
+    await expect(
+      f.registry.connect(f.buyer).acceptOwnership(),
+    ).to.be.revertedWithCustomError(f.registry, "NotOwner");
+
+    await time.increase(DELAY);
+    await expect(f.registry.connect(f.other).acceptOwnership())
+      .to.emit(f.registry, "OwnershipTransferred")
+      .withArgs(f.owner.address, f.other.address);
+    expect(await f.registry.owner()).to.equal(f.other.address);
+    await expect(
+      f.registry.scheduleRewire(ESCROW, f.other.address),
+    ).to.be.revertedWithCustomError(f.registry, "NotOwner");
+  });
+
+  it("lets the owner cancel an ownership transfer", async () => {
+    await (await f.registry.transferOwnership(f.other.address)).wait();
+    await expect(f.registry.cancelOwnershipTransfer())
+      .to.emit(f.registry, "OwnershipTransferCancelled")
+      .withArgs(f.other.address);
+    await time.increase(DELAY);
+    await expect(
+      f.registry.connect(f.other).acceptOwnership(),
+    ).to.be.revertedWithCustomError(f.registry, "NotOwner");
+  });
+
+  it("won't swap the escrow while it holds open trades", async () => {
+    const { tradeId } = await openTrade(f);
+    expect(await f.escrow.openTradeCount()).to.equal(1n);
+    const escrow2 = await newEscrow();
+    await expect(rewire(ESCROW, escrow2)).to.be.revertedWithCustomError(
+      f.registry,
+      "EscrowInUse",
+    );
+
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+    await (await f.escrow.connect(f.buyer).confirmReceipt(tradeId)).wait();
+    expect(await f.escrow.openTradeCount()).to.equal(0n);
+    // still pending: checked on execution
+    await (await f.registry.executeRewire(ESCROW)).wait();
+
+    // new trades are funded into the new escrow
+    const { total } = await openTrade(f);
+    expect(await f.usdt.balanceOf(await escrow2.getAddress())).to.equal(total);
+  });
+
+  // buyer locks quote funds in escrow for 1 WETH through `orders`
+  async function createBid(orders) {
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await orders.getAddress(), 10n ** 12n)
+    ).wait();
+    const rc = await (
+      await orders
+        .connect(f.buyer)
+        .createBid(
+          await f.weth.getAddress(),
+          10n ** 18n,
+          await f.usdt.getAddress(),
+        )
+    ).wait();
+    return eventArgs(rc, "BidCreated").orderId;
+  }
+
+  it("won't swap escrow or orders while order funds are locked", async () => {
+    const orderId = await createBid(f.orders);
+    expect(await f.escrow.lockedOrderCount()).to.equal(1n);
+
+    const escrow2 = await newEscrow();
+    await expect(rewire(ESCROW, escrow2)).to.be.revertedWithCustomError(
+      f.registry,
+      "EscrowInUse",
+    );
+    const orders2 = await deployProxy("OTCOrders", [registryAddr]);
+    await expect(rewire(ORDERS, orders2)).to.be.revertedWithCustomError(
+      f.registry,
+      "EscrowInUse",
+    );
+
+    await (await f.orders.connect(f.buyer).cancelOrder(orderId)).wait();
+    expect(await f.escrow.lockedOrderCount()).to.equal(0n);
+    await (await f.registry.executeRewire(ESCROW)).wait();
+  });
+
+  it("has a new Orders carry on the order ids, so escrowed orders keep trading", async () => {
+    // escrow keeps the cancelled bid's record under id 1
+    const oldId = await createBid(f.orders);
+    await (await f.orders.connect(f.buyer).cancelOrder(oldId)).wait();
+
+    const orders2 = await deployProxy("OTCOrders", [registryAddr]);
+    await (await rewire(ORDERS, orders2)).wait();
+    expect(await orders2.nextOrderId()).to.equal(oldId + 1n);
+
+    const orderId = await createBid(orders2);
+    expect(orderId).to.equal(oldId + 1n);
+    await expect(
+      orders2
+        .connect(f.seller)
+        ["fillBid(uint256,uint256)"](orderId, 10n ** 18n),
+    ).to.emit(orders2, "BidFilled");
+  });
+
+  it("carries on the ids the current Orders hands out while a swap is pending", async () => {
+    const orders2 = await deployProxy("OTCOrders", [registryAddr]);
+    await (
+      await f.registry.scheduleRewire(ORDERS, await orders2.getAddress())
+    ).wait();
+    // the live market keeps trading during the delay
+    const createAsk = async (orders) =>
+      eventArgs(
+        await (
+          await orders
+            .connect(f.seller)
+            .createOrder(
+              await f.weth.getAddress(),
+              10n ** 18n,
+              await f.usdt.getAddress(),
+            )
+        ).wait(),
+        "OrderCreated",
+      ).orderId;
+    await time.increase(DELAY / 2);
+    expect(await createAsk(f.orders)).to.equal(1n);
+    await expect(createAsk(orders2)).to.be.revertedWith("only orders");
+
+    await time.increase(DELAY / 2);
+    await (await f.registry.executeRewire(ORDERS)).wait();
+    expect(await createAsk(orders2)).to.equal(2n);
+    await expect(orders2.continueOrderIds(1)).to.be.revertedWith(
+      "only registry",
+    );
+  });
+
+  it("applies a config swap everywhere at once", async () => {
+    const config2 = await deployProxy("OTCConfig", [
+      f.owner.address,
+      f.other.address,
+      registryAddr,
+    ]);
+    const { tradeId, feeAmount } = await openTrade(f);
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+    await (await f.escrow.connect(f.buyer).confirmReceipt(tradeId)).wait();
+
+    await expect(rewire(CONFIG, config2))
+      .to.emit(f.registry, "ContractSet")
+      .withArgs(
+        CONFIG,
+        await f.config.getAddress(),
+        await config2.getAddress(),
+      );
+
+    // escrow now reads the treasury from the new config
+    const usdtAddr = await f.usdt.getAddress();
+    await expect(
+      f.escrow
+        .connect(f.treasury)
+        .withdrawFees(usdtAddr, f.treasury.address, feeAmount),
+    ).to.be.revertedWithCustomError(f.escrow, "NotTreasury");
+    await expect(
+      f.escrow
+        .connect(f.other)
+        .withdrawFees(usdtAddr, f.other.address, feeAmount),
+    ).to.changeTokenBalance(f.usdt, f.other, feeAmount);
+
+    // and orders its markets: nothing is listed on the new config yet
+    await expect(
+      f.orders
+        .connect(f.seller)
+        .createOrder(await f.weth.getAddress(), 10n ** 18n, usdtAddr),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidToken");
+  });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFixture,
+  deployProxy,
+  grantRole,
+  openTrade,
+} = require("./helpers/fixture");
+
+describe("OTCAdmin roles and ownership", function () {
+  const DELAY = 2 * 24 * 60 * 60;
+
+  let f, ARBITER, COMPLIANCE, CONFIG_MANAGER;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    ARBITER = await f.admin.ARBITER_ROLE();
+    COMPLIANCE = await f.admin.COMPLIANCE_ROLE();
+    CONFIG_MANAGER = await f.admin.CONFIG_MANAGER_ROLE();
+  });
+
+  it("starts with only the role holders it is initialized with", async () => {
+    const admin = await deployProxy("OTCAdmin", [
+      f.owner.address,
+      [ARBITER, COMPLIANCE],
+      [f.other.address, f.treasury.address],
+    ]);
+    expect(await admin.hasRole(ARBITER, f.other.address)).to.equal(true);
+    expect(await admin.hasRole(COMPLIANCE, f.treasury.address)).to.equal(true);
+    for (const role of [ARBITER, COMPLIANCE, CONFIG_MANAGER]) {
+      expect(await admin.hasRole(role, f.owner.address)).to.equal(false);
+    }
+
+    await expect(
+      deployProxy("OTCAdmin", [f.owner.address, [ARBITER], []]),
+    ).to.be.rejectedWith("length mismatch");
+    await expect(
+      deployProxy("OTCAdmin", [
+        f.owner.address,
+        [ethers.id("NOT_A_ROLE")],
+        [f.other.address],
+      ]),
+    ).to.be.rejectedWith("InvalidRole");
+  });
+
+  describe("role grants", () => {
+    it("only take effect after the timelock", async () => {
+      await expect(
+        f.admin.connect(f.other).scheduleRoleGrant(ARBITER, f.other.address),
+      ).to.be.revertedWithCustomError(f.admin, "NotOwner");
+
+      const tx = await f.admin.scheduleRoleGrant(ARBITER, f.other.address);
+      await expect(tx)
+        .to.emit(f.admin, "RoleGrantScheduled")
+        .withArgs(
+          ARBITER,
+          f.other.address,
+          BigInt((await time.latest()) + DELAY),
+        );
+      await expect(
+        f.admin.executeRoleGrant(ARBITER, f.other.address),
+      ).to.be.revertedWithCustomError(f.admin, "TimelockNotReady");
+
+      await time.increase(DELAY);
+      await expect(f.admin.executeRoleGrant(ARBITER, f.other.address))
+        .to.emit(f.admin, "RoleGranted")
+        .withArgs(ARBITER, f.other.address);
+      expect(await f.admin.isArbiter(f.other.address)).to.equal(true);
+    });
+
+    it("can be cancelled while pending", async () => {
+      await (await f.admin.scheduleRoleGrant(ARBITER, f.other.address)).wait();
+      await expect(f.admin.cancelRoleGrant(ARBITER, f.other.address))
+        .to.emit(f.admin, "RoleGrantCancelled")
+        .withArgs(ARBITER, f.other.address);
+
+      await time.increase(DELAY);
+      await expect(
+        f.admin.executeRoleGrant(ARBITER, f.other.address),
+      ).to.be.revertedWithCustomError(f.admin, "NoPendingChange");
+    });
+
+    it("reject unknown roles", async () => {
+      await expect(
+        f.admin.scheduleRoleGrant(ethers.id("ROOT"), f.other.address),
+      ).to.be.revertedWithCustomError(f.admin, "InvalidRole");
+    });
+
+    it("are revoked immediately", async () => {
+      await grantRole(f, "COMPLIANCE_ROLE", f.other.address);
+      await expect(f.admin.revokeRole(COMPLIANCE, f.other.address))
+        .to.emit(f.admin, "RoleRevoked")
+        .withArgs(COMPLIANCE, f.other.address);
+      await expect(
+        f.admin.connect(f.other).setBanned(f.buyer.address, true),
+      ).to.be.revertedWithCustomError(f.admin, "MissingRole");
+
+      await (await f.admin.renounceRole(ARBITER)).wait();
+      expect(await f.admin.isArbiter(f.owner.address)).to.equal(false);
+    });
+  });
+
+  describe("separation of duties", () => {
+    it("keeps compliance officers away from escrowed funds", async () => {
+      await grantRole(f, "COMPLIANCE_ROLE", f.other.address);
+      const { tradeId } = await openTrade(f);
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+      ).wait();
+      await (await f.escrow.connect(f.buyer).rejectReceipt(tradeId)).wait();
+
+      await (
+        await f.admin.connect(f.other).setFrozen(f.seller.address, true)
+      ).wait();
+      await expect(
+        f.escrow.connect(f.other).adminForceRefund(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "NotArbiter");
+    });
+
+    it("keeps arbiters away from user restrictions", async () => {
+      await grantRole(f, "ARBITER_ROLE", f.other.address);
+      await expect(
+        f.admin.connect(f.other).setBanned(f.other.address, false),
+      ).to.be.revertedWithCustomError(f.admin, "MissingRole");
+    });
+
+    it("lets config managers tune parameters but not the treasury", async () => {
+      await grantRole(f, "CONFIG_MANAGER_ROLE", f.other.address);
+      await expect(f.config.connect(f.other).setFeeBps(50))
+        .to.emit(f.config, "FeeSet")
+        .withArgs(50);
+      await expect(
+        f.config.connect(f.other).setTreasury(f.other.address),
+      ).to.be.revertedWithCustomError(f.config, "NotOwner");
+    });
+  });
+
+  describe("ownership transfer", () => {
+    it("is two-step and timelocked", async () => {
+      await expect(f.admin.transferOwnership(f.other.address))
+        .to.emit(f.admin, "OwnershipTransferStarted")
+        .withArgs(
+          f.owner.address,
+          f.other.address,
+          BigInt((await time.latest()) + 1 + DELAY),
+        );
+      expect(await f.admin.owner()).to.equal(f.owner.address);
+
+      await expect(
+        f.admin.connect(f.other).acceptOwnership(),
+      ).to.be.revertedWithCustomError(f.admin, "TimelockNotReady");
+      await time.increase(DELAY);
+      await expect(
+        f.admin.connect(f.buyer).acceptOwnership(),
+      ).to.be.revertedWithCustomError(f.admin, "NotOwner");
+
+      await expect(f.admin.connect(f.other).acceptOwnership())
+        .to.emit(f.admin, "OwnershipTransferred")
+        .withArgs(f.owner.address, f.other.address);
+      expect(await f.admin.owner()).to.equal(f.other.address);
+      // roles do not come with ownership
+      expect(await f.admin.isArbiter(f.other.address)).to.equal(false);
+      await expect(
+        f.admin.scheduleRoleGrant(ARBITER, f.buyer.address),
+      ).to.be.revertedWithCustomError(f.admin, "NotOwner");
+    });
+
+    it("can be cancelled by the current owner", async () => {
+      await (await f.admin.transferOwnership(f.other.address)).wait();
+      await (await f.admin.cancelOwnershipTransfer()).wait();
+      await time.increase(DELAY);
+      await expect(
+        f.admin.connect(f.other).acceptOwnership(),
+      ).to.be.revertedWithCustomError(f.admin, "NotOwner");
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, eventArgs } = require("./helpers/fixture");
+const {
+  PricingMode,
+  SIGNED_ORDER_TYPES,
+  getDomain,
+  buildSignedOrder,
+  signOrder,
+  hashOrder,
+  verifyOrder,
+} = require("../lib/signedOrders");
+
+describe("OTC signed (EIP-712) orders", function () {
+  const ONE = 10n ** 18n;
+  const PRICE = 2_900n * 10n ** 6n; // fixed: 1 WETH for 2,900 USDT
+  // 1 WETH at $3000 + 0.20%, in USDT
+  const LIVE_QUOTE = 3_006_000_000n;
+
+  const ORDER_TUPLE =
+    "(address,address,uint256,address,uint8,uint256,int256,uint256,uint256)";
+  const TAKE = `takeSignedOrder(${ORDER_TUPLE},bytes)`;
+  const TAKE_CAPPED = `takeSignedOrder(${ORDER_TUPLE},bytes,uint256)`;
+
+  let f, domain;
+
+  async function signed(overrides = {}, signer = f.seller) {
+    const order = buildSignedOrder({
+      seller: f.seller.address,
+      sellToken: await f.weth.getAddress(),
+      sellAmount: ONE,
+      quoteToken: await f.usdt.getAddress(),
+      quoteAmount: PRICE,
+      nonce: 1,
+      ...overrides,
+    });
+    const signature = await signer.signTypedData(
+      domain,
+      SIGNED_ORDER_TYPES,
+      order,
+    );
+    return { order, signature };
+  }
+
+  function take(order, signature) {
+    return f.orders.connect(f.buyer)[TAKE](order, signature);
+  }
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    domain = await getDomain(f.orders);
+    await (await f.usdt.mint(f.buyer.address, 10n ** 12n)).wait();
+    await (
+      await f.usdt
+        .connect(f.buyer)
+        .approve(await f.orders.getAddress(), 10n ** 12n)
+    ).wait();
+  });
+
+  it("builds, signs and verifies orders with the JS helpers", async () => {
+    const { order } = await signed();
+    const signature = await signOrder(f.seller, order, domain);
+
+    expect(verifyOrder(order, signature, domain)).to.equal(true);
+    expect(verifyOrder({ ...order, nonce: 2n }, signature, domain)).to.equal(
+      false,
+    );
+    expect(hashOrder(order, domain)).to.equal(
+      await f.orders.hashSignedOrder(order),
+    );
+    await expect(signOrder(f.other, order, domain)).to.be.rejectedWith(
+      "signer is not the order's seller",
+    );
+  });
+
+  it("opens an escrow trade from a fixed-price signed order", async () => {
+    const { order, signature } = await signed();
+    const orderHash = hashOrder(order, domain);
+    const fee = (PRICE * 30n) / 10_000n;
+
+    const tx = await take(order, signature);
+    await expect(tx).to.changeTokenBalance(f.usdt, f.buyer, -(PRICE + fee));
+    const rc = await tx.wait();
+    const ev = eventArgs(rc, "SignedOrderTaken");
+    expect(ev.orderHash).to.equal(orderHash);
+    expect(ev.seller).to.equal(f.seller.address);
+    expect(ev.buyer).to.equal(f.buyer.address);
+
+    const t = await f.escrow.getTrade(ev.tradeId);
+    expect(t.orderId).to.equal(ev.orderId);
+    expect(t.seller).to.equal(f.seller.address);
+    expect(t.quoteAmount).to.equal(PRICE);
+    expect(t.feeAmount).to.equal(fee);
+
+    const o = await f.orders.orders(ev.orderId);
+    expect(o.status).to.equal(2n); // TAKEN
+    expect(await f.orders.signedOrderIds(orderHash)).to.equal(ev.orderId);
+
+    await expect(take(order, signature)).to.be.revertedWithCustomError(
+      f.orders,
+      "SignedOrderUnavailable",
+    );
+  });
+
+  it("rejects tampered orders and foreign signatures", async () => {
+    const { order, signature } = await signed();
+    await expect(
+      take({ ...order, quoteAmount: 1n }, signature),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidSignature");
+
+    const forged = await signed({}, f.other);
+    await expect(
+      take(forged.order, forged.signature),
+    ).to.be.revertedWithCustomError(f.orders, "InvalidSignature");
+  });
+
+  it("prices ORACLE_LIVE orders at take time with floor and slippage cap", async () => {
+    const live = await signed({
+      pricingMode: PricingMode.ORACLE_LIVE,
+      quoteAmount: LIVE_QUOTE, // floor
+      spreadBps: 20,
+    });
+
+    await (await f.wethFeed.updateAnswer(2_990n * 10n ** 8n)).wait();
+    await expect(
+      take(live.order, live.signature),
+    ).to.be.revertedWithCustomError(f.orders, "PriceBelowFloor");
+
+    await (await f.wethFeed.updateAnswer(3_300n * 10n ** 8n)).wait();
+    const takeCapped = (max) =>
+      f.orders.connect(f.buyer)[TAKE_CAPPED](live.order, live.signature, max);
+    await expect(takeCapped(LIVE_QUOTE)).to.be.revertedWithCustomError(
+      f.orders,
+      "SlippageExceeded",
+    );
+
+    const rc = await (await takeCapped((LIVE_QUOTE * 11n) / 10n)).wait();
+    expect(eventArgs(rc, "SignedOrderTaken").quoteAmount).to.equal(
+      (LIVE_QUOTE * 11n) / 10n,
+    );
+  });
+
+  it("rejects expired orders", async () => {
+    const { order, signature } = await signed({
+      expiresAt: (await time.latest()) + 60,
+    });
+    await time.increase(61);
+    await expect(take(order, signature)).to.be.revertedWithCustomError(
+      f.orders,
+      "OrderExpired",
+    );
+  });
+
+  describe("cancellation", () => {
+    it("lets the seller cancel a single signed order", async () => {
+      const { order, signature } = await signed();
+      await expect(
+        f.orders.connect(f.other).cancelSignedOrder(order),
+      ).to.be.revertedWithCustomError(f.orders, "NotSeller");
+
+      await expect(f.orders.connect(f.seller).cancelSignedOrder(order))
+        .to.emit(f.orders, "SignedOrderCancelled")
+        .withArgs(hashOrder(order, domain), f.seller.address);
+      await expect(take(order, signature)).to.be.revertedWithCustomError(
+        f.orders,
+        "SignedOrderUnavailable",
+      );
+    });
+
+    it("voids every order below the seller's new min nonce", async () => {
+      const first = await signed({ nonce: 1 });
+      const second = await signed({ nonce: 2 });
+      const third = await signed({ nonce: 3 });
+
+      await expect(f.orders.connect(f.seller).cancelSignedOrdersBelow(3))
+        .to.emit(f.orders, "MinNonceUpdated")
+        .withArgs(f.seller.address, 3n);
+      await expect(
+        f.orders.connect(f.seller).cancelSignedOrdersBelow(3),
+      ).to.be.revertedWithCustomError(f.orders, "InvalidNonce");
+
+      for (const { order, signature } of [first, second]) {
+        await expect(take(order, signature)).to.be.revertedWithCustomError(
+          f.orders,
+          "SignedOrderUnavailable",
+        );
+      }
+      await (await take(third.order, third.signature)).wait();
+    });
+  });
+});
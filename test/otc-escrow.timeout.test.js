@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployFixture,
+  eventArgs,
+  orderParams,
+  openTrade,
+} = require("./helpers/fixture");
+
+describe("OTC order expiry and trade timeouts", function () {
+  const DAY = 24 * 60 * 60;
+
+  let f;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+  });
+
+  describe("order expiry", () => {
+    it("defaults expiresAt to createdAt + orderTtl", async () => {
+      const { orderId } = await openTrade(f);
+      const o = await f.orders.orders(orderId);
+      expect(o.expiresAt).to.equal(o.createdAt + (await f.config.orderTtl()));
+    });
+
+    it("blocks takeOrder after expiresAt", async () => {
+      const now = await time.latest();
+      const rc = await (
+        await f.orders
+          .connect(f.seller)
+          .createOrderWithParams(await orderParams(f, { expiresAt: now + 600 }))
+      ).wait();
+      const { orderId, expiresAt } = eventArgs(rc, "OrderCreated");
+      expect(expiresAt).to.equal(BigInt(now + 600));
+
+      await time.increase(601);
+      await expect(
+        f.orders.connect(f.buyer).takeOrder(orderId),
+      ).to.be.revertedWithCustomError(f.orders, "OrderExpired");
+    });
+
+    it("rejects an expiresAt in the past", async () => {
+      await expect(
+        f.orders
+          .connect(f.seller)
+          .createOrderWithParams(
+            await orderParams(f, { expiresAt: await time.latest() }),
+          ),
+      ).to.be.revertedWithCustomError(f.orders, "InvalidExpiry");
+    });
+
+    it("never expires when orderTtl is 0", async () => {
+      await (await f.config.setOrderTtl(0)).wait();
+      const { orderId } = await openTrade(f);
+      expect((await f.orders.orders(orderId)).expiresAt).to.equal(0n);
+    });
+  });
+
+  describe("claimRefundAfterTimeout", () => {
+    it("refunds the buyer once the delivery window has passed", async () => {
+      const { tradeId, total } = await openTrade(f);
+
+      await expect(
+        f.escrow.connect(f.other).claimRefundAfterTimeout(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "TimeoutNotReached");
+
+      await time.increase(2 * DAY + 1);
+      const tx = f.escrow.connect(f.other).claimRefundAfterTimeout(tradeId);
+      // 5 = REFUNDED
+      await expect(tx).to.emit(f.escrow, "TradeTimedOut").withArgs(tradeId, 5n);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.buyer, total);
+    });
+
+    it("keeps the delivery window the trade opened with", async () => {
+      const { tradeId } = await openTrade(f);
+      const t = await f.escrow.getTrade(tradeId);
+      expect(t.deliveryDeadline).to.equal(t.createdAt + BigInt(2 * DAY));
+
+      await (await f.config.setDeliveryWindow(60 * 60)).wait();
+      await time.increase(DAY);
+      await expect(
+        f.escrow.claimRefundAfterTimeout(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "TimeoutNotReached");
+
+      await time.increase(DAY + 1);
+      await (await f.escrow.claimRefundAfterTimeout(tradeId)).wait();
+    });
+
+    it("is not available once delivery was submitted", async () => {
+      const { tradeId } = await openTrade(f);
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+      ).wait();
+
+      await time.increase(2 * DAY + 1);
+      await expect(
+        f.escrow.claimRefundAfterTimeout(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "InvalidState");
+    });
+  });
+
+  describe("claimReleaseAfterTimeout", () => {
+    it("pays the seller once the confirm window has passed", async () => {
+      const { tradeId, quoteAmount, feeAmount } = await openTrade(f);
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+      ).wait();
+
+      await time.increase(DAY);
+      await expect(
+        f.escrow.claimReleaseAfterTimeout(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "TimeoutNotReached");
+
+      await time.increase(2 * DAY + 1);
+      const tx = f.escrow.connect(f.other).claimReleaseAfterTimeout(tradeId);
+      // 4 = RELEASED
+      await expect(tx).to.emit(f.escrow, "TradeTimedOut").withArgs(tradeId, 4n);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.seller, quoteAmount);
+      expect(await f.escrow.accruedFees(await f.usdt.getAddress())).to.equal(
+        feeAmount,
+      );
+    });
+
+    it("keeps the confirm window from the time of delivery", async () => {
+      const { tradeId } = await openTrade(f);
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+      ).wait();
+      const t = await f.escrow.getTrade(tradeId);
+      expect(t.confirmDeadline).to.equal(t.deliveredAt + BigInt(3 * DAY));
+
+      await (await f.config.setConfirmWindow(60 * 60)).wait();
+      await time.increase(DAY);
+      await expect(
+        f.escrow.claimReleaseAfterTimeout(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "TimeoutNotReached");
+
+      await time.increase(2 * DAY + 1);
+      await (await f.escrow.claimReleaseAfterTimeout(tradeId)).wait();
+    });
+
+    it("is not available while a dispute is pending", async () => {
+      const { tradeId } = await openTrade(f);
+      await (
+        await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+      ).wait();
+      await (await f.escrow.connect(f.buyer).rejectReceipt(tradeId)).wait();
+
+      await time.increase(4 * DAY);
+      await expect(
+        f.escrow.claimReleaseAfterTimeout(tradeId),
+      ).to.be.revertedWithCustomError(f.escrow, "InvalidState");
+    });
+  });
+});
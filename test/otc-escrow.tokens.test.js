@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture, eventArgs, orderParams } = require("./helpers/fixture");
+
+describe("OTC non-standard ERC20 tokens", function () {
+  const ONE = 10n ** 18n;
+  // 1 WETH at $3000 + 0.20%, in a 6-decimal dollar token
+  const QUOTE = 3_006_000_000n;
+  const FEE = (QUOTE * 30n) / 10_000n;
+
+  let f;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+  });
+
+  // Deploys a mock variant and registers it as a $1 quote token and bond asset
+  async function dollarToken(variant, ...extra) {
+    const token = await (
+      await ethers.getContractFactory(variant)
+    ).deploy("Mock Dollar", "USDX", 6, ...extra);
+    const addr = await token.getAddress();
+    await (await f.config.setQuoteToken(addr, true)).wait();
+    await (
+      await f.config.setAsset(addr, await f.usdtFeed.getAddress(), true)
+    ).wait();
+    for (const who of [f.buyer, f.seller]) {
+      await (await token.mint(who.address, 10n ** 12n)).wait();
+      for (const spender of [f.orders, f.escrow]) {
+        await (
+          await token
+            .connect(who)
+            .approve(await spender.getAddress(), 10n ** 12n)
+        ).wait();
+      }
+    }
+    return token;
+  }
+
+  async function list(token) {
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrder(await f.weth.getAddress(), ONE, await token.getAddress())
+    ).wait();
+    return eventArgs(rc, "OrderCreated").orderId;
+  }
+
+  async function takeAndDeliver(token) {
+    const rc = await (
+      await f.orders.connect(f.buyer).takeOrder(await list(token))
+    ).wait();
+    const { tradeId } = eventArgs(rc, "OrderTaken");
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+    return tradeId;
+  }
+
+  describe("tokens that return nothing", () => {
+    it("settle trades and fee withdrawals", async () => {
+      const token = await dollarToken("MockNoReturnERC20");
+      const addr = await token.getAddress();
+      const tradeId = await takeAndDeliver(token);
+
+      await expect(
+        f.escrow.connect(f.buyer).confirmReceipt(tradeId),
+      ).to.changeTokenBalance(token, f.seller, QUOTE);
+      await expect(
+        f.escrow
+          .connect(f.treasury)
+          .withdrawFees(addr, f.treasury.address, FEE),
+      ).to.changeTokenBalance(token, f.treasury, FEE);
+    });
+
+    it("work as bonds", async () => {
+      const token = await dollarToken("MockNoReturnERC20");
+      const addr = await token.getAddress();
+      await (await f.escrow.connect(f.seller).depositBond(addr, 1_000n)).wait();
+      await expect(
+        f.escrow.connect(f.seller).withdrawBond(addr, 1_000n),
+      ).to.changeTokenBalance(token, f.seller, 1_000n);
+    });
+  });
+
+  describe("fee-on-transfer tokens", () => {
+    let token;
+
+    beforeEach(async () => {
+      token = await dollarToken("MockFeeOnTransferERC20", 100); // 1%
+    });
+
+    it("are rejected as trade funds", async () => {
+      const orderId = await list(token);
+      await expect(
+        f.orders.connect(f.buyer).takeOrder(orderId),
+      ).to.be.revertedWithCustomError(f.orders, "FeeOnTransferNotSupported");
+      await expect(
+        f.orders
+          .connect(f.buyer)
+          .createBid(await f.weth.getAddress(), ONE, await token.getAddress()),
+      ).to.be.revertedWithCustomError(f.orders, "FeeOnTransferNotSupported");
+    });
+
+    it("are rejected as escrowed sell assets", async () => {
+      await expect(
+        f.orders.connect(f.seller).createOrderWithParams(
+          await orderParams(f, {
+            sellToken: await token.getAddress(),
+            sellAmount: 1_000_000n,
+            quoteToken: await f.usdc.getAddress(),
+            deliveryMode: 1, // ESCROWED
+          }),
+        ),
+      ).to.be.revertedWithCustomError(f.orders, "FeeOnTransferNotSupported");
+    });
+
+    it("credit bonds with what actually arrived", async () => {
+      const addr = await token.getAddress();
+      await expect(f.escrow.connect(f.seller).depositBond(addr, 10_000n))
+        .to.emit(f.escrow, "BondDeposited")
+        .withArgs(f.seller.address, addr, 9_900n);
+      expect(await f.escrow.bondBalances(f.seller.address, addr)).to.equal(
+        9_900n,
+      );
+      const [balance, owed] = await f.escrow.reconcile(addr);
+      expect(balance).to.equal(owed);
+    });
+  });
+
+  describe("pausable tokens", () => {
+    it("defer payouts while paused instead of blocking release", async () => {
+      const token = await dollarToken("MockPausableERC20");
+      const addr = await token.getAddress();
+      const tradeId = await takeAndDeliver(token);
+      await (await token.setPaused(true)).wait();
+
+      await expect(f.escrow.connect(f.buyer).confirmReceipt(tradeId))
+        .to.emit(f.escrow, "PayoutDeferred")
+        .withArgs(f.seller.address, addr, QUOTE);
+      expect(await f.escrow.accruedFees(addr)).to.equal(FEE);
+
+      await (await token.setPaused(false)).wait();
+      await expect(
+        f.escrow.connect(f.seller).claimPayout(addr, f.seller.address),
+      ).to.changeTokenBalance(token, f.seller, QUOTE);
+    });
+
+    it("block new deposits while paused", async () => {
+      const token = await dollarToken("MockPausableERC20");
+      const orderId = await list(token);
+      await (await token.setPaused(true)).wait();
+      await expect(
+        f.orders.connect(f.buyer).takeOrder(orderId),
+      ).to.be.revertedWithCustomError(f.orders, "TransferFailed");
+    });
+  });
+
+  describe("tokens returning malformed data", () => {
+    it("count as failed transfers without reverting the payout", async () => {
+      const token = await dollarToken("MockMalformedReturnERC20");
+      const addr = await token.getAddress();
+      const tradeId = await takeAndDeliver(token);
+      await (await token.setMalformed(true)).wait();
+
+      await expect(f.escrow.connect(f.buyer).confirmReceipt(tradeId))
+        .to.emit(f.escrow, "PayoutDeferred")
+        .withArgs(f.seller.address, addr, QUOTE);
+
+      await (await token.setMalformed(false)).wait();
+      await expect(
+        f.escrow.connect(f.seller).claimPayout(addr, f.seller.address),
+      ).to.changeTokenBalance(token, f.seller, QUOTE);
+    });
+
+    it("reject deposits", async () => {
+      const token = await dollarToken("MockMalformedReturnERC20");
+      await (await token.setMalformed(true)).wait();
+      await expect(
+        f.escrow
+          .connect(f.seller)
+          .depositBond(await token.getAddress(), 1_000n),
+      ).to.be.revertedWithCustomError(f.escrow, "TransferFailed");
+    });
+  });
+
+  it("treats an address without code as a failed transfer", async () => {
+    await expect(
+      f.escrow.connect(f.seller).depositBond(f.other.address, 1n),
+    ).to.be.revertedWithCustomError(f.escrow, "TransferFailed");
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFixture, openTrade } = require("./helpers/fixture");
+
+describe("OTC treasury fees and payout fallbacks", function () {
+  const DAY = 24 * 60 * 60;
+
+  let f, usdtAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    usdtAddr = await f.usdt.getAddress();
+  });
+
+  async function deliver(tradeId) {
+    await (
+      await f.escrow.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+  }
+
+  async function expectReconciled(owed) {
+    const [balance, liabilities] = await f.escrow.reconcile(usdtAddr);
+    expect(liabilities).to.equal(owed);
+    expect(balance).to.equal(owed);
+  }
+
+  describe("fee accrual", () => {
+    it("keeps fees in escrow and reconciles them as owed", async () => {
+      const { tradeId, feeAmount, total } = await openTrade(f);
+      await expectReconciled(total);
+
+      await deliver(tradeId);
+      await expect(f.escrow.connect(f.buyer).confirmReceipt(tradeId))
+        .to.emit(f.escrow, "FeesAccrued")
+        .withArgs(usdtAddr, feeAmount);
+      expect(await f.escrow.accruedFees(usdtAddr)).to.equal(feeAmount);
+      await expectReconciled(feeAmount);
+    });
+
+    it("lets only the treasury withdraw, up to what has accrued", async () => {
+      const { tradeId, feeAmount } = await openTrade(f);
+      await deliver(tradeId);
+      await (await f.escrow.connect(f.buyer).confirmReceipt(tradeId)).wait();
+
+      await expect(
+        f.escrow
+          .connect(f.other)
+          .withdrawFees(usdtAddr, f.other.address, feeAmount),
+      ).to.be.revertedWithCustomError(f.escrow, "NotTreasury");
+      await expect(
+        f.escrow
+          .connect(f.treasury)
+          .withdrawFees(usdtAddr, f.treasury.address, feeAmount + 1n),
+      ).to.be.revertedWithCustomError(f.escrow, "InvalidAmount");
+
+      const half = feeAmount / 2n;
+      const tx = f.escrow
+        .connect(f.treasury)
+        .withdrawFees(usdtAddr, f.other.address, half);
+      await expect(tx)
+        .to.emit(f.escrow, "FeesWithdrawn")
+        .withArgs(usdtAddr, f.other.address, half);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.other, half);
+      expect(await f.escrow.accruedFees(usdtAddr)).to.equal(feeAmount - half);
+      await expectReconciled(feeAmount - half);
+    });
+
+    it("pays out to whoever is treasury at withdrawal time", async () => {
+      const { tradeId, feeAmount } = await openTrade(f);
+      await deliver(tradeId);
+      await (await f.escrow.connect(f.buyer).confirmReceipt(tradeId)).wait();
+
+      await (await f.config.setTreasury(f.other.address)).wait();
+      await expect(
+        f.escrow
+          .connect(f.treasury)
+          .withdrawFees(usdtAddr, f.treasury.address, feeAmount),
+      ).to.be.revertedWithCustomError(f.escrow, "NotTreasury");
+      await expect(
+        f.escrow
+          .connect(f.other)
+          .withdrawFees(usdtAddr, f.other.address, feeAmount),
+      ).to.changeTokenBalance(f.usdt, f.other, feeAmount);
+    });
+  });
+
+  describe("failed pushes", () => {
+    it("don't block release: a blacklisted seller claims later", async () => {
+      const { tradeId, quoteAmount, feeAmount } = await openTrade(f);
+      await deliver(tradeId);
+      await (await f.usdt.setBlacklisted(f.seller.address, true)).wait();
+
+      await expect(f.escrow.connect(f.buyer).confirmReceipt(tradeId))
+        .to.emit(f.escrow, "PayoutDeferred")
+        .withArgs(f.seller.address, usdtAddr, quoteAmount);
+      expect((await f.escrow.getTrade(tradeId)).status).to.equal(4n); // RELEASED
+      expect(
+        await f.escrow.pendingPayouts(f.seller.address, usdtAddr),
+      ).to.equal(quoteAmount);
+      await expectReconciled(quoteAmount + feeAmount);
+
+      // the blacklisted wallet redirects its claim
+      const tx = f.escrow
+        .connect(f.seller)
+        .claimPayout(usdtAddr, f.other.address);
+      await expect(tx)
+        .to.emit(f.escrow, "PayoutClaimed")
+        .withArgs(f.seller.address, f.other.address, usdtAddr, quoteAmount);
+      await expect(tx).to.changeTokenBalance(f.usdt, f.other, quoteAmount);
+      await expectReconciled(feeAmount);
+
+      await expect(
+        f.escrow.connect(f.seller).claimPayout(usdtAddr, f.other.address),
+      ).to.be.revertedWithCustomError(f.escrow, "InvalidAmount");
+    });
+
+    it("don't block refunds either", async () => {
+      const { tradeId, total } = await openTrade(f);
+      await (await f.usdt.setBlacklisted(f.buyer.address, true)).wait();
+
+      await time.increase(2 * DAY + 1);
+      await expect(f.escrow.claimRefundAfterTimeout(tradeId))
+        .to.emit(f.escrow, "PayoutDeferred")
+        .withArgs(f.buyer.address, usdtAddr, total);
+      expect(await f.escrow.pendingPayouts(f.buyer.address, usdtAddr)).to.equal(
+        total,
+      );
+    });
+
+    it("still revert on user-initiated withdrawals", async () => {
+      const { tradeId } = await openTrade(f);
+      await deliver(tradeId);
+      await (await f.usdt.setBlacklisted(f.seller.address, true)).wait();
+      await (await f.escrow.connect(f.buyer).confirmReceipt(tradeId)).wait();
+
+      await expect(
+        f.escrow.connect(f.seller).claimPayout(usdtAddr, f.seller.address),
+      ).to.be.revertedWithCustomError(f.escrow, "TransferFailed");
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  deployFixture,
+  eventArgs,
+  openTrade,
+  orderParams,
+} = require("./helpers/fixture");
+const {
+  buildSignedOrder,
+  getDomain,
+  PricingMode,
+} = require("../lib/signedOrders");
+
+describe("OTC proxy upgrades", function () {
+  const ONE = 10n ** 18n;
+  const ESCROWED = 1;
+
+  let f, usdtAddr, wethAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    usdtAddr = await f.usdt.getAddress();
+    wethAddr = await f.weth.getAddress();
+  });
+
+  async function upgrade(proxy, name, opts = {}) {
+    return upgrades.upgradeProxy(
+      await proxy.getAddress(),
+      await ethers.getContractFactory(name),
+      opts,
+    );
+  }
+
+  it("keeps trades and escrowed balances across an escrow upgrade", async () => {
+    const { tradeId, quoteAmount } = await openTrade(f);
+    await (await f.weth.mint(f.seller.address, ONE)).wait();
+    await (
+      await f.weth.connect(f.seller).approve(await f.orders.getAddress(), ONE)
+    ).wait();
+    const rc = await (
+      await f.orders
+        .connect(f.seller)
+        .createOrderWithParams(await orderParams(f, { deliveryMode: ESCROWED }))
+    ).wait();
+    const { orderId: askId } = eventArgs(rc, "OrderCreated");
+
+    const escrowAddr = await f.escrow.getAddress();
+    const tradeBefore = await f.escrow.getTrade(tradeId);
+    const usdtBefore = await f.escrow.reconcile(usdtAddr);
+    const wethBefore = await f.escrow.reconcile(wethAddr);
+
+    const v2 = await upgrade(f.escrow, "OTCEscrowV2Mock", {
+      call: "initializeV2",
+    });
+    expect(await v2.getAddress()).to.equal(escrowAddr);
+    expect(await v2.version()).to.equal("2");
+    expect(await v2.migratedAt()).to.be.gt(0n);
+    await expect(v2.initializeV2()).to.be.revertedWithCustomError(
+      v2,
+      "InvalidInitialization",
+    );
+
+    expect(await v2.getTrade(tradeId)).to.deep.equal(tradeBefore);
+    expect(await v2.reconcile(usdtAddr)).to.deep.equal(usdtBefore);
+    expect(await v2.reconcile(wethAddr)).to.deep.equal(wethBefore);
+    expect((await v2.sellFunds(askId)).amount).to.equal(ONE);
+    expect(await v2.registry()).to.equal(await f.registry.getAddress());
+
+    // the trade settles on the new implementation
+    await (
+      await v2.connect(f.seller).submitDeliveryTx(tradeId, "0xTXID")
+    ).wait();
+    await expect(
+      v2.connect(f.buyer).confirmReceipt(tradeId),
+    ).to.changeTokenBalance(f.usdt, f.seller, quoteAmount);
+    expect(await v2.nextTradeId()).to.equal(tradeId + 1n);
+  });
+
+  it("keeps orders and the signing domain across an orders upgrade", async () => {
+    const { orderId } = await openTrade(f);
+    const so = buildSignedOrder({
+      seller: f.seller.address,
+      sellToken: wethAddr,
+      sellAmount: ONE,
+      quoteToken: usdtAddr,
+      pricingMode: PricingMode.FIXED,
+      quoteAmount: 3_000_000_000n,
+      nonce: 1,
+    });
+    const hashBefore = await f.orders.hashSignedOrder(so);
+    const orderBefore = await f.orders.orders(orderId);
+
+    const v2 = await upgrade(f.orders, "OTCOrdersV2Mock");
+    expect(await v2.version()).to.equal("2");
+    expect(await v2.orders(orderId)).to.deep.equal(orderBefore);
+    expect(await v2.hashSignedOrder(so)).to.equal(hashBefore);
+    expect((await getDomain(v2)).verifyingContract).to.equal(
+      await f.orders.getAddress(),
+    );
+
+    const rc = await (
+      await v2.connect(f.seller).createOrder(wethAddr, ONE, usdtAddr)
+    ).wait();
+    expect(eventArgs(rc, "OrderCreated").orderId).to.equal(orderId + 1n);
+  });
+
+  it("rejects a storage-incompatible implementation", async () => {
+    await expect(
+      upgrades.validateUpgrade(
+        await f.admin.getAddress(),
+        await ethers.getContractFactory("OTCAdminBadLayoutMock"),
+      ),
+    ).to.be.rejectedWith(/storage/i);
+  });
+
+  it("can't be initialized twice, nor through the implementation", async () => {
+    await expect(
+      f.escrow.initialize(await f.registry.getAddress()),
+    ).to.be.revertedWithCustomError(f.escrow, "InvalidInitialization");
+
+    const implementation = f.config.attach(
+      await upgrades.erc1967.getImplementationAddress(
+        await f.config.getAddress(),
+      ),
+    );
+    await expect(
+      implementation.initialize(
+        f.other.address,
+        f.other.address,
+        f.other.address,
+      ),
+    ).to.be.revertedWithCustomError(f.config, "InvalidInitialization");
+  });
+
+  it("can only be made by the proxy admin's owner", async () => {
+    const escrowAddr = await f.escrow.getAddress();
+    const proxyAdmin = await ethers.getContractAt(
+      [
+        "function owner() view returns (address)",
+        "function upgradeAndCall(address proxy, address implementation, bytes data) payable",
+      ],
+      await upgrades.erc1967.getAdminAddress(escrowAddr),
+    );
+    expect(await proxyAdmin.owner()).to.equal(f.owner.address);
+
+    const v2 = await (
+      await ethers.getContractFactory("OTCEscrowV2Mock")
+    ).deploy();
+    await expect(
+      proxyAdmin
+        .connect(f.other)
+        .upgradeAndCall(escrowAddr, await v2.getAddress(), "0x"),
+    ).to.be.reverted;
+  });
+});
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture, openTrade } = require("./helpers/fixture");
+
+describe("OTC delivery verifiers", function () {
+  const TXID =
+    "4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b";
+
+  let f, tradeId, wethAddr;
+
+  beforeEach(async () => {
+    f = await deployFixture();
+    wethAddr = await f.weth.getAddress();
+    ({ tradeId } = await openTrade(f));
+  });
+
+  it("accepts any txid when the asset has no verifier", async () => {
+    await expect(
+      f.escrow.connect(f.seller).submitDeliveryTx(tradeId, TXID),
+    ).to.not.emit(f.escrow, "DeliveryVerified");
+  });
+
+  it("only lets the owner register verifiers", async () => {
+    await expect(
+      f.config.connect(f.other).setDeliveryVerifier(wethAddr, f.other.address),
+    ).to.be.revertedWithCustomError(f.config, "NotOwner");
+  });
+
+  describe("with a mock verifier", () => {
+    let verifier;
+
+    beforeEach(async () => {
+      verifier = await (
+        await ethers.getContractFactory("MockDeliveryVerifier")
+      ).deploy();
+      await expect(
+        f.config.setDeliveryVerifier(wethAddr, await verifier.getAddress()),
+      )
+        .to.emit(f.config, "DeliveryVerifierSet")
+        .withArgs(wethAddr, await verifier.getAddress());
+    });
+
+    it("rejects deliveries the verifier refuses", async () => {
+      await (await verifier.setResult(false)).wait();
+      await expect(
+        f.escrow.connect(f.seller).submitDeliveryTx(tradeId, TXID),
+      ).to.be.revertedWithCustomError(f.escrow, "DeliveryNotVerified");
+    });
+
+    it("passes the proof bytes through", async () => {
+      await (await verifier.setExpectedProof("0x1234")).wait();
+      await expect(
+        f.escrow.connect(f.seller).submitDeliveryProof(tradeId, TXID, "0x99"),
+      ).to.be.revertedWithCustomError(f.escrow, "DeliveryNotVerified");
+
+      await expect(
+        f.escrow.connect(f.seller).submitDeliveryProof(tradeId, TXID, "0x1234"),
+      )
+        .to.emit(f.escrow, "DeliveryVerified")
+        .withArgs(tradeId, await verifier.getAddress());
+      expect((await f.escrow.getTrade(tradeId)).status).to.equal(2n); // DELIVERED_PENDING_CONFIRM
+    });
+  });
+
+  describe("AttestationDeliveryVerifier", () => {
+    let verifier, attester, domain;
+
+    const types = {
+      DeliveryAttestation: [
+        { name: "escrow", type: "address" },
+        { name: "tradeId", type: "uint256" },
+        { name: "txid", type: "string" },
+        { name: "amount", type: "uint256" },
+        { name: "recipient", type: "address" },
+      ],
+    };
+
+    async function proof(overrides = {}, signer = attester) {
+      const att = {
+        escrow: await f.escrow.getAddress(),
+        tradeId,
+        txid: TXID,
+        amount: 10n ** 18n,
+        recipient: f.buyer.address,
+        ...overrides,
+      };
+      const signature = await signer.signTypedData(domain, types, att);
+      return ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "address", "bytes"],
+        [att.amount, att.recipient, signature],
+      );
+    }
+
+    function submit(p, txid = TXID) {
+      return f.escrow.connect(f.seller).submitDeliveryProof(tradeId, txid, p);
+    }
+
+    beforeEach(async () => {
+      attester = f.other;
+      verifier = await (
+        await ethers.getContractFactory("AttestationDeliveryVerifier")
+      ).deploy(f.owner.address);
+      await (await verifier.setAttester(attester.address, true)).wait();
+      await (
+        await f.config.setDeliveryVerifier(
+          wethAddr,
+          await verifier.getAddress(),
+        )
+      ).wait();
+      domain = {
+        name: "OTCDeliveryVerifier",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await verifier.getAddress(),
+      };
+    });
+
+    it("accepts an attester-signed delivery to the buyer", async () => {
+      await expect(submit(await proof()))
+        .to.emit(f.escrow, "DeliveryVerified")
+        .withArgs(tradeId, await verifier.getAddress());
+    });
+
+    it("rejects unknown signers and mismatched attestations", async () => {
+      const cases = [
+        await proof({}, f.seller), // not an attester
+        await proof({ amount: 10n ** 18n - 1n }), // short delivery
+        await proof({ recipient: f.seller.address }), // wrong recipient
+        await proof({ tradeId: tradeId + 1n }), // another trade
+      ];
+      for (const p of cases) {
+        await expect(submit(p)).to.be.revertedWithCustomError(
+          f.escrow,
+          "DeliveryNotVerified",
+        );
+      }
+      // signed for a different txid
+      await expect(
+        submit(await proof(), "deadbeef"),
+      ).to.be.revertedWithCustomError(f.escrow, "DeliveryNotVerified");
+      // plain submitDeliveryTx has no proof at all
+      await expect(
+        f.escrow.connect(f.seller).submitDeliveryTx(tradeId, TXID),
+      ).to.be.revertedWithCustomError(f.escrow, "DeliveryNotVerified");
+    });
+
+    it("stops trusting removed attesters", async () => {
+      await (await verifier.setAttester(attester.address, false)).wait();
+      await expect(submit(await proof())).to.be.revertedWithCustomError(
+        f.escrow,
+        "DeliveryNotVerified",
+      );
+    });
+  });
+});